@@ -1,486 +1,2648 @@
 const express = require("express");
 const path = require("path");
 const cors = require("cors");
+const crypto = require("crypto");
 const { Pool } = require("pg");
-const { verifyToken } = require("../firebaseAdmin.js");
+const { createVerifyToken } = require("../auth.js");
+const { ApiError, errorHandler, notFoundHandler } = require("../errors.js");
+const { REQUEST_ID_HEADER, requestId } = require("../requestId.js");
+const { toDateKey } = require("../dates.js");
+const { buildCalendar } = require("../icalendar.js");
+const { FORMATS: GEO_FORMATS, exportDestinations } = require("../geoExport.js");
+const { exportTrips, validateBackup, importTrips } = require("../tripBackup.js");
+const { validateBody, validateQuery, schemas } = require("../validation.js");
+const { buildTripListQuery, paginate } = require("../tripListQuery.js");
+const { optimizeRoute } = require("../routeOptimizer.js");
+const { buildItinerary, DEFAULT_SLOT_MINUTES } = require("../itinerary.js");
+const { scaleQuantity, chooseTemplate, checklistProgress } = require("../checklists.js");
+const { runDestinationBatch } = require("../destinationBatch.js");
+const { loadTravelAnalytics } = require("../travelAnalytics.js");
+const { generateWebhookSecret, checkWebhookUrl } = require("../webhooks.js");
+const { loadConverter, loadHomeCurrency } = require("../exchangeRates.js");
+const { TRIP_TIME_COLUMNS, DESTINATION_TIME_COLUMNS } = require("../timeZones.js");
+const {
+  planFromTrip, planFromTemplate, createTripFromPlan, saveTripTemplate, loadTripTemplates,
+} = require("../tripTemplates.js");
+const {
+  VERSIONED_TABLES, DEFAULT_SYNC_LIMIT, formatETag, parseIfMatch, matchesVersion, parseCursor, loadChanges,
+} = require("../sync.js");
+const { retentionDays } = require("../purgeTrash.js");
+const { snapshot, recordChange, audited, revertField } = require("../auditLog.js");
+const { getStorage, LOCAL_URL_PREFIX } = require("../photoStorage.js");
+const {
+  EXTENSIONS: PHOTO_TYPES, photoKeysForFile, storePhoto, removePhotoFiles, suggestDestination,
+} = require("../photoUploads.js");
+const multer = require("multer");
 require("dotenv").config();
 
 const { DATABASE_URL } = process.env;
 
 const app = express();
-app.use(cors());
-app.use(express.json());
+app.use(requestId);
+app.use(cors({ exposedHeaders: [REQUEST_ID_HEADER, "ETag"] }));
+app.use(express.json({ limit: "5mb" })); // trip backups can be large
 
 const pool = new Pool({
   connectionString: DATABASE_URL,
-  ssl: {
-    rejectUnauthorized: false,
+  // Neon requires SSL; set PGSSLMODE=disable for a local Postgres
+  ssl: process.env.PGSSLMODE === "disable" ? false : { rejectUnauthorized: false },
+});
+
+// Bearer token check for every signed-in route (provider chosen by AUTH_PROVIDER)
+const verifyToken = createVerifyToken(pool);
+
+// Debug: Check Postgres version
+async function checkPostgresConnection() {
+  const client = await pool.connect();
+  try {
+    const res = await client.query("SELECT version()");
+    console.log("Connected to:", res.rows[0].version);
+  } finally {
+    client.release();
+  }
+}
+checkPostgresConnection();
+
+// === AUTHORIZATION ===
+
+// Where each resource lives and which column identifies it. Destinations and
+// photos are resolved through their trip_id so every route checks the same
+// trip owner and collaborator rows. `live` hides soft-deleted rows.
+const RESOURCE_SOURCES = {
+  trip: { from: "trips t", idColumn: "t.id", live: "t.deleted_at IS NULL", label: "Trip" },
+  destination: {
+    from: "destinations r JOIN trips t ON t.id = r.trip_id",
+    idColumn: "r.id",
+    live: "r.deleted_at IS NULL AND t.deleted_at IS NULL",
+    label: "Destination",
+  },
+  photo: {
+    from: "photos r JOIN trips t ON t.id = r.trip_id",
+    idColumn: "r.id",
+    live: "r.deleted_at IS NULL AND t.deleted_at IS NULL",
+    label: "Photo",
   },
+};
+
+// Higher rank includes everything a lower rank may do
+const ROLE_RANK = {
+  viewer: 1,
+  editor: 2,
+  owner: 3,
+};
+
+// Returns { trip_id, start_date, end_date, role } where role is the caller's role on the owning
+// trip (null when they have none), or null when the resource does not exist. Soft-deleted
+// resources count as missing unless `includeDeleted` is set.
+async function findTripAccess(resource, id, uid, { includeDeleted = false } = {}) {
+  const { from, idColumn, live } = RESOURCE_SOURCES[resource];
+  try {
+    const result = await pool.query(
+      `SELECT
+        t.id AS trip_id,
+        t.start_date,
+        t.end_date,
+        CASE WHEN t.user_firebase_uid = $2 THEN 'owner' ELSE c.role END AS role
+       FROM ${from}
+       LEFT JOIN trip_collaborators c
+         ON c.trip_id = t.id AND c.user_firebase_uid = $2 AND c.status = 'accepted'
+       WHERE ${idColumn} = $1${includeDeleted ? "" : ` AND ${live}`}`,
+      [id, uid]
+    );
+    return result.rows[0] || null;
+  } catch (err) {
+    // Malformed IDs can never match a row, treat them as not found
+    if (err.code === "22P02") return null;
+    throw err;
+  }
+}
+
+// Middleware: only let callers with at least `minRole` on the owning trip
+// through. `param` is read from the route params first, then the query string
+// (e.g. GET /destinations?trip_id=). Sets req.tripId, req.tripRole and
+// req.trip (the trip's date range, used by validation).
+function authorize(resource, param = "id", minRole = "owner", options = {}) {
+  return async (req, res, next) => {
+    const id = req.params[param] ?? req.query[param];
+    if (id === undefined || id === "") {
+      throw new ApiError("bad_request", `${param} is required`);
+    }
+
+    const access = await findTripAccess(resource, id, req.user.uid, options);
+
+    if (!access) {
+      throw new ApiError("not_found", `${RESOURCE_SOURCES[resource].label} not found`);
+    }
+
+    if (!access.role || ROLE_RANK[access.role] < ROLE_RANK[minRole]) {
+      throw new ApiError("forbidden", `Not authorized to access this ${resource}`);
+    }
+
+    req.tripId = access.trip_id;
+    req.tripRole = access.role;
+    req.trip = { id: access.trip_id, start_date: access.start_date, end_date: access.end_date };
+    next();
+  };
+}
+
+// Middleware: honour If-Match on writes, after authorize(). Without the header
+// the write goes ahead as before; when it names a version that is no longer
+// current the write is refused with 409 and the current record, so an offline
+// client can merge and retry. The route passes req.versionCheck to audited(),
+// which compares the version against the row it has locked for the write, so
+// no other write can land between the check and this one.
+function checkVersion(resource) {
+  return async (req, res, next) => {
+    const header = req.get("If-Match");
+    if (header === undefined) return next();
+
+    const ifMatch = parseIfMatch(header);
+    if (!ifMatch) throw new ApiError("bad_request", "If-Match must be * or a list of ETags");
+
+    req.versionCheck = async (client, locked) => {
+      if (matchesVersion(ifMatch, locked.version)) return;
+
+      const result = await client.query(`SELECT * FROM ${VERSIONED_TABLES[resource]} WHERE id = $1`, [locked.id]);
+      const current = result.rows[0];
+      res.set("ETag", formatETag(current.version));
+      throw new ApiError("version_conflict", `This ${resource} was changed by someone else`, {
+        current_version: current.version,
+        current,
+      });
+    };
+    next();
+  };
+}
+
+// Make sure an optional destination_id points at a destination of the same trip
+async function destinationBelongsToTrip(destinationId, req) {
+  if (!destinationId) return true;
+  const access = await findTripAccess("destination", destinationId, req.user.uid);
+  return Boolean(access) && String(access.trip_id) === String(req.tripId);
+}
+
+// === TRIPS ENDPOINTS ===
+
+// Create a new trip
+app.post("/trips", verifyToken, validateBody(schemas.trip), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { uid } = req.user;
+    const {
+      title,
+      country,
+      city,
+      start_date,
+      end_date,
+      notes,
+      image_url,
+      trip_type,
+      budget,
+      currency,
+      time_zone,
+      traveler_count
+    } = req.body;
+
+    // Without a currency the trip is planned in the user's home currency
+    const result = await audited(client, { entity: "trip", action: "create", actorUid: uid }, () => client.query(
+      `INSERT INTO trips (
+        user_firebase_uid, title, country, city, start_date, end_date, notes, image_url, trip_type, budget,
+        currency, time_zone, traveler_count
+      )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10,
+               COALESCE($11, (SELECT home_currency FROM user_profiles WHERE firebase_uid = $1), 'USD'),
+               COALESCE($12, 'UTC'), $13)
+       RETURNING *`,
+      [uid, title, country, city, start_date, end_date, notes, image_url, trip_type, budget,
+        currency ? currency.toUpperCase() : null, time_zone ?? null, traveler_count]
+    ));
+
+    res.json(result.rows[0]);
+  } finally {
+    client.release();
+  }
+});
+
+// Get all trips with enhanced data, including trips shared with the user.
+// Supports filters (trip_status, trip_type, country, is_favorite, min_rating,
+// max_rating, from, to), free-text search (q) and sorting (sort, order).
+// Passing limit or cursor returns a page: { trips, next_cursor }.
+// Every trip carries budget_in_home_currency (null without a budget or rate).
+app.get("/trips", verifyToken, validateQuery(schemas.tripListQuery), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { uid } = req.user;
+
+    const query = buildTripListQuery(uid, req.queryParams);
+    if (query.error) throw new ApiError("bad_request", query.error);
+
+    const result = await client.query(query.text, query.values);
+    const page = paginate(result.rows, query);
+    const { nextCursor } = page;
+
+    const home = await loadHomeCurrency(client, uid);
+    const trips = page.trips.map((trip) => ({
+      ...trip,
+      budget_in_home_currency: home.convert(trip.budget, trip.currency),
+    }));
+
+    if (query.limit === null) return res.json(trips);
+    res.json({ trips, next_cursor: nextCursor });
+  } finally {
+    client.release();
+  }
+});
+
+// Export all of the user's own trips as one backup document.
+// Registered before /trips/:id so "export" is not taken as an ID.
+app.get("/trips/export", verifyToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const tripResult = await client.query(
+      "SELECT id FROM trips WHERE user_firebase_uid = $1 AND deleted_at IS NULL",
+      [req.user.uid]
+    );
+
+    const backup = await exportTrips(client, tripResult.rows.map((row) => row.id));
+    res.set("Content-Disposition", 'attachment; filename="trips-backup.json"');
+    res.json(backup);
+  } finally {
+    client.release();
+  }
+});
+
+// Get one trip by ID with enhanced data
+app.get("/trips/:id", verifyToken, authorize("trip", "id", "viewer"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT 
+        t.*,
+        get_trip_status(t.start_date, t.end_date, t.time_zone) as trip_status,
+        get_trip_days_info(t.start_date, t.end_date, t.time_zone) as days_info,
+        (t.end_date - t.start_date + 1) as duration_days,
+        ${TRIP_TIME_COLUMNS},
+        COUNT(DISTINCT d.id) as destination_count,
+        COUNT(DISTINCT p.id) as photo_count,
+        COUNT(DISTINCT CASE WHEN d.is_completed THEN d.id END) as completed_destinations
+       FROM trips t
+       LEFT JOIN destinations d ON t.id = d.trip_id AND d.deleted_at IS NULL
+       LEFT JOIN photos p ON t.id = p.trip_id AND p.deleted_at IS NULL
+       WHERE t.id = $1
+       GROUP BY t.id`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) throw new ApiError("not_found", "Trip not found");
+    const trip = result.rows[0];
+    const home = await loadHomeCurrency(client, req.user.uid);
+
+    res.set("ETag", formatETag(trip.version));
+    res.json({
+      ...trip,
+      budget_in_home_currency: home.convert(trip.budget, trip.currency),
+      role: req.tripRole,
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Columns PUT /trips/:id may write. Fields left out of the body keep their
+// stored value, and so does null for the columns that cannot be empty.
+const TRIP_UPDATE_COLUMNS = [
+  "title", "country", "city", "start_date", "end_date", "notes", "image_url", "budget", "trip_rating",
+];
+const TRIP_UPDATE_NOT_NULL_COLUMNS = ["trip_type", "currency", "time_zone", "traveler_count", "is_favorite"];
+
+// Update a trip
+app.put("/trips/:id", verifyToken, authorize("trip", "id", "editor"), checkVersion("trip"),
+  validateBody(schemas.tripUpdate), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const values = {};
+    for (const column of TRIP_UPDATE_COLUMNS) {
+      if (req.body[column] !== undefined) values[column] = req.body[column];
+    }
+    for (const column of TRIP_UPDATE_NOT_NULL_COLUMNS) {
+      if (req.body[column] != null) values[column] = req.body[column];
+    }
+    if (values.currency) values.currency = values.currency.toUpperCase();
+    const columns = Object.keys(values);
+
+    // Update the trip
+    const tripChange = {
+      entity: "trip",
+      entityId: req.tripId,
+      action: "update",
+      actorUid: req.user.uid,
+      check: req.versionCheck,
+    };
+    const result = await audited(client, tripChange, () => client.query(
+      `UPDATE trips SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(", ")}
+       WHERE id = $1
+       RETURNING version`,
+      [req.tripId, ...Object.values(values)]
+    ));
+    if (result.rows.length === 0) throw new ApiError("not_found", "Trip not found");
+
+    res.set("ETag", formatETag(result.rows[0].version));
+    res.json({ message: "Trip updated successfully", version: result.rows[0].version });
+  } finally {
+    client.release();
+  }
+});
+
+// Toggle favorite status for a trip
+app.patch("/trips/:id/favorite", verifyToken, authorize("trip"), checkVersion("trip"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const tripChange = {
+      entity: "trip",
+      entityId: req.tripId,
+      action: "toggle",
+      actorUid: req.user.uid,
+      check: req.versionCheck,
+    };
+    const result = await audited(client, tripChange, () => client.query(
+      "UPDATE trips SET is_favorite = NOT is_favorite WHERE id = $1 RETURNING is_favorite, version",
+      [req.params.id]
+    ));
+    if (result.rows.length === 0) throw new ApiError("not_found", "Trip not found");
+
+    res.set("ETag", formatETag(result.rows[0].version));
+    res.json({ is_favorite: result.rows[0].is_favorite, version: result.rows[0].version });
+  } finally {
+    client.release();
+  }
+});
+
+// Rate a trip
+app.patch("/trips/:id/rating", verifyToken, authorize("trip"), checkVersion("trip"),
+  validateBody(schemas.rating), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { rating } = req.body;
+
+    const tripChange = {
+      entity: "trip",
+      entityId: req.tripId,
+      action: "update",
+      actorUid: req.user.uid,
+      check: req.versionCheck,
+    };
+    const result = await audited(client, tripChange, () => client.query(
+      "UPDATE trips SET trip_rating = $1 WHERE id = $2 RETURNING version",
+      [rating, req.params.id]
+    ));
+    if (result.rows.length === 0) throw new ApiError("not_found", "Trip not found");
+
+    res.set("ETag", formatETag(result.rows[0].version));
+    res.json({ message: "Trip rated successfully", version: result.rows[0].version });
+  } finally {
+    client.release();
+  }
+});
+
+// Move a trip to the trash. Its destinations and photos go with it, stamped
+// with the same deleted_at so restoring the trip brings back exactly those.
+app.delete("/trips/:id", verifyToken, authorize("trip"), checkVersion("trip"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const tripChange = {
+      entity: "trip",
+      entityId: req.tripId,
+      action: "delete",
+      actorUid: req.user.uid,
+      check: req.versionCheck,
+    };
+    await audited(client, tripChange, async () => {
+      const result = await client.query(
+        "UPDATE trips SET deleted_at = NOW() WHERE id = $1 RETURNING deleted_at",
+        [req.tripId]
+      );
+      const { deleted_at } = result.rows[0];
+      await client.query(
+        "UPDATE destinations SET deleted_at = $1 WHERE trip_id = $2 AND deleted_at IS NULL",
+        [deleted_at, req.tripId]
+      );
+      await client.query(
+        "UPDATE photos SET deleted_at = $1 WHERE trip_id = $2 AND deleted_at IS NULL",
+        [deleted_at, req.tripId]
+      );
+    });
+    res.json({ message: "Trip moved to trash" });
+  } finally {
+    client.release();
+  }
+});
+
+// Copy a trip and its destinations to a new start_date. Visit dates move by
+// the same number of days; completion, favorite, rating, photos and expenses
+// start fresh. Anyone who can view the trip may copy it; the copy is theirs.
+app.post("/trips/:id/duplicate", verifyToken, authorize("trip", "id", "viewer"),
+  validateBody(schemas.tripCopy), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { start_date, title } = req.body;
+
+    await client.query("BEGIN");
+    const trip = await createTripFromPlan(client, req.user.uid, await planFromTrip(client, req.tripId), start_date,
+      title ? { title } : {});
+    await recordChange(client, {
+      entity: "trip",
+      entityId: trip.id,
+      action: "create",
+      actorUid: req.user.uid,
+      tripId: trip.id,
+      before: null,
+      after: await snapshot(client, "trip", trip.id),
+    });
+    await client.query("COMMIT");
+
+    res.status(201).json(trip);
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+});
+
+// === DESTINATIONS ===
+
+// Destinations with price_range_estimate: their price_range read as an amount
+// in the trip's currency (unless it names another) and shown in the user's
+// home currency
+async function withPriceEstimates(client, uid, tripId, destinations) {
+  const tripResult = await client.query("SELECT currency FROM trips WHERE id = $1", [tripId]);
+  const home = await loadHomeCurrency(client, uid);
+  return destinations.map((d) => ({
+    ...d,
+    price_range_estimate: home.estimatePriceRange(d.price_range, tripResult.rows[0].currency),
+  }));
+}
+
+// Get destinations for a trip (enhanced)
+app.get("/destinations", verifyToken, authorize("trip", "trip_id", "viewer"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { trip_id } = req.query;
+    const result = await client.query(
+      `SELECT d.*, ${DESTINATION_TIME_COLUMNS}
+       FROM destinations d
+       JOIN trips t ON t.id = d.trip_id
+       WHERE d.trip_id = $1 AND d.deleted_at IS NULL
+       ORDER BY d.priority_level ASC, d.visit_date ASC, d.order_index ASC`,
+      [trip_id]
+    );
+    res.json(await withPriceEstimates(client, req.user.uid, req.tripId, result.rows));
+  } finally {
+    client.release();
+  }
+});
+
+// Add destination to a specific trip (enhanced)
+app.post("/trips/:tripId/destinations", verifyToken, authorize("trip", "tripId", "editor"),
+  validateBody(schemas.destination), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { tripId } = req.params;
+    const {
+      name,
+      description,
+      image_url,
+      order_index,
+      destination_type,
+      address,
+      visit_date,
+      visit_time,
+      price_range,
+      priority_level,
+      location_lat,
+      location_lng,
+      time_zone
+    } = req.body;
+
+    const destinationChange = { entity: "destination", tripId: req.tripId, action: "create", actorUid: req.user.uid };
+    const result = await audited(client, destinationChange, () => client.query(
+      `INSERT INTO destinations (
+        trip_id, name, description, image_url, order_index,
+        destination_type, address, visit_date, visit_time, price_range, priority_level,
+        latitude, longitude, time_zone
+      )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+       RETURNING *`,
+      [tripId, name, description, image_url, order_index, destination_type, address,
+        visit_date, visit_time, price_range, priority_level, location_lat, location_lng, time_zone]
+    ));
+
+    res.status(201).json(result.rows[0]);
+  } finally {
+    client.release();
+  }
+});
+
+// Update a destination (enhanced). Fields left out of the body keep their
+// current value, so a reorder can send just order_index.
+app.put("/destinations/:id", verifyToken, authorize("destination", "id", "editor"), checkVersion("destination"),
+  validateBody(schemas.destinationUpdate, { partial: true }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const {
+      name,
+      description,
+      image_url,
+      order_index,
+      destination_type,
+      address,
+      visit_date,
+      visit_time,
+      price_range,
+      priority_level,
+      is_completed,
+      location_lat,
+      location_lng,
+      time_zone
+    } = req.body;
+
+    const destinationChange = {
+      entity: "destination",
+      entityId: req.params.id,
+      tripId: req.tripId,
+      action: "update",
+      actorUid: req.user.uid,
+      check: req.versionCheck,
+    };
+    const result = await audited(client, destinationChange, () => client.query(
+      `UPDATE destinations
+       SET name = COALESCE($1, name),
+           description = COALESCE($2, description),
+           image_url = COALESCE($3, image_url),
+           order_index = COALESCE($4, order_index),
+           destination_type = COALESCE($5, destination_type),
+           address = COALESCE($6, address),
+           visit_date = COALESCE($7, visit_date),
+           visit_time = COALESCE($8, visit_time),
+           price_range = COALESCE($9, price_range),
+           priority_level = COALESCE($10, priority_level),
+           is_completed = COALESCE($11, is_completed),
+           latitude = COALESCE($12, latitude),
+           longitude = COALESCE($13, longitude),
+           time_zone = COALESCE($14, time_zone)
+       WHERE id = $15
+       RETURNING version`,
+      [name, description, image_url, order_index, destination_type, address,
+        visit_date, visit_time, price_range, priority_level, is_completed,
+        location_lat, location_lng, time_zone, req.params.id]
+    ));
+    if (result.rows.length === 0) throw new ApiError("not_found", "Destination not found");
+
+    res.set("ETag", formatETag(result.rows[0].version));
+    res.json({ message: "Destination updated successfully", version: result.rows[0].version });
+  } finally {
+    client.release();
+  }
+});
+
+// Toggle destination completion
+app.patch("/destinations/:id/complete", verifyToken, authorize("destination", "id", "editor"),
+  checkVersion("destination"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const destinationChange = {
+      entity: "destination",
+      entityId: req.params.id,
+      tripId: req.tripId,
+      action: "toggle",
+      actorUid: req.user.uid,
+      check: req.versionCheck,
+    };
+    const result = await audited(client, destinationChange, () => client.query(
+      "UPDATE destinations SET is_completed = NOT is_completed WHERE id = $1 RETURNING is_completed, version",
+      [req.params.id]
+    ));
+    if (result.rows.length === 0) throw new ApiError("not_found", "Destination not found");
+
+    res.set("ETag", formatETag(result.rows[0].version));
+    res.json({ is_completed: result.rows[0].is_completed, version: result.rows[0].version });
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a destination
+app.delete("/destinations/:id", verifyToken, authorize("destination", "id", "editor"),
+  checkVersion("destination"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const destinationChange = {
+      entity: "destination",
+      entityId: req.params.id,
+      tripId: req.tripId,
+      action: "delete",
+      actorUid: req.user.uid,
+      check: req.versionCheck,
+    };
+    await audited(client, destinationChange, () =>
+      client.query("UPDATE destinations SET deleted_at = NOW() WHERE id = $1", [req.params.id])
+    );
+    res.json({ message: "Destination moved to trash" });
+  } finally {
+    client.release();
+  }
+});
+
+// Get destinations for a specific trip (enhanced)
+app.get("/trips/:id/destinations", verifyToken, authorize("trip", "id", "viewer"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+
+    const result = await client.query(
+      `SELECT d.*, ${DESTINATION_TIME_COLUMNS}
+       FROM destinations d
+       JOIN trips t ON t.id = d.trip_id
+       WHERE d.trip_id = $1 AND d.deleted_at IS NULL
+       ORDER BY d.priority_level ASC, d.visit_date ASC, d.order_index ASC`,
+      [id]
+    );
+
+    res.json(await withPriceEstimates(client, req.user.uid, req.tripId, result.rows));
+  } finally {
+    client.release();
+  }
+});
+
+// Export a trip's destinations for map apps and GPS devices
+app.get("/trips/:id/destinations/export", verifyToken, authorize("trip", "id", "viewer"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const format = String(req.query.format || "geojson").toLowerCase();
+    if (!GEO_FORMATS[format]) {
+      throw new ApiError("bad_request", `Format must be one of: ${Object.keys(GEO_FORMATS).join(", ")}`);
+    }
+
+    const tripResult = await client.query("SELECT * FROM trips WHERE id = $1", [req.tripId]);
+    const destinationResult = await client.query(
+      "SELECT * FROM destinations WHERE trip_id = $1 AND deleted_at IS NULL",
+      [req.tripId]
+    );
+
+    const trip = tripResult.rows[0];
+    const { body, contentType, extension } = exportDestinations(format, trip, destinationResult.rows);
+
+    res.set("Content-Type", `${contentType}; charset=utf-8`);
+    res.set("Content-Disposition", `attachment; filename="trip-${trip.id}.${extension}"`);
+    res.send(body);
+  } finally {
+    client.release();
+  }
+});
+
+// Get the trip as a day-by-day itinerary. Flags overlapping visit_time slots
+// (slot_minutes long, 60 by default), destinations dated outside the trip and
+// empty days.
+app.get("/trips/:id/itinerary", verifyToken, authorize("trip", "id", "viewer"),
+  validateQuery(schemas.itineraryQuery), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const tripResult = await client.query("SELECT * FROM trips WHERE id = $1", [req.tripId]);
+    const destinationResult = await client.query(
+      `SELECT d.*, ${DESTINATION_TIME_COLUMNS}
+       FROM destinations d
+       JOIN trips t ON t.id = d.trip_id
+       WHERE d.trip_id = $1 AND d.deleted_at IS NULL`,
+      [req.tripId]
+    );
+
+    const slotMinutes = req.queryParams.slot_minutes || DEFAULT_SLOT_MINUTES;
+    res.json(buildItinerary(tripResult.rows[0], destinationResult.rows, { slotMinutes }));
+  } finally {
+    client.release();
+  }
+});
+
+// Propose a shorter visiting order for each day of a trip. Destinations with a
+// visit_time stay in their time slots. With apply: true the proposed order is
+// written to order_index (numbered per day) in one transaction. A day with
+// more than MAX_STOPS_PER_DAY located destinations is refused with 400.
+app.post("/trips/:id/optimize-route", verifyToken, authorize("trip", "id", "viewer"),
+  validateBody(schemas.optimizeRoute), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { visit_date, start_lat, start_lng, end_lat, end_lng, apply } = req.body;
+
+    if (apply && ROLE_RANK[req.tripRole] < ROLE_RANK.editor) {
+      throw new ApiError("forbidden", "Not authorized to reorder this trip");
+    }
+
+    const result = await client.query(
+      `SELECT d.id, d.name, d.visit_date, d.visit_time, d.priority_level, d.order_index, d.latitude, d.longitude,
+        ${DESTINATION_TIME_COLUMNS}
+       FROM destinations d
+       JOIN trips t ON t.id = d.trip_id
+       WHERE d.trip_id = $1 AND d.visit_date IS NOT NULL AND d.deleted_at IS NULL
+         AND ($2::date IS NULL OR d.visit_date = $2)`,
+      [req.tripId, visit_date ?? null]
+    );
+
+    const proposal = optimizeRoute(result.rows, {
+      start: start_lat != null ? { latitude: start_lat, longitude: start_lng } : null,
+      end: end_lat != null ? { latitude: end_lat, longitude: end_lng } : null,
+    });
+    if (proposal.error) throw new ApiError("bad_request", proposal.error);
+
+    if (apply) {
+      await client.query("BEGIN");
+      try {
+        for (const day of proposal.days) {
+          for (const stop of day.order) {
+            if (stop.order_index === stop.previous_order_index) continue;
+            const before = await snapshot(client, "destination", stop.destination_id);
+            await client.query(
+              "UPDATE destinations SET order_index = $1 WHERE id = $2 AND trip_id = $3",
+              [stop.order_index, stop.destination_id, req.tripId]
+            );
+            await recordChange(client, {
+              entity: "destination",
+              entityId: stop.destination_id,
+              tripId: req.tripId,
+              action: "update",
+              actorUid: req.user.uid,
+              before,
+              after: await snapshot(client, "destination", stop.destination_id),
+            });
+          }
+        }
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      }
+    }
+
+    res.json({ ...proposal, applied: Boolean(apply) });
+  } finally {
+    client.release();
+  }
+});
+
+// Reorder a trip's destinations in one go. The body lists every destination
+// of the trip in planner order, optionally with a new visit_date; order_index
+// is renumbered from 0 within each day, as optimize-route does.
+app.patch("/trips/:id/destinations/order", verifyToken, authorize("trip", "id", "editor"),
+  validateBody(schemas.destinationOrder), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { destinations } = req.body;
+
+    await client.query("BEGIN");
+    try {
+      // Locked, so no destination is deleted or moved between the check and the writes
+      const current = await client.query(
+        "SELECT id, visit_date, order_index FROM destinations WHERE trip_id = $1 AND deleted_at IS NULL FOR UPDATE",
+        [req.tripId]
+      );
+      const byId = new Map(current.rows.map((d) => [String(d.id), d]));
+
+      // The list has to be the trip's complete set of destinations, each once
+      const details = [];
+      const listed = new Set();
+      destinations.forEach(({ id }, index) => {
+        const field = `destinations[${index}].id`;
+        if (!byId.has(String(id))) details.push({ field, message: `Destination ${id} is not part of this trip` });
+        else if (listed.has(String(id))) details.push({ field, message: `Destination ${id} is listed more than once` });
+        listed.add(String(id));
+      });
+      for (const id of byId.keys()) {
+        if (!listed.has(id)) details.push({ field: "destinations", message: `Destination ${id} is missing from the order` });
+      }
+      if (details.length > 0) throw new ApiError("validation_failed", "Validation failed", details);
+
+      const nextIndex = new Map();
+      const order = destinations.map(({ id, visit_date }) => {
+        const existing = byId.get(String(id));
+        const date = visit_date !== undefined ? visit_date : toDateKey(existing.visit_date);
+        const orderIndex = nextIndex.get(date) ?? 0;
+        nextIndex.set(date, orderIndex + 1);
+        return {
+          id: existing.id,
+          visit_date: date,
+          order_index: orderIndex,
+          changed: date !== toDateKey(existing.visit_date) || orderIndex !== existing.order_index,
+        };
+      });
+
+      for (const stop of order.filter((entry) => entry.changed)) {
+        const before = await snapshot(client, "destination", stop.id);
+        await client.query(
+          "UPDATE destinations SET visit_date = $1, order_index = $2 WHERE id = $3",
+          [stop.visit_date, stop.order_index, stop.id]
+        );
+        await recordChange(client, {
+          entity: "destination",
+          entityId: stop.id,
+          tripId: req.tripId,
+          action: "update",
+          actorUid: req.user.uid,
+          before,
+          after: await snapshot(client, "destination", stop.id),
+        });
+      }
+      await client.query("COMMIT");
+
+      res.json({
+        updated: order.filter((entry) => entry.changed).length,
+        order: order.map(({ id, visit_date, order_index }) => ({ destination_id: id, visit_date, order_index })),
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    }
+  } finally {
+    client.release();
+  }
+});
+
+// Create, update, complete or delete many destinations in one transaction.
+// Answers with one result per operation; if any operation is invalid nothing
+// is applied.
+app.post("/trips/:id/destinations/batch", verifyToken, authorize("trip", "id", "editor"),
+  validateBody(schemas.destinationBatch), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { ok, results } = await runDestinationBatch(client, req, req.body.operations);
+    if (!ok) throw new ApiError("validation_failed", "Batch rejected, no changes were made", results);
+    res.json({ results });
+  } finally {
+    client.release();
+  }
+});
+
+// === PHOTOS ===
+
+// Uploaded photo files, when they are kept on local disk. Only served while
+// the photo and its trip are out of the trash, to callers with access to the
+// trip or with a live share link for it (?share=<token>, added by GET /shared/:token).
+if (getStorage().name === "local") {
+  const verifyTokenUnlessShared = (req, res, next) => (req.query.share ? next() : verifyToken(req, res, next));
+
+  app.get(`${LOCAL_URL_PREFIX}/*key`, verifyTokenUnlessShared, async (req, res) => {
+    const key = req.params.key.join("/");
+    const photoResult = await pool.query(
+      `SELECT p.trip_id FROM photos p
+       JOIN trips t ON t.id = p.trip_id
+       WHERE p.storage_key = ANY($1) AND p.deleted_at IS NULL AND t.deleted_at IS NULL`,
+      [photoKeysForFile(key)]
+    );
+    const photo = photoResult.rows[0];
+    if (!photo) throw new ApiError("not_found", "Photo not found");
+
+    if (req.query.share) {
+      const linkResult = await pool.query(
+        `SELECT 1 FROM share_links
+         WHERE token_hash = $1 AND trip_id = $2 AND revoked_at IS NULL
+           AND (expires_at IS NULL OR expires_at > NOW())`,
+        [hashToken(String(req.query.share)), photo.trip_id]
+      );
+      if (linkResult.rows.length === 0) throw new ApiError("forbidden", "Not authorized to access this photo");
+    } else {
+      const access = await findTripAccess("trip", photo.trip_id, req.user.uid);
+      if (!access || !access.role) throw new ApiError("forbidden", "Not authorized to access this photo");
+    }
+
+    res.set("Cache-Control", "private, max-age=3600");
+    await new Promise((resolve, reject) => {
+      res.sendFile(key, { root: getStorage().dir, dotfiles: "deny" }, (err) => (err ? reject(err) : resolve()));
+    }).catch((err) => {
+      if (err.status === 404) throw new ApiError("not_found", "Photo not found");
+      throw err;
+    });
+  });
+}
+
+// Get photos for a trip
+app.get("/trips/:tripId/photos", verifyToken, authorize("trip", "tripId", "viewer"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { tripId } = req.params;
+    const result = await client.query(
+      "SELECT * FROM photos WHERE trip_id = $1 AND deleted_at IS NULL ORDER BY uploaded_at DESC",
+      [tripId]
+    );
+    res.json(result.rows);
+  } finally {
+    client.release();
+  }
+});
+
+// Add a photo to a trip
+app.post("/trips/:tripId/photos", verifyToken, authorize("trip", "tripId", "editor"),
+  validateBody(schemas.photo), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { tripId } = req.params;
+    const { image_url, caption, destination_id } = req.body;
+
+    // A photo can only be linked to a destination of the same trip
+    if (!(await destinationBelongsToTrip(destination_id, req))) {
+      throw new ApiError("not_found", "Destination not found");
+    }
+
+    const photoChange = { entity: "photo", tripId: req.tripId, action: "create", actorUid: req.user.uid };
+    const result = await audited(client, photoChange, () => client.query(
+      `INSERT INTO photos (trip_id, image_url, caption, destination_id)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [tripId, image_url, caption, destination_id || null]
+    ));
+
+    res.status(201).json(result.rows[0]);
+  } finally {
+    client.release();
+  }
+});
+
+// Photo uploads are held in memory until they are checked and stored
+const MAX_PHOTO_BYTES = 15 * 1024 * 1024;
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PHOTO_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => cb(null, Boolean(PHOTO_TYPES[file.mimetype])),
+}).single("photo");
+
+// Middleware: parse a multipart upload, answering 400 for oversized or missing files
+function receivePhoto(req, res, next) {
+  photoUpload(req, res, (err) => {
+    if (err) {
+      const message = err.code === "LIMIT_FILE_SIZE"
+        ? `Photo must be at most ${MAX_PHOTO_BYTES / 1024 / 1024} MB`
+        : err.message;
+      return next(new ApiError(err.code === "LIMIT_FILE_SIZE" ? "payload_too_large" : "bad_request", message));
+    }
+    if (!req.file) {
+      return next(new ApiError("bad_request", `A photo file is required, one of: ${Object.keys(PHOTO_TYPES).join(", ")}`));
+    }
+    next();
+  });
+}
+
+// Upload a photo file (multipart field "photo"). Thumbnails are generated and
+// EXIF capture time and GPS position read. The response suggests the
+// destination the photo was most likely taken at; with assign_destination=true
+// that suggestion is also saved when no destination_id was given.
+app.post("/trips/:tripId/photos/upload", verifyToken, authorize("trip", "tripId", "editor"),
+  receivePhoto, validateBody(schemas.photoUpload), async (req, res) => {
+  const client = await pool.connect();
+  let stored = null;
+  try {
+    const { caption, destination_id, assign_destination } = req.body;
+
+    if (!(await destinationBelongsToTrip(destination_id, req))) {
+      throw new ApiError("not_found", "Destination not found");
+    }
+
+    stored = await storePhoto(req.tripId, req.file);
+    if (!stored) throw new ApiError("bad_request", "Photo is not a readable image");
+
+    const destinationResult = await client.query(
+      "SELECT id, name, visit_date, latitude, longitude FROM destinations WHERE trip_id = $1 AND deleted_at IS NULL",
+      [req.tripId]
+    );
+    const suggestion = suggestDestination(stored, destinationResult.rows);
+    const linkedDestination = destination_id || (assign_destination && suggestion ? suggestion.destination_id : null);
+
+    const photoChange = { entity: "photo", tripId: req.tripId, action: "create", actorUid: req.user.uid };
+    const result = await audited(client, photoChange, () => client.query(
+      `INSERT INTO photos (trip_id, image_url, caption, destination_id, storage_key, thumbnail_urls,
+                           width, height, taken_at, latitude, longitude)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [req.tripId, stored.image_url, caption, linkedDestination, stored.storage_key,
+        JSON.stringify(stored.thumbnail_urls), stored.width, stored.height, stored.taken_at,
+        stored.latitude, stored.longitude]
+    ));
+
+    res.status(201).json({ ...result.rows[0], destination_suggestion: suggestion });
+  } catch (err) {
+    // Don't leave files behind for a photo that was never saved
+    if (stored) await removePhotoFiles(stored).catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+});
+
+// Suggest the destination a photo was taken at, from its EXIF time and position
+app.get("/photos/:id/destination-suggestion", verifyToken, authorize("photo", "id", "viewer"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const photoResult = await client.query("SELECT * FROM photos WHERE id = $1", [req.params.id]);
+    const destinationResult = await client.query(
+      "SELECT id, name, visit_date, latitude, longitude FROM destinations WHERE trip_id = $1 AND deleted_at IS NULL",
+      [req.tripId]
+    );
+
+    const photo = photoResult.rows[0];
+    res.json({
+      photo_id: photo.id,
+      destination_id: photo.destination_id,
+      destination_suggestion: suggestDestination(photo, destinationResult.rows),
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a photo. Uploaded files stay until the trash is purged, so the
+// photo can still be restored.
+app.delete("/photos/:id", verifyToken, authorize("photo", "id", "editor"), checkVersion("photo"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+
+    const photoChange = {
+      entity: "photo",
+      entityId: id,
+      tripId: req.tripId,
+      action: "delete",
+      actorUid: req.user.uid,
+      check: req.versionCheck,
+    };
+    await audited(client, photoChange, () =>
+      client.query("UPDATE photos SET deleted_at = NOW() WHERE id = $1", [id])
+    );
+
+    res.json({ message: "Photo moved to trash" });
+  } finally {
+    client.release();
+  }
+});
+
+// === ACTIVITY ===
+
+// Paginated history of changes to a trip and its destinations and photos,
+// newest first. Pass next_cursor back as cursor for the next page.
+app.get("/trips/:id/activity", verifyToken, authorize("trip", "id", "viewer"),
+  validateQuery(schemas.activityQuery), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { limit, cursor, entity_type } = req.queryParams;
+
+    const result = await client.query(
+      `SELECT a.*, p.display_name as actor_display_name
+       FROM audit_log a
+       LEFT JOIN user_profiles p ON p.firebase_uid = a.actor_uid
+       WHERE a.trip_id = $1
+         AND ($2::integer IS NULL OR a.id < $2)
+         AND ($3::text IS NULL OR a.entity_type = $3)
+       ORDER BY a.id DESC
+       LIMIT $4`,
+      [req.tripId, cursor ?? null, entity_type ?? null, limit + 1]
+    );
+
+    const hasMore = result.rows.length > limit;
+    const entries = hasMore ? result.rows.slice(0, limit) : result.rows;
+    res.json({ entries, next_cursor: hasMore ? entries[entries.length - 1].id : null });
+  } finally {
+    client.release();
+  }
+});
+
+// Put one field from an activity entry back to its previous value. Fails with
+// 409 when the field has been changed again since.
+app.post("/trips/:id/activity/:entryId/revert", verifyToken, authorize("trip", "id", "editor"),
+  validateBody(schemas.activityRevert), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const entryResult = await client.query(
+      "SELECT * FROM audit_log WHERE id = $1 AND trip_id = $2",
+      [req.params.entryId, req.tripId]
+    );
+    if (entryResult.rows.length === 0) throw new ApiError("not_found", "Activity entry not found");
+
+    const entry = await revertField(client, entryResult.rows[0], req.body.field, req.user.uid);
+    res.json({ message: "Change reverted", entry });
+  } finally {
+    client.release();
+  }
+});
+
+// === TRASH ===
+
+// List the caller's trashed trips, plus destinations and photos trashed on
+// their own from trips they can edit. purge_at is when the purge job removes them.
+app.get("/trash", verifyToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { uid } = req.user;
+    const days = retentionDays();
+
+    const tripResult = await client.query(
+      `SELECT t.*, t.deleted_at + make_interval(days => $2) as purge_at,
+        (SELECT COUNT(*) FROM destinations d WHERE d.trip_id = t.id AND d.deleted_at = t.deleted_at) as destination_count,
+        (SELECT COUNT(*) FROM photos p WHERE p.trip_id = t.id AND p.deleted_at = t.deleted_at) as photo_count
+       FROM trips t
+       WHERE t.user_firebase_uid = $1 AND t.deleted_at IS NOT NULL
+       ORDER BY t.deleted_at DESC`,
+      [uid, days]
+    );
+
+    // Trips the caller may edit, which is what deleting and restoring their items requires
+    const editableTrips = `SELECT t.id FROM trips t
+       LEFT JOIN trip_collaborators c
+         ON c.trip_id = t.id AND c.user_firebase_uid = $1 AND c.status = 'accepted'
+       WHERE t.deleted_at IS NULL
+         AND (t.user_firebase_uid = $1 OR c.role = 'editor')`;
+
+    const destinationResult = await client.query(
+      `SELECT *, deleted_at + make_interval(days => $2) as purge_at FROM destinations
+       WHERE deleted_at IS NOT NULL AND trip_id IN (${editableTrips})
+       ORDER BY deleted_at DESC`,
+      [uid, days]
+    );
+    const photoResult = await client.query(
+      `SELECT *, deleted_at + make_interval(days => $2) as purge_at FROM photos
+       WHERE deleted_at IS NOT NULL AND trip_id IN (${editableTrips})
+       ORDER BY deleted_at DESC`,
+      [uid, days]
+    );
+
+    res.json({
+      retention_days: days,
+      trips: tripResult.rows,
+      destinations: destinationResult.rows,
+      photos: photoResult.rows,
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Restore a trip together with the destinations and photos trashed with it
+app.post("/trash/trips/:id/restore", verifyToken, authorize("trip", "id", "owner", { includeDeleted: true }),
+  async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const tripChange = { entity: "trip", entityId: req.tripId, action: "restore", actorUid: req.user.uid };
+    const restored = await audited(client, tripChange, async () => {
+      const result = await client.query("SELECT deleted_at FROM trips WHERE id = $1", [req.tripId]);
+      const { deleted_at } = result.rows[0];
+      if (!deleted_at) return null;
+
+      await client.query("UPDATE trips SET deleted_at = NULL WHERE id = $1", [req.tripId]);
+      const destinations = await client.query(
+        "UPDATE destinations SET deleted_at = NULL WHERE trip_id = $1 AND deleted_at = $2",
+        [req.tripId, deleted_at]
+      );
+      const photos = await client.query(
+        "UPDATE photos SET deleted_at = NULL WHERE trip_id = $1 AND deleted_at = $2",
+        [req.tripId, deleted_at]
+      );
+      return { destinations: destinations.rowCount, photos: photos.rowCount };
+    });
+
+    if (!restored) throw new ApiError("not_found", "Trip is not in the trash");
+    res.json({
+      message: "Trip restored",
+      trip_id: req.tripId,
+      restored_destinations: restored.destinations,
+      restored_photos: restored.photos,
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Restore a single destination. Its trip has to be restored first.
+app.post("/trash/destinations/:id/restore", verifyToken,
+  authorize("destination", "id", "editor", { includeDeleted: true }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const destinationChange = {
+      entity: "destination",
+      entityId: req.params.id,
+      tripId: req.tripId,
+      action: "restore",
+      actorUid: req.user.uid,
+    };
+    const result = await audited(client, destinationChange, () => client.query(
+      `UPDATE destinations d SET deleted_at = NULL
+       FROM trips t
+       WHERE d.id = $1 AND t.id = d.trip_id AND d.deleted_at IS NOT NULL AND t.deleted_at IS NULL
+       RETURNING d.*`,
+      [req.params.id]
+    ));
+
+    if (result.rows.length === 0) {
+      throw new ApiError("not_found", "Destination is not in the trash, or its trip is");
+    }
+    res.json(result.rows[0]);
+  } finally {
+    client.release();
+  }
+});
+
+// Restore a single photo. Its trip has to be restored first.
+app.post("/trash/photos/:id/restore", verifyToken,
+  authorize("photo", "id", "editor", { includeDeleted: true }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const photoChange = { entity: "photo", entityId: req.params.id, tripId: req.tripId, action: "restore", actorUid: req.user.uid };
+    const result = await audited(client, photoChange, () => client.query(
+      `UPDATE photos p SET deleted_at = NULL
+       FROM trips t
+       WHERE p.id = $1 AND t.id = p.trip_id AND p.deleted_at IS NOT NULL AND t.deleted_at IS NULL
+       RETURNING p.*`,
+      [req.params.id]
+    ));
+
+    if (result.rows.length === 0) {
+      throw new ApiError("not_found", "Photo is not in the trash, or its trip is");
+    }
+    res.json(result.rows[0]);
+  } finally {
+    client.release();
+  }
+});
+
+// === BACKUP ===
+
+// Export one trip as a backup document
+app.get("/trips/:id/export", verifyToken, authorize("trip", "id", "viewer"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const backup = await exportTrips(client, [req.tripId]);
+    res.set("Content-Disposition", `attachment; filename="trip-${req.tripId}-backup.json"`);
+    res.json(backup);
+  } finally {
+    client.release();
+  }
+});
+
+// Import a backup document as new trips owned by the current user
+app.post("/trips/import", verifyToken, async (req, res) => {
+  const errors = validateBackup(req.body);
+  if (errors.length > 0) {
+    throw new ApiError("validation_failed", "Invalid backup document", errors);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const imported = await importTrips(client, req.body, req.user.uid);
+    for (const { trip_id } of imported) {
+      await recordChange(client, {
+        entity: "trip",
+        entityId: trip_id,
+        tripId: trip_id,
+        action: "create",
+        actorUid: req.user.uid,
+        before: null,
+        after: await snapshot(client, "trip", trip_id),
+      });
+    }
+    await client.query("COMMIT");
+
+    res.status(201).json({ message: "Trips imported successfully", trips: imported });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+});
+
+// === COLLABORATORS ===
+
+// List collaborators and pending invitations for a trip
+app.get("/trips/:id/collaborators", verifyToken, authorize("trip", "id", "viewer"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT id, trip_id, invited_email, user_firebase_uid, role, status,
+              invited_by, created_at, accepted_at
+       FROM trip_collaborators
+       WHERE trip_id = $1 AND status <> 'revoked'
+       ORDER BY created_at ASC`,
+      [req.tripId]
+    );
+    res.json(result.rows);
+  } finally {
+    client.release();
+  }
+});
+
+// Invite a user to a trip by email
+app.post("/trips/:id/collaborators", verifyToken, authorize("trip"), validateBody(schemas.collaboratorInvite), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { uid } = req.user;
+    // The email arrives trimmed and lowercased from validation
+    const { email: invitedEmail, role } = req.body;
+
+    if (req.user.email && invitedEmail === req.user.email.toLowerCase()) {
+      throw new ApiError("bad_request", "You already own this trip");
+    }
+
+    const existing = await client.query(
+      `SELECT id FROM trip_collaborators
+       WHERE trip_id = $1 AND invited_email = $2 AND status <> 'revoked'`,
+      [req.tripId, invitedEmail]
+    );
+    if (existing.rows.length > 0) {
+      throw new ApiError("already_exists", "This email has already been invited");
+    }
+
+    const result = await client.query(
+      `INSERT INTO trip_collaborators (trip_id, invited_email, role, status, invited_by)
+       VALUES ($1, $2, $3, 'pending', $4)
+       RETURNING *`,
+      [req.tripId, invitedEmail, role, uid]
+    );
+
+    res.status(201).json(result.rows[0]);
+  } finally {
+    client.release();
+  }
+});
+
+// Change a collaborator's role
+app.patch("/trips/:id/collaborators/:collaboratorId", verifyToken, authorize("trip"),
+  validateBody(schemas.collaboratorRole), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { role } = req.body;
+
+    const result = await client.query(
+      `UPDATE trip_collaborators SET role = $1
+       WHERE id = $2 AND trip_id = $3 AND status <> 'revoked'
+       RETURNING *`,
+      [role, req.params.collaboratorId, req.tripId]
+    );
+
+    if (result.rows.length === 0) throw new ApiError("not_found", "Collaborator not found");
+    res.json(result.rows[0]);
+  } finally {
+    client.release();
+  }
+});
+
+// Revoke an invitation or remove a collaborator. Collaborators may also remove themselves.
+app.delete("/trips/:id/collaborators/:collaboratorId", verifyToken, authorize("trip", "id", "viewer"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { uid } = req.user;
+
+    const result = await client.query(
+      `UPDATE trip_collaborators SET status = 'revoked'
+       WHERE id = $1 AND trip_id = $2 AND status <> 'revoked'
+         AND ($3 = 'owner' OR user_firebase_uid = $4)
+       RETURNING id`,
+      [req.params.collaboratorId, req.tripId, req.tripRole, uid]
+    );
+
+    if (result.rows.length === 0) throw new ApiError("not_found", "Collaborator not found");
+    res.json({ message: "Collaborator removed successfully" });
+  } finally {
+    client.release();
+  }
+});
+
+// List pending invitations sent to the current user's email
+app.get("/invitations", verifyToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { email } = req.user;
+    if (!email) return res.json([]);
+
+    const result = await client.query(
+      `SELECT c.id, c.trip_id, c.role, c.invited_by, c.created_at,
+              t.title, t.country, t.city, t.start_date, t.end_date
+       FROM trip_collaborators c
+       JOIN trips t ON t.id = c.trip_id AND t.deleted_at IS NULL
+       WHERE c.invited_email = $1 AND c.status = 'pending'
+       ORDER BY c.created_at DESC`,
+      [email.toLowerCase()]
+    );
+    res.json(result.rows);
+  } finally {
+    client.release();
+  }
+});
+
+// Accept an invitation sent to the current user's email
+app.post("/invitations/:id/accept", verifyToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { uid, email } = req.user;
+    if (!email) throw new ApiError("not_found", "Invitation not found");
+
+    const result = await client.query(
+      `UPDATE trip_collaborators
+       SET status = 'accepted', user_firebase_uid = $1, accepted_at = NOW()
+       WHERE id = $2 AND invited_email = $3 AND status = 'pending'
+       RETURNING *`,
+      [uid, req.params.id, email.toLowerCase()]
+    );
+
+    if (result.rows.length === 0) throw new ApiError("not_found", "Invitation not found");
+    res.json(result.rows[0]);
+  } finally {
+    client.release();
+  }
+});
+
+// Decline an invitation sent to the current user's email
+app.post("/invitations/:id/decline", verifyToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { email } = req.user;
+    if (!email) throw new ApiError("not_found", "Invitation not found");
+
+    const result = await client.query(
+      `UPDATE trip_collaborators SET status = 'revoked'
+       WHERE id = $1 AND invited_email = $2 AND status = 'pending'
+       RETURNING id`,
+      [req.params.id, email.toLowerCase()]
+    );
+
+    if (result.rows.length === 0) throw new ApiError("not_found", "Invitation not found");
+    res.json({ message: "Invitation declined" });
+  } finally {
+    client.release();
+  }
+});
+
+// === EXPENSES ===
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Spending totals for a trip compared against its budget, in the trip's
+// currency. Expenses in other currencies are converted at the latest loaded
+// rate (by_currency shows the rate used). Currencies without a rate are left
+// out of every total and listed in `unconverted` instead, so amounts in
+// different currencies are never added up as if they were the same.
+async function getExpenseSummary(client, tripId) {
+  const tripResult = await client.query(
+    "SELECT budget, currency, traveler_count FROM trips WHERE id = $1",
+    [tripId]
+  );
+  const { budget, currency, traveler_count } = tripResult.rows[0];
+
+  const [byCategory, byDay, byCurrency] = await Promise.all([
+    client.query(
+      `SELECT category, currency, SUM(amount) as total, COUNT(*) as count
+       FROM trip_expenses WHERE trip_id = $1
+       GROUP BY category, currency`,
+      [tripId]
+    ),
+    client.query(
+      `SELECT expense_date as date, currency, SUM(amount) as total, COUNT(*) as count
+       FROM trip_expenses WHERE trip_id = $1
+       GROUP BY expense_date, currency ORDER BY expense_date ASC`,
+      [tripId]
+    ),
+    client.query(
+      `SELECT currency, SUM(amount) as total, COUNT(*) as count
+       FROM trip_expenses WHERE trip_id = $1
+       GROUP BY currency ORDER BY currency ASC`,
+      [tripId]
+    ),
+  ]);
+
+  const converter = await loadConverter(client);
+  const rates = new Map(byCurrency.rows.map((row) => [row.currency, converter.rate(row.currency, currency)]));
+  const inTripCurrency = (row) => {
+    const found = rates.get(row.currency);
+    return found ? parseFloat(row.total) * found.rate : null;
+  };
+
+  // Converted totals per group, keeping the first row's fields for the key
+  const sumGroups = (rows, keyOf) => {
+    const groups = new Map();
+    for (const row of rows) {
+      const total = inTripCurrency(row);
+      if (total === null) continue;
+      const key = keyOf(row);
+      const group = groups.get(key) || { row, total: 0, count: 0 };
+      group.total += total;
+      group.count += parseInt(row.count);
+      groups.set(key, group);
+    }
+    return [...groups.values()];
+  };
+
+  const converted = byCurrency.rows.filter((row) => rates.get(row.currency));
+  const totalSpent = roundMoney(converted.reduce((sum, row) => sum + inTripCurrency(row), 0));
+  const rateDates = converted.map((row) => rates.get(row.currency).rate_date).filter(Boolean).sort();
+  const budgetValue = budget !== null ? parseFloat(budget) : null;
+  const travelers = traveler_count > 0 ? traveler_count : 1;
+
+  return {
+    currency,
+    budget: budgetValue,
+    total_spent: totalSpent,
+    remaining: budgetValue !== null ? roundMoney(budgetValue - totalSpent) : null,
+    budget_used_percentage: budgetValue > 0 ? Math.round((totalSpent / budgetValue) * 100) : null,
+    expense_count: byCurrency.rows.reduce((count, row) => count + parseInt(row.count), 0),
+    traveler_count: travelers,
+    per_traveler_share: roundMoney(totalSpent / travelers),
+    rate_date: rateDates.length > 0 ? rateDates[0] : null,
+    by_category: sumGroups(byCategory.rows, (row) => row.category)
+      .sort((a, b) => b.total - a.total)
+      .map(({ row, total, count }) => ({ category: row.category, total: roundMoney(total), count })),
+    by_day: sumGroups(byDay.rows, (row) => toDateKey(row.date))
+      .map(({ row, total, count }) => ({ date: row.date, total: roundMoney(total), count })),
+    by_currency: byCurrency.rows.map((row) => {
+      const found = rates.get(row.currency);
+      return {
+        currency: row.currency,
+        total: roundMoney(parseFloat(row.total)),
+        count: parseInt(row.count),
+        total_in_trip_currency: found ? roundMoney(inTripCurrency(row)) : null,
+        rate: found ? Math.round(found.rate * 1e8) / 1e8 : null,
+        rate_date: found ? found.rate_date : null,
+      };
+    }),
+    unconverted: byCurrency.rows
+      .filter((row) => !rates.get(row.currency))
+      .map((row) => ({ currency: row.currency, total: roundMoney(parseFloat(row.total)), count: parseInt(row.count) })),
+  };
+}
+
+// Budget and spending of an expense summary in the user's home currency.
+// Each expense currency is converted straight from by_currency, not through
+// the trip currency; currencies without a loaded rate are listed in
+// unconverted_currencies and left out of total_spent.
+// rate_date is the oldest rate used (null when nothing needed converting).
+function summaryInHomeCurrency(summary, home) {
+  const budget = home.convert(summary.budget, summary.currency);
+  const unconverted = summary.budget !== null && !budget ? [summary.currency] : [];
+  const rateDates = budget && budget.rate_date ? [budget.rate_date] : [];
+
+  let totalSpent = 0;
+  for (const { currency, total } of summary.by_currency) {
+    const converted = home.convert(total, currency);
+    if (!converted) {
+      if (!unconverted.includes(currency)) unconverted.push(currency);
+      continue;
+    }
+    totalSpent += converted.amount;
+    if (converted.rate_date) rateDates.push(converted.rate_date);
+  }
+  totalSpent = roundMoney(totalSpent);
+
+  return {
+    currency: home.currency,
+    budget: budget ? budget.amount : null,
+    total_spent: totalSpent,
+    remaining: budget ? roundMoney(budget.amount - totalSpent) : null,
+    budget_used_percentage: budget && budget.amount > 0 ? Math.round((totalSpent / budget.amount) * 100) : null,
+    rate_date: rateDates.length > 0 ? rateDates.sort()[0] : null,
+    unconverted_currencies: unconverted,
+  };
+}
+
+// List expenses for a trip
+app.get("/trips/:id/expenses", verifyToken, authorize("trip", "id", "viewer"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT * FROM trip_expenses
+       WHERE trip_id = $1
+       ORDER BY expense_date DESC, created_at DESC`,
+      [req.tripId]
+    );
+    res.json(result.rows);
+  } finally {
+    client.release();
+  }
+});
+
+// Get spending summary for a trip
+app.get("/trips/:id/expenses/summary", verifyToken, authorize("trip", "id", "viewer"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const summary = await getExpenseSummary(client, req.tripId);
+    const home = await loadHomeCurrency(client, req.user.uid);
+    res.json({ ...summary, in_home_currency: summaryInHomeCurrency(summary, home) });
+  } finally {
+    client.release();
+  }
+});
+
+// Add an expense to a trip
+app.post("/trips/:id/expenses", verifyToken, authorize("trip", "id", "editor"), validateBody(schemas.expense), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { uid } = req.user;
+    const {
+      amount,
+      currency,
+      category,
+      expense_date,
+      description,
+      destination_id,
+      paid_by = uid
+    } = req.body;
+
+    if (!(await destinationBelongsToTrip(destination_id, req))) {
+      throw new ApiError("not_found", "Destination not found");
+    }
+
+    const result = await client.query(
+      `INSERT INTO trip_expenses
+        (trip_id, amount, currency, category, expense_date, description, destination_id, paid_by, created_by)
+       VALUES ($1, $2, COALESCE($3, (SELECT currency FROM trips WHERE id = $1)), $4,
+               COALESCE($5, (SELECT local_today(time_zone) FROM trips WHERE id = $1)), $6, $7, $8, $9)
+       RETURNING *`,
+      [req.tripId, amount, currency ? currency.toUpperCase() : null, category, expense_date, description,
+        destination_id || null, paid_by, uid]
+    );
+
+    res.status(201).json(result.rows[0]);
+  } finally {
+    client.release();
+  }
+});
+
+// Update an expense
+app.put("/trips/:id/expenses/:expenseId", verifyToken, authorize("trip", "id", "editor"),
+  validateBody(schemas.expense, { partial: true }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const {
+      amount,
+      currency,
+      category,
+      expense_date,
+      description,
+      destination_id,
+      paid_by
+    } = req.body;
+
+    if (!(await destinationBelongsToTrip(destination_id, req))) {
+      throw new ApiError("not_found", "Destination not found");
+    }
+
+    const result = await client.query(
+      `UPDATE trip_expenses
+       SET amount = COALESCE($1, amount),
+           currency = COALESCE($2, currency),
+           category = COALESCE($3, category),
+           expense_date = COALESCE($4, expense_date),
+           description = COALESCE($5, description),
+           destination_id = CASE WHEN $6::boolean THEN $7 ELSE destination_id END,
+           paid_by = COALESCE($8, paid_by)
+       WHERE id = $9 AND trip_id = $10
+       RETURNING *`,
+      [amount ?? null, currency ? currency.toUpperCase() : null, category ?? null, expense_date || null,
+        description ?? null, destination_id !== undefined, destination_id || null, paid_by ?? null,
+        req.params.expenseId, req.tripId]
+    );
+
+    if (result.rows.length === 0) throw new ApiError("not_found", "Expense not found");
+    res.json(result.rows[0]);
+  } finally {
+    client.release();
+  }
+});
+
+// Delete an expense
+app.delete("/trips/:id/expenses/:expenseId", verifyToken, authorize("trip", "id", "editor"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      "DELETE FROM trip_expenses WHERE id = $1 AND trip_id = $2 RETURNING id",
+      [req.params.expenseId, req.tripId]
+    );
+
+    if (result.rows.length === 0) throw new ApiError("not_found", "Expense not found");
+    res.json({ message: "Expense deleted successfully" });
+  } finally {
+    client.release();
+  }
+});
+
+// === CHECKLISTS ===
+
+// Load a trip's checklists with their items and progress
+async function loadChecklists(client, tripId, checklistId = null) {
+  const checklists = await client.query(
+    `SELECT * FROM trip_checklists
+     WHERE trip_id = $1 AND ($2::integer IS NULL OR id = $2)
+     ORDER BY created_at ASC, id ASC`,
+    [tripId, checklistId]
+  );
+  const items = await client.query(
+    `SELECT i.* FROM checklist_items i
+     JOIN trip_checklists c ON c.id = i.checklist_id
+     WHERE c.trip_id = $1 AND ($2::integer IS NULL OR c.id = $2)
+     ORDER BY i.position ASC, i.id ASC`,
+    [tripId, checklistId]
+  );
+
+  return checklists.rows.map((checklist) => {
+    const checklistItems = items.rows.filter((item) => item.checklist_id === checklist.id);
+    return { ...checklist, ...checklistProgress(checklistItems), items: checklistItems };
+  });
+}
+
+// Progress over every checklist of a trip, for the stats endpoint
+async function getChecklistSummary(client, tripId) {
+  const result = await client.query(
+    `SELECT i.is_done FROM checklist_items i
+     JOIN trip_checklists c ON c.id = i.checklist_id
+     WHERE c.trip_id = $1`,
+    [tripId]
+  );
+  return checklistProgress(result.rows);
+}
+
+async function insertChecklistItems(client, checklistId, items) {
+  for (const [position, item] of items.entries()) {
+    await client.query(
+      `INSERT INTO checklist_items (checklist_id, name, quantity, assignee, is_done, position)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [checklistId, item.name, item.quantity, item.assignee ?? null, item.is_done ?? false, position]
+    );
+  }
+}
+
+async function createChecklistTemplate(client, uid, { name, trip_types, min_days, max_days, items }) {
+  await client.query("BEGIN");
+  try {
+    const templateResult = await client.query(
+      `INSERT INTO checklist_templates (user_firebase_uid, name, trip_types, min_days, max_days)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [uid, name, trip_types, min_days ?? null, max_days ?? null]
+    );
+    const template = templateResult.rows[0];
+
+    const savedItems = [];
+    for (const [position, item] of items.entries()) {
+      const itemResult = await client.query(
+        `INSERT INTO checklist_template_items (template_id, name, quantity, scale, position)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [template.id, item.name, item.quantity, item.scale, position]
+      );
+      savedItems.push(itemResult.rows[0]);
+    }
+
+    await client.query("COMMIT");
+    return { ...template, items: savedItems };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  }
+}
+
+// List checklists for a trip
+app.get("/trips/:id/checklists", verifyToken, authorize("trip", "id", "viewer"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    res.json(await loadChecklists(client, req.tripId));
+  } finally {
+    client.release();
+  }
+});
+
+// Create an empty checklist
+app.post("/trips/:id/checklists", verifyToken, authorize("trip", "id", "editor"),
+  validateBody(schemas.checklist), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      "INSERT INTO trip_checklists (trip_id, name) VALUES ($1, $2) RETURNING *",
+      [req.tripId, req.body.name]
+    );
+    res.status(201).json({ ...result.rows[0], ...checklistProgress([]), items: [] });
+  } finally {
+    client.release();
+  }
+});
+
+// Create a checklist from one of the user's templates. Without template_id
+// the best match for the trip's trip_type and length is used.
+app.post("/trips/:id/checklists/from-template", verifyToken, authorize("trip", "id", "editor"),
+  validateBody(schemas.checklistFromTemplate), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { uid } = req.user;
+    const { template_id, name } = req.body;
+
+    const tripResult = await client.query(
+      "SELECT trip_type, traveler_count, (end_date - start_date + 1) as duration_days FROM trips WHERE id = $1",
+      [req.tripId]
+    );
+    const trip = tripResult.rows[0];
+    const days = trip.duration_days || 1;
+    const travelers = trip.traveler_count || 1;
+
+    const templateResult = await client.query(
+      `SELECT * FROM checklist_templates
+       WHERE user_firebase_uid = $1 AND ($2::integer IS NULL OR id = $2)`,
+      [uid, template_id ?? null]
+    );
+
+    const template = template_id
+      ? templateResult.rows[0]
+      : chooseTemplate(templateResult.rows, { tripType: trip.trip_type, days });
+    if (!template) {
+      throw new ApiError("not_found", template_id ? "Template not found" : "No template matches this trip");
+    }
+
+    const templateItems = await client.query(
+      "SELECT * FROM checklist_template_items WHERE template_id = $1 ORDER BY position ASC, id ASC",
+      [template.id]
+    );
+
+    await client.query("BEGIN");
+    try {
+      const checklistResult = await client.query(
+        "INSERT INTO trip_checklists (trip_id, name) VALUES ($1, $2) RETURNING id",
+        [req.tripId, name || template.name]
+      );
+      const checklistId = checklistResult.rows[0].id;
+
+      await insertChecklistItems(client, checklistId, templateItems.rows.map((item) => ({
+        name: item.name,
+        quantity: scaleQuantity(item, { days, travelers }),
+      })));
+      await client.query("COMMIT");
+
+      const [checklist] = await loadChecklists(client, req.tripId, checklistId);
+      res.status(201).json({ ...checklist, template_id: template.id });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    }
+  } finally {
+    client.release();
+  }
+});
+
+// Rename a checklist
+app.patch("/trips/:id/checklists/:checklistId", verifyToken, authorize("trip", "id", "editor"),
+  validateBody(schemas.checklist), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      "UPDATE trip_checklists SET name = $1 WHERE id = $2 AND trip_id = $3 RETURNING *",
+      [req.body.name, req.params.checklistId, req.tripId]
+    );
+
+    if (result.rows.length === 0) throw new ApiError("not_found", "Checklist not found");
+    res.json(result.rows[0]);
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a checklist and its items
+app.delete("/trips/:id/checklists/:checklistId", verifyToken, authorize("trip", "id", "editor"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      "DELETE FROM trip_checklists WHERE id = $1 AND trip_id = $2 RETURNING id",
+      [req.params.checklistId, req.tripId]
+    );
+
+    if (result.rows.length === 0) throw new ApiError("not_found", "Checklist not found");
+    res.json({ message: "Checklist deleted successfully" });
+  } finally {
+    client.release();
+  }
+});
+
+// Add an item to a checklist
+app.post("/trips/:id/checklists/:checklistId/items", verifyToken, authorize("trip", "id", "editor"),
+  validateBody(schemas.checklistItem), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { name, quantity, assignee, is_done } = req.body;
+
+    const result = await client.query(
+      `INSERT INTO checklist_items (checklist_id, name, quantity, assignee, is_done, done_at, position)
+       SELECT c.id, $3, $4, $5, $6, CASE WHEN $6 THEN NOW() END,
+              COALESCE((SELECT MAX(position) + 1 FROM checklist_items WHERE checklist_id = c.id), 0)
+       FROM trip_checklists c
+       WHERE c.id = $1 AND c.trip_id = $2
+       RETURNING *`,
+      [req.params.checklistId, req.tripId, name, quantity, assignee ?? null, is_done]
+    );
+
+    if (result.rows.length === 0) throw new ApiError("not_found", "Checklist not found");
+    res.status(201).json(result.rows[0]);
+  } finally {
+    client.release();
+  }
+});
+
+// Update a checklist item; only the fields sent are changed
+app.patch("/trips/:id/checklists/:checklistId/items/:itemId", verifyToken, authorize("trip", "id", "editor"),
+  validateBody(schemas.checklistItem, { partial: true }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { name, quantity, assignee, is_done } = req.body;
+
+    const result = await client.query(
+      `UPDATE checklist_items i
+       SET name = COALESCE($1, i.name),
+           quantity = COALESCE($2, i.quantity),
+           assignee = CASE WHEN $3::boolean THEN $4 ELSE i.assignee END,
+           is_done = COALESCE($5, i.is_done),
+           done_at = CASE
+             WHEN $5 IS NULL THEN i.done_at
+             WHEN $5 THEN COALESCE(i.done_at, NOW())
+             ELSE NULL
+           END
+       FROM trip_checklists c
+       WHERE i.id = $6 AND i.checklist_id = c.id AND c.id = $7 AND c.trip_id = $8
+       RETURNING i.*`,
+      [name || null, quantity ?? null, assignee !== undefined, assignee || null, is_done ?? null,
+        req.params.itemId, req.params.checklistId, req.tripId]
+    );
+
+    if (result.rows.length === 0) throw new ApiError("not_found", "Checklist item not found");
+    res.json(result.rows[0]);
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a checklist item
+app.delete("/trips/:id/checklists/:checklistId/items/:itemId", verifyToken, authorize("trip", "id", "editor"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `DELETE FROM checklist_items i
+       USING trip_checklists c
+       WHERE i.id = $1 AND i.checklist_id = c.id AND c.id = $2 AND c.trip_id = $3
+       RETURNING i.id`,
+      [req.params.itemId, req.params.checklistId, req.tripId]
+    );
+
+    if (result.rows.length === 0) throw new ApiError("not_found", "Checklist item not found");
+    res.json({ message: "Checklist item deleted successfully" });
+  } finally {
+    client.release();
+  }
+});
+
+// Save a checklist as one of the user's templates (quantities are kept as fixed)
+app.post("/trips/:id/checklists/:checklistId/save-as-template", verifyToken, authorize("trip", "id", "viewer"),
+  validateBody(schemas.checklistAsTemplate), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const [checklist] = await loadChecklists(client, req.tripId, req.params.checklistId);
+    if (!checklist) throw new ApiError("not_found", "Checklist not found");
+
+    const template = await createChecklistTemplate(client, req.user.uid, {
+      ...req.body,
+      items: checklist.items.map((item) => ({ name: item.name, quantity: item.quantity, scale: "fixed" })),
+    });
+    res.status(201).json(template);
+  } finally {
+    client.release();
+  }
+});
+
+// List the user's checklist templates
+app.get("/checklist-templates", verifyToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const templates = await client.query(
+      "SELECT * FROM checklist_templates WHERE user_firebase_uid = $1 ORDER BY name ASC",
+      [req.user.uid]
+    );
+    const items = await client.query(
+      `SELECT i.* FROM checklist_template_items i
+       JOIN checklist_templates t ON t.id = i.template_id
+       WHERE t.user_firebase_uid = $1
+       ORDER BY i.position ASC, i.id ASC`,
+      [req.user.uid]
+    );
+
+    res.json(templates.rows.map((template) => ({
+      ...template,
+      items: items.rows.filter((item) => item.template_id === template.id),
+    })));
+  } finally {
+    client.release();
+  }
+});
+
+// Create a checklist template
+app.post("/checklist-templates", verifyToken, validateBody(schemas.checklistTemplate), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    res.status(201).json(await createChecklistTemplate(client, req.user.uid, req.body));
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a checklist template
+app.delete("/checklist-templates/:id", verifyToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      "DELETE FROM checklist_templates WHERE id = $1 AND user_firebase_uid = $2 RETURNING id",
+      [req.params.id, req.user.uid]
+    );
+
+    if (result.rows.length === 0) throw new ApiError("not_found", "Template not found");
+    res.json({ message: "Template deleted successfully" });
+  } finally {
+    client.release();
+  }
+});
+
+// === TRIP TEMPLATES ===
+
+// Save a trip as a private template. Destination days are kept relative to
+// the first day of the trip.
+app.post("/trips/:id/save-as-template", verifyToken, authorize("trip", "id", "viewer"),
+  validateBody(schemas.tripTemplate), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const plan = await planFromTrip(client, req.tripId);
+    const template = await saveTripTemplate(client, req.user.uid, req.body.name, plan, req.tripId);
+    await client.query("COMMIT");
+
+    res.status(201).json(template);
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+});
+
+// List the user's trip templates with their destinations
+app.get("/trip-templates", verifyToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    res.json(await loadTripTemplates(client, req.user.uid));
+  } finally {
+    client.release();
+  }
+});
+
+// Create a trip from one of the user's templates, starting on start_date
+app.post("/trip-templates/:id/trips", verifyToken, validateBody(schemas.tripCopy), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const [template] = await loadTripTemplates(client, req.user.uid, req.params.id);
+    if (!template) throw new ApiError("not_found", "Template not found");
+
+    const { start_date, title } = req.body;
+
+    await client.query("BEGIN");
+    try {
+      const trip = await createTripFromPlan(client, req.user.uid, planFromTemplate(template), start_date,
+        title ? { title } : {});
+      await recordChange(client, {
+        entity: "trip",
+        entityId: trip.id,
+        action: "create",
+        actorUid: req.user.uid,
+        tripId: trip.id,
+        before: null,
+        after: await snapshot(client, "trip", trip.id),
+      });
+      await client.query("COMMIT");
+
+      res.status(201).json(trip);
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    }
+  } finally {
+    client.release();
+  }
 });
 
-// Debug: Check Postgres version
-async function checkPostgresConnection() {
+// Delete a trip template
+app.delete("/trip-templates/:id", verifyToken, async (req, res) => {
   const client = await pool.connect();
   try {
-    const res = await client.query("SELECT version()");
-    console.log("Connected to:", res.rows[0].version);
+    const result = await client.query(
+      "DELETE FROM trip_templates WHERE id = $1 AND user_firebase_uid = $2 RETURNING id",
+      [req.params.id, req.user.uid]
+    );
+
+    if (result.rows.length === 0) throw new ApiError("not_found", "Template not found");
+    res.json({ message: "Template deleted successfully" });
   } finally {
     client.release();
   }
+});
+
+// === CALENDAR ===
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+function sendCalendar(res, calendar, filename) {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  if (filename) res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(calendar);
 }
-checkPostgresConnection();
 
-// === TRIPS ENDPOINTS ===
+// Load trips with their dated destinations for calendar output
+async function loadCalendarEntries(client, trips) {
+  if (trips.length === 0) return [];
+
+  const result = await client.query(
+    `SELECT d.*, ${DESTINATION_TIME_COLUMNS}
+     FROM destinations d
+     JOIN trips t ON t.id = d.trip_id
+     WHERE d.trip_id = ANY($1) AND d.visit_date IS NOT NULL AND d.deleted_at IS NULL
+     ORDER BY d.visit_date ASC, visit_at ASC NULLS LAST, d.visit_time ASC NULLS LAST, d.order_index ASC`,
+    [trips.map((trip) => trip.id)]
+  );
+
+  return trips.map((trip) => ({
+    trip,
+    destinations: result.rows.filter((d) => String(d.trip_id) === String(trip.id)),
+  }));
+}
 
-// Create a new trip
-app.post("/trips", verifyToken, async (req, res) => {
+// Export a trip itinerary as an iCalendar file
+app.get("/trips/:id/calendar.ics", verifyToken, authorize("trip", "id", "viewer"), async (req, res) => {
   const client = await pool.connect();
   try {
-    const { uid } = req.user;
-    const {
-      title,
-      country,
-      city,
-      start_date,
-      end_date,
-      notes,
-      image_url,
-      trip_type = 'vacation',
-      budget,
-      traveler_count = 1
-    } = req.body;
-
-    const result = await client.query(
-      `INSERT INTO trips (user_firebase_uid, title, country, city, start_date, end_date, notes, image_url, trip_type, budget, traveler_count)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-       RETURNING *`,
-      [uid, title, country, city, start_date, end_date, notes, image_url, trip_type, budget, traveler_count]
-    );
+    const tripResult = await client.query("SELECT * FROM trips WHERE id = $1", [req.tripId]);
+    const entries = await loadCalendarEntries(client, tripResult.rows);
+    const trip = tripResult.rows[0];
 
-    res.json(result.rows[0]);
-  } catch (err) {
-    console.error("Create trip error:", err.message);
-    res.status(500).json({ error: err.message });
+    sendCalendar(res, buildCalendar(entries, { name: trip.title || "Trip" }), `trip-${trip.id}.ics`);
   } finally {
     client.release();
   }
 });
 
-// Get all trips with enhanced data
-app.get("/trips", verifyToken, async (req, res) => {
+// Get the state of the user's calendar subscription feed
+app.get("/user/calendar-feed", verifyToken, async (req, res) => {
   const client = await pool.connect();
   try {
-    const { uid } = req.user;
-
-    // Use the enhanced view for richer data
     const result = await client.query(
-      `SELECT 
-        t.*,
-        get_trip_status(t.start_date, t.end_date) as trip_status,
-        get_trip_days_info(t.start_date, t.end_date) as days_info,
-        (t.end_date - t.start_date + 1) as duration_days,
-        COUNT(DISTINCT d.id) as destination_count,
-        COUNT(DISTINCT p.id) as photo_count,
-        COUNT(DISTINCT CASE WHEN d.is_completed THEN d.id END) as completed_destinations
-       FROM trips t
-       LEFT JOIN destinations d ON t.id = d.trip_id
-       LEFT JOIN photos p ON t.id = p.trip_id
-       WHERE t.user_firebase_uid = $1
-       GROUP BY t.id
-       ORDER BY t.start_date DESC`,
-      [uid]
+      "SELECT created_at, last_accessed_at FROM calendar_feeds WHERE user_firebase_uid = $1",
+      [req.user.uid]
     );
 
-    res.json(result.rows);
-  } catch (err) {
-    console.error("Fetch trips error:", err.message);
-    res.status(500).json({ error: err.message });
+    if (result.rows.length === 0) return res.json({ enabled: false });
+    res.json({ enabled: true, ...result.rows[0] });
   } finally {
     client.release();
   }
 });
 
-// Get one trip by ID with enhanced data
-app.get("/trips/:id", verifyToken, async (req, res) => {
+// Create or rotate the user's calendar subscription feed. The URL is only
+// returned here; rotating invalidates the previous one.
+app.post("/user/calendar-feed", verifyToken, async (req, res) => {
   const client = await pool.connect();
   try {
-    const result = await client.query(
-      `SELECT 
-        t.*,
-        get_trip_status(t.start_date, t.end_date) as trip_status,
-        get_trip_days_info(t.start_date, t.end_date) as days_info,
-        (t.end_date - t.start_date + 1) as duration_days,
-        COUNT(DISTINCT d.id) as destination_count,
-        COUNT(DISTINCT p.id) as photo_count,
-        COUNT(DISTINCT CASE WHEN d.is_completed THEN d.id END) as completed_destinations
-       FROM trips t
-       LEFT JOIN destinations d ON t.id = d.trip_id
-       LEFT JOIN photos p ON t.id = p.trip_id
-       WHERE t.id = $1
-       GROUP BY t.id`,
-      [req.params.id]
+    const token = crypto.randomBytes(24).toString("hex");
+
+    await client.query(
+      `INSERT INTO calendar_feeds (user_firebase_uid, token_hash, created_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (user_firebase_uid)
+       DO UPDATE SET token_hash = EXCLUDED.token_hash, created_at = NOW(), last_accessed_at = NULL`,
+      [req.user.uid, hashToken(token)]
     );
 
-    if (result.rows.length === 0) return res.status(404).json({ error: "Trip not found" });
-    res.json(result.rows[0]);
-  } catch (err) {
-    console.error("Fetch trip error:", err.message);
-    res.status(500).json({ error: err.message });
+    const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+    res.status(201).json({ url: `${baseUrl}/calendar/${token}.ics` });
   } finally {
     client.release();
   }
 });
 
-// Update a trip
-app.put("/trips/:id", verifyToken, async (req, res) => {
+// Disable the user's calendar subscription feed
+app.delete("/user/calendar-feed", verifyToken, async (req, res) => {
   const client = await pool.connect();
   try {
-    const { uid } = req.user; // Get current user
-    const tripId = req.params.id;
-
-    const {
-      title,
-      country,
-      city,
-      start_date,
-      end_date,
-      notes,
-      image_url,
-      trip_type,
-      budget,
-      traveler_count,
-      is_favorite,
-      trip_rating
-    } = req.body;
+    await client.query("DELETE FROM calendar_feeds WHERE user_firebase_uid = $1", [req.user.uid]);
+    res.json({ message: "Calendar feed disabled" });
+  } finally {
+    client.release();
+  }
+});
 
-    // First check if trip exists and user owns it
-    const checkResult = await client.query(
-      "SELECT user_firebase_uid FROM trips WHERE id = $1",
-      [tripId]
+// Public subscription feed of all upcoming trips, authenticated by the secret token
+app.get("/calendar/:token.ics", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const feedResult = await client.query(
+      `UPDATE calendar_feeds SET last_accessed_at = NOW()
+       WHERE token_hash = $1
+       RETURNING user_firebase_uid`,
+      [hashToken(req.params.token)]
     );
 
-    if (checkResult.rows.length === 0) {
-      return res.status(404).json({ error: "Trip not found" });
-    }
+    if (feedResult.rows.length === 0) throw new ApiError("not_found", "Calendar not found");
+    const uid = feedResult.rows[0].user_firebase_uid;
+
+    const tripResult = await client.query(
+      `SELECT t.* FROM trips t
+       LEFT JOIN trip_collaborators c
+         ON c.trip_id = t.id AND c.user_firebase_uid = $1 AND c.status = 'accepted'
+       WHERE (t.user_firebase_uid = $1 OR c.id IS NOT NULL)
+         AND t.deleted_at IS NULL
+         AND t.end_date >= local_today(t.time_zone)
+       ORDER BY t.start_date ASC`,
+      [uid]
+    );
 
-    if (checkResult.rows[0].user_firebase_uid !== uid) {
-      return res.status(403).json({ error: "Not authorized to edit this trip" });
-    }
+    const entries = await loadCalendarEntries(client, tripResult.rows);
+    sendCalendar(res, buildCalendar(entries, { name: "Travel Companion Trips" }));
+  } finally {
+    client.release();
+  }
+});
 
-    // Clean the data types
-    const cleanBudget = budget !== '' && budget !== null ? parseFloat(budget) : null;
-    const cleanTravelerCount = traveler_count ? parseInt(traveler_count) : 1;
-    const cleanTripRating = trip_rating !== '' && trip_rating !== null ? parseInt(trip_rating) : null;
-    const cleanIsFavorite = Boolean(is_favorite);
+// === SHARE LINKS ===
+
+// What a public share link exposes. hide_notes / hide_budget remove more.
+const SHARED_TRIP_FIELDS = [
+  "title", "country", "city", "start_date", "end_date", "image_url", "trip_type",
+  "traveler_count", "trip_status", "duration_days", "time_zone", "starts_at", "ends_at",
+];
+const SHARED_DESTINATION_FIELDS = [
+  "id", "name", "description", "image_url", "order_index", "destination_type", "address",
+  "visit_date", "visit_time", "priority_level", "is_completed", "latitude", "longitude",
+  "effective_time_zone", "visit_at",
+];
+const SHARED_PHOTO_FIELDS = [
+  "id", "destination_id", "image_url", "thumbnail_urls", "caption", "taken_at", "uploaded_at",
+];
+
+const pickFields = (row, fields) => Object.fromEntries(fields.map((field) => [field, row[field]]));
+
+// Strip everything a share link should not reveal
+function sanitizeSharedTrip(link, trip, destinations, photos) {
+  const sharedTrip = pickFields(trip, SHARED_TRIP_FIELDS);
+  if (!link.hide_notes) sharedTrip.notes = trip.notes;
+  if (!link.hide_budget) sharedTrip.budget = trip.budget;
+
+  return {
+    trip: sharedTrip,
+    destinations: destinations.map((d) => ({
+      ...pickFields(d, SHARED_DESTINATION_FIELDS),
+      ...(link.hide_budget ? {} : { price_range: d.price_range }),
+    })),
+    photos: photos.map((p) => pickFields(p, SHARED_PHOTO_FIELDS)),
+    expires_at: link.expires_at,
+  };
+}
 
-    // Update the trip
-    await client.query(
-      `UPDATE trips SET 
-        title = $1, 
-        country = $2, 
-        city = $3, 
-        start_date = $4, 
-        end_date = $5, 
-        notes = $6, 
-        image_url = $7,
-        trip_type = COALESCE($8, trip_type),
-        budget = $9,
-        traveler_count = $10,
-        is_favorite = $11,
-        trip_rating = $12
-       WHERE id = $13`,
-      [title, country, city, start_date, end_date, notes, image_url, trip_type,
-        cleanBudget, cleanTravelerCount, cleanIsFavorite, cleanTripRating, tripId]
-    );
-
-    res.json({ message: "Trip updated successfully" });
-  } catch (err) {
-    console.error("Update trip error:", err);
-    // Return the actual error message to help debug
-    res.status(500).json({
-      error: "Database error",
-      details: err.message,
-      code: err.code
-    });
+// List a trip's share links with their usage
+app.get("/trips/:id/share-links", verifyToken, authorize("trip"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT id, hide_notes, hide_budget, expires_at, revoked_at, access_count,
+              last_accessed_at, created_at,
+              (revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())) as is_active
+       FROM share_links
+       WHERE trip_id = $1
+       ORDER BY created_at DESC`,
+      [req.tripId]
+    );
+    res.json(result.rows);
   } finally {
     client.release();
   }
 });
 
-// Toggle favorite status for a trip
-app.patch("/trips/:id/favorite", verifyToken, async (req, res) => {
+// Create a share link. The URL is only returned here.
+app.post("/trips/:id/share-links", verifyToken, authorize("trip"), validateBody(schemas.shareLink), async (req, res) => {
   const client = await pool.connect();
   try {
+    const { expires_in_days, hide_notes, hide_budget } = req.body;
+    const token = crypto.randomBytes(24).toString("base64url");
+
     const result = await client.query(
-      "UPDATE trips SET is_favorite = NOT is_favorite WHERE id = $1 RETURNING is_favorite",
-      [req.params.id]
+      `INSERT INTO share_links (trip_id, token_hash, created_by, hide_notes, hide_budget, expires_at)
+       VALUES ($1, $2, $3, $4, $5, CASE WHEN $6::integer IS NULL THEN NULL ELSE NOW() + make_interval(days => $6) END)
+       RETURNING id, hide_notes, hide_budget, expires_at, access_count, created_at`,
+      [req.tripId, hashToken(token), req.user.uid, hide_notes, hide_budget, expires_in_days ?? null]
     );
 
-    res.json({ is_favorite: result.rows[0].is_favorite });
-  } catch (err) {
-    console.error("Toggle favorite error:", err.message);
-    res.status(500).json({ error: err.message });
+    const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+    res.status(201).json({ ...result.rows[0], url: `${baseUrl}/shared/${token}` });
   } finally {
     client.release();
   }
 });
 
-// Rate a trip
-app.patch("/trips/:id/rating", verifyToken, async (req, res) => {
+// Revoke a share link
+app.delete("/trips/:id/share-links/:linkId", verifyToken, authorize("trip"), async (req, res) => {
   const client = await pool.connect();
   try {
-    const { rating } = req.body;
-
-    if (rating < 1 || rating > 5) {
-      return res.status(400).json({ error: "Rating must be between 1 and 5" });
-    }
-
-    await client.query(
-      "UPDATE trips SET trip_rating = $1 WHERE id = $2",
-      [rating, req.params.id]
+    const result = await client.query(
+      `UPDATE share_links SET revoked_at = COALESCE(revoked_at, NOW())
+       WHERE id = $1 AND trip_id = $2
+       RETURNING id`,
+      [req.params.linkId, req.tripId]
     );
 
-    res.json({ message: "Trip rated successfully" });
-  } catch (err) {
-    console.error("Rate trip error:", err.message);
-    res.status(500).json({ error: err.message });
+    if (result.rows.length === 0) throw new ApiError("not_found", "Share link not found");
+    res.json({ message: "Share link revoked" });
   } finally {
     client.release();
   }
 });
 
-// Delete a trip
-app.delete("/trips/:id", verifyToken, async (req, res) => {
+// Public read-only view of a shared trip. Every successful access is counted.
+app.get("/shared/:token", async (req, res) => {
   const client = await pool.connect();
   try {
-    await client.query("DELETE FROM trips WHERE id = $1", [req.params.id]);
-    res.json({ message: "Trip deleted successfully" });
-  } catch (err) {
-    console.error("Delete trip error:", err.message);
-    res.status(500).json({ error: err.message });
+    const linkResult = await client.query(
+      `UPDATE share_links s
+       SET access_count = access_count + 1, last_accessed_at = NOW()
+       FROM trips t
+       WHERE s.token_hash = $1 AND s.revoked_at IS NULL AND (s.expires_at IS NULL OR s.expires_at > NOW())
+         AND t.id = s.trip_id AND t.deleted_at IS NULL
+       RETURNING s.trip_id, s.hide_notes, s.hide_budget, s.expires_at`,
+      [hashToken(req.params.token)]
+    );
+
+    if (linkResult.rows.length === 0) throw new ApiError("not_found", "Shared trip not found");
+    const link = linkResult.rows[0];
+
+    const tripResult = await client.query(
+      `SELECT t.*,
+        get_trip_status(t.start_date, t.end_date, t.time_zone) as trip_status,
+        (t.end_date - t.start_date + 1) as duration_days,
+        ${TRIP_TIME_COLUMNS}
+       FROM trips t WHERE t.id = $1`,
+      [link.trip_id]
+    );
+    const destinationResult = await client.query(
+      `SELECT d.*, ${DESTINATION_TIME_COLUMNS}
+       FROM destinations d
+       JOIN trips t ON t.id = d.trip_id
+       WHERE d.trip_id = $1 AND d.deleted_at IS NULL
+       ORDER BY d.visit_date ASC NULLS LAST, visit_at ASC NULLS LAST, d.visit_time ASC NULLS LAST, d.order_index ASC`,
+      [link.trip_id]
+    );
+    const photoResult = await client.query(
+      "SELECT * FROM photos WHERE trip_id = $1 AND deleted_at IS NULL ORDER BY uploaded_at DESC",
+      [link.trip_id]
+    );
+
+    // Uploaded files are only served with the share token attached
+    const withShareToken = (url) => `${url}?share=${encodeURIComponent(req.params.token)}`;
+    const photos = photoResult.rows.map((photo) => (photo.storage_key && getStorage().name === "local"
+      ? {
+        ...photo,
+        image_url: withShareToken(photo.image_url),
+        thumbnail_urls: Object.fromEntries(Object.entries(photo.thumbnail_urls || {})
+          .map(([size, url]) => [size, withShareToken(url)])),
+      }
+      : photo));
+
+    res.set("Cache-Control", "no-store");
+    res.json(sanitizeSharedTrip(link, tripResult.rows[0], destinationResult.rows, photos));
   } finally {
     client.release();
   }
 });
 
-// === DESTINATIONS ===
+// === SYNC ===
 
-// Get destinations for a trip (enhanced)
-app.get("/destinations", verifyToken, async (req, res) => {
+// Changes since a cursor for offline clients: trips, destinations and photos
+// created or updated, plus records deleted and trips no longer shared with the
+// caller, in change order. Call again with next_cursor while has_more is true;
+// omit since for a full sync.
+app.get("/sync", verifyToken, validateQuery(schemas.syncQuery), async (req, res) => {
   const client = await pool.connect();
   try {
-    const { trip_id } = req.query;
-    const result = await client.query(
-      `SELECT * FROM destinations 
-       WHERE trip_id = $1 
-       ORDER BY priority_level ASC, visit_date ASC, order_index ASC`,
-      [trip_id]
-    );
-    res.json(result.rows);
-  } catch (err) {
-    console.error("Fetch destinations error:", err.message);
-    res.status(500).json({ error: err.message });
+    const since = parseCursor(req.queryParams.since);
+    if (since === null) throw new ApiError("bad_request", "Invalid cursor");
+
+    const changes = await loadChanges(client, req.user.uid, since, req.queryParams.limit || DEFAULT_SYNC_LIMIT);
+    res.json(changes);
   } finally {
     client.release();
   }
 });
 
-// Add destination to a specific trip (enhanced)
-app.post("/trips/:tripId/destinations", verifyToken, async (req, res) => {
+// === NOTIFICATIONS ===
+
+// Reminders are written by the scheduled reminders.js job; see there for
+// when each kind is sent and webhooks.js for how webhook requests are signed.
+
+const MAX_WEBHOOKS_PER_USER = 5;
+
+// List the caller's notifications, newest first. unread=true leaves out read
+// ones. Pass next_cursor back as cursor for the next page.
+app.get("/notifications", verifyToken, validateQuery(schemas.notificationQuery), async (req, res) => {
   const client = await pool.connect();
   try {
-    const { tripId } = req.params;
-    const {
-      name,
-      description,
-      image_url,
-      order_index,
-      destination_type,
-      address,
-      visit_date,
-      visit_time,
-      price_range,
-      priority_level = 3,
-      location_lat,
-      location_lng
-    } = req.body;
+    const { limit, cursor, unread } = req.queryParams;
 
     const result = await client.query(
-      `INSERT INTO destinations (
-        trip_id, name, description, image_url, order_index,
-        destination_type, address, visit_date, visit_time, price_range, priority_level,
-        latitude, longitude
-      )
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
-      [tripId, name, description, image_url, order_index, destination_type, address,
-        visit_date, visit_time, price_range, priority_level, location_lat, location_lng]
+      `SELECT id, trip_id, kind, title, body, data, read_at, created_at
+       FROM notifications
+       WHERE user_firebase_uid = $1
+         AND ($2::integer IS NULL OR id < $2)
+         AND (NOT $3 OR read_at IS NULL)
+       ORDER BY id DESC
+       LIMIT $4`,
+      [req.user.uid, cursor ?? null, unread, limit + 1]
+    );
+    const unreadResult = await client.query(
+      "SELECT COUNT(*) AS count FROM notifications WHERE user_firebase_uid = $1 AND read_at IS NULL",
+      [req.user.uid]
     );
 
-    res.status(201).json(result.rows[0]);
-  } catch (err) {
-    console.error("Add destination to trip error:", err.message);
-    res.status(500).json({ error: err.message });
+    const hasMore = result.rows.length > limit;
+    const notifications = hasMore ? result.rows.slice(0, limit) : result.rows;
+    res.json({
+      notifications,
+      unread_count: parseInt(unreadResult.rows[0].count),
+      next_cursor: hasMore ? notifications[notifications.length - 1].id : null,
+    });
   } finally {
     client.release();
   }
 });
 
-// Update a destination (enhanced)
-app.put("/destinations/:id", verifyToken, async (req, res) => {
+// Mark every notification as read. Registered before /notifications/:id/read.
+app.post("/notifications/read-all", verifyToken, async (req, res) => {
   const client = await pool.connect();
   try {
-    const {
-      name,
-      description,
-      image_url,
-      order_index,
-      destination_type,
-      address,
-      visit_date,
-      visit_time,
-      price_range,
-      priority_level,
-      is_completed,
-      location_lat,
-      location_lng
-    } = req.body;
-
-    await client.query(
-      `UPDATE destinations
-       SET name = $1, description = $2, image_url = $3, order_index = $4,
-           destination_type = COALESCE($5, destination_type),
-           address = COALESCE($6, address),
-           visit_date = COALESCE($7, visit_date),
-           visit_time = COALESCE($8, visit_time),
-           price_range = COALESCE($9, price_range),
-           priority_level = COALESCE($10, priority_level),
-           is_completed = COALESCE($11, is_completed),
-           latitude = COALESCE($12, latitude),
-           longitude = COALESCE($13, longitude)
-       WHERE id = $14`,
-      [name, description, image_url, order_index, destination_type, address,
-        visit_date, visit_time, price_range, priority_level, is_completed,
-        location_lat, location_lng, req.params.id]
+    const result = await client.query(
+      "UPDATE notifications SET read_at = NOW() WHERE user_firebase_uid = $1 AND read_at IS NULL",
+      [req.user.uid]
     );
-
-    res.json({ message: "Destination updated successfully" });
-  } catch (err) {
-    console.error("Update destination error:", err.message);
-    res.status(500).json({ error: err.message });
+    res.json({ updated: result.rowCount });
   } finally {
     client.release();
   }
 });
 
-// Toggle destination completion
-app.patch("/destinations/:id/complete", verifyToken, async (req, res) => {
+// Mark one notification as read
+app.post("/notifications/:id/read", verifyToken, async (req, res) => {
   const client = await pool.connect();
   try {
     const result = await client.query(
-      "UPDATE destinations SET is_completed = NOT is_completed WHERE id = $1 RETURNING is_completed",
-      [req.params.id]
+      `UPDATE notifications SET read_at = COALESCE(read_at, NOW())
+       WHERE id = $1 AND user_firebase_uid = $2
+       RETURNING id, trip_id, kind, title, body, data, read_at, created_at`,
+      [req.params.id, req.user.uid]
     );
 
-    res.json({ is_completed: result.rows[0].is_completed });
-  } catch (err) {
-    console.error("Toggle destination completion error:", err.message);
-    res.status(500).json({ error: err.message });
+    if (result.rows.length === 0) throw new ApiError("not_found", "Notification not found");
+    res.json(result.rows[0]);
   } finally {
     client.release();
   }
 });
 
-// Delete a destination
-app.delete("/destinations/:id", verifyToken, async (req, res) => {
+// Which reminders the caller gets. Every kind is on until turned off.
+app.get("/user/notification-preferences", verifyToken, async (req, res) => {
   const client = await pool.connect();
   try {
-    await client.query("DELETE FROM destinations WHERE id = $1", [req.params.id]);
-    res.json({ message: "Destination deleted successfully" });
-  } catch (err) {
-    console.error("Delete destination error:", err.message);
-    res.status(500).json({ error: err.message });
+    const result = await client.query(
+      "SELECT trip_starts_tomorrow, priority_destinations_open FROM notification_preferences WHERE firebase_uid = $1",
+      [req.user.uid]
+    );
+    res.json(result.rows[0] || { trip_starts_tomorrow: true, priority_destinations_open: true });
   } finally {
     client.release();
   }
 });
 
-// Get destinations for a specific trip (enhanced)
-app.get("/trips/:id/destinations", verifyToken, async (req, res) => {
+// Turn reminder kinds on or off; omitted kinds keep their setting
+app.put("/user/notification-preferences", verifyToken, validateBody(schemas.notificationPreferences),
+  async (req, res) => {
   const client = await pool.connect();
   try {
-    const { id } = req.params;
+    const { trip_starts_tomorrow, priority_destinations_open } = req.body;
 
     const result = await client.query(
-      `SELECT * FROM destinations 
-       WHERE trip_id = $1 
-       ORDER BY priority_level ASC, visit_date ASC, order_index ASC`,
-      [id]
+      `INSERT INTO notification_preferences (firebase_uid, trip_starts_tomorrow, priority_destinations_open)
+       VALUES ($1, COALESCE($2, TRUE), COALESCE($3, TRUE))
+       ON CONFLICT (firebase_uid) DO UPDATE SET
+         trip_starts_tomorrow = COALESCE($2, notification_preferences.trip_starts_tomorrow),
+         priority_destinations_open = COALESCE($3, notification_preferences.priority_destinations_open),
+         updated_at = NOW()
+       RETURNING trip_starts_tomorrow, priority_destinations_open`,
+      [req.user.uid, trip_starts_tomorrow ?? null, priority_destinations_open ?? null]
     );
-
-    res.json(result.rows);
-  } catch (err) {
-    console.error("Get destinations for trip error:", err.message);
-    res.status(500).json({ error: err.message });
+    res.json(result.rows[0]);
   } finally {
     client.release();
   }
 });
 
-// === PHOTOS ===
-
-// Get photos for a trip
-app.get("/trips/:tripId/photos", verifyToken, async (req, res) => {
+// List the caller's webhooks. Secrets are only shown when a webhook is created.
+app.get("/user/webhooks", verifyToken, async (req, res) => {
   const client = await pool.connect();
   try {
-    const { tripId } = req.params;
     const result = await client.query(
-      "SELECT * FROM photos WHERE trip_id = $1 ORDER BY uploaded_at DESC",
-      [tripId]
+      `SELECT w.id, w.url, w.created_at,
+        (SELECT MAX(delivered_at) FROM webhook_deliveries d WHERE d.webhook_id = w.id) AS last_delivered_at,
+        (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'failed') AS failed_deliveries
+       FROM notification_webhooks w
+       WHERE w.user_firebase_uid = $1
+       ORDER BY w.created_at ASC`,
+      [req.user.uid]
     );
-    res.json(result.rows);
-  } catch (err) {
-    console.error("Fetch photos error:", err.message);
-    res.status(500).json({ error: err.message });
+    res.json(result.rows.map((webhook) => ({ ...webhook, failed_deliveries: parseInt(webhook.failed_deliveries) })));
   } finally {
     client.release();
   }
 });
 
-// Add a photo to a trip
-app.post("/trips/:tripId/photos", verifyToken, async (req, res) => {
+// Add a webhook. The response holds the signing secret; it is not shown again.
+app.post("/user/webhooks", verifyToken, validateBody(schemas.webhook), async (req, res) => {
   const client = await pool.connect();
   try {
-    const { tripId } = req.params;
-    const { image_url, caption, destination_id } = req.body;
+    const countResult = await client.query(
+      "SELECT COUNT(*) AS count FROM notification_webhooks WHERE user_firebase_uid = $1",
+      [req.user.uid]
+    );
+    if (parseInt(countResult.rows[0].count) >= MAX_WEBHOOKS_PER_USER) {
+      throw new ApiError("conflict", `At most ${MAX_WEBHOOKS_PER_USER} webhooks can be added`);
+    }
+
+    const problem = await checkWebhookUrl(req.body.url);
+    if (problem) throw new ApiError("validation_failed", "Validation failed", [{ field: "url", message: problem }]);
 
     const result = await client.query(
-      `INSERT INTO photos (trip_id, image_url, caption, destination_id)
-       VALUES ($1, $2, $3, $4)
-       RETURNING *`,
-      [tripId, image_url, caption, destination_id || null]
+      `INSERT INTO notification_webhooks (user_firebase_uid, url, secret)
+       VALUES ($1, $2, $3)
+       RETURNING id, url, secret, created_at`,
+      [req.user.uid, req.body.url, generateWebhookSecret()]
     );
-
     res.status(201).json(result.rows[0]);
-  } catch (err) {
-    console.error("Add photo error:", err.message);
-    res.status(500).json({ error: err.message });
   } finally {
     client.release();
   }
 });
 
-// Delete a photo
-app.delete("/photos/:id", verifyToken, async (req, res) => {
+// Remove a webhook and its pending deliveries
+app.delete("/user/webhooks/:id", verifyToken, async (req, res) => {
   const client = await pool.connect();
   try {
-    const { id } = req.params;
+    const result = await client.query(
+      "DELETE FROM notification_webhooks WHERE id = $1 AND user_firebase_uid = $2 RETURNING id",
+      [req.params.id, req.user.uid]
+    );
+
+    if (result.rows.length === 0) throw new ApiError("not_found", "Webhook not found");
+    res.json({ message: "Webhook deleted successfully" });
+  } finally {
+    client.release();
+  }
+});
 
-    await client.query("DELETE FROM photos WHERE id = $1", [id]);
+// Delivery log of a webhook: the latest deliveries, each with its attempts
+app.get("/user/webhooks/:id/deliveries", verifyToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const webhookResult = await client.query(
+      "SELECT id FROM notification_webhooks WHERE id = $1 AND user_firebase_uid = $2",
+      [req.params.id, req.user.uid]
+    );
+    if (webhookResult.rows.length === 0) throw new ApiError("not_found", "Webhook not found");
+
+    const deliveries = await client.query(
+      `SELECT d.id, d.notification_id, n.kind, d.status, d.attempts, d.next_attempt_at, d.delivered_at, d.created_at
+       FROM webhook_deliveries d
+       JOIN notifications n ON n.id = d.notification_id
+       WHERE d.webhook_id = $1
+       ORDER BY d.id DESC
+       LIMIT 50`,
+      [req.params.id]
+    );
+    const attempts = await client.query(
+      `SELECT delivery_id, attempt, response_status, error, duration_ms, attempted_at
+       FROM webhook_delivery_attempts
+       WHERE delivery_id = ANY($1)
+       ORDER BY attempt ASC`,
+      [deliveries.rows.map((delivery) => delivery.id)]
+    );
 
-    res.json({ message: "Photo deleted successfully" });
-  } catch (err) {
-    console.error("Delete photo error:", err.message);
-    res.status(500).json({ error: err.message });
+    res.json(deliveries.rows.map((delivery) => ({
+      ...delivery,
+      next_attempt_at: delivery.status === "pending" ? delivery.next_attempt_at : null,
+      attempts_log: attempts.rows
+        .filter((attempt) => attempt.delivery_id === delivery.id)
+        .map(({ delivery_id, ...attempt }) => attempt),
+    })));
   } finally {
     client.release();
   }
@@ -489,7 +2651,7 @@ app.delete("/photos/:id", verifyToken, async (req, res) => {
 // === UTILITY ENDPOINTS ===
 
 // Get trip statistics
-app.get("/trips/:id/stats", verifyToken, async (req, res) => {
+app.get("/trips/:id/stats", verifyToken, authorize("trip", "id", "viewer"), async (req, res) => {
   const client = await pool.connect();
   try {
     const { id } = req.params;
@@ -501,8 +2663,8 @@ app.get("/trips/:id/stats", verifyToken, async (req, res) => {
         COUNT(DISTINCT p.id) as total_photos,
         COUNT(DISTINCT CASE WHEN d.priority_level = 1 THEN d.id END) as must_see_destinations
        FROM trips t
-       LEFT JOIN destinations d ON t.id = d.trip_id
-       LEFT JOIN photos p ON t.id = p.trip_id
+       LEFT JOIN destinations d ON t.id = d.trip_id AND d.deleted_at IS NULL
+       LEFT JOIN photos p ON t.id = p.trip_id AND p.deleted_at IS NULL
        WHERE t.id = $1`,
       [id]
     );
@@ -512,10 +2674,25 @@ app.get("/trips/:id/stats", verifyToken, async (req, res) => {
       ? Math.round((stats.completed_destinations / stats.total_destinations) * 100)
       : 0;
 
+    // Spending in the trip's currency, every expense converted first; the
+    // ones without a rate are only listed in unconverted_expenses
+    const expenses = await getExpenseSummary(client, id);
+    stats.currency = expenses.currency;
+    stats.budget = expenses.budget;
+    stats.total_spent = expenses.total_spent;
+    stats.budget_remaining = expenses.remaining;
+    stats.budget_used_percentage = expenses.budget_used_percentage;
+    stats.per_traveler_share = expenses.per_traveler_share;
+    stats.rate_date = expenses.rate_date;
+    stats.unconverted_expenses = expenses.unconverted;
+    stats.in_home_currency = summaryInHomeCurrency(expenses, await loadHomeCurrency(client, req.user.uid));
+
+    const checklists = await getChecklistSummary(client, id);
+    stats.checklist_total_items = checklists.total_items;
+    stats.checklist_done_items = checklists.done_items;
+    stats.checklist_progress_percentage = checklists.progress_percentage;
+
     res.json(stats);
-  } catch (err) {
-    console.error("Get trip stats error:", err.message);
-    res.status(500).json({ error: err.message });
   } finally {
     client.release();
   }
@@ -539,6 +2716,7 @@ app.get("/user/profile", verifyToken, async (req, res) => {
         favorite_destinations, 
         bio, 
         profile_picture_url,
+        home_currency,
         created_at,
         updated_at
        FROM user_profiles 
@@ -547,20 +2725,17 @@ app.get("/user/profile", verifyToken, async (req, res) => {
     );
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ message: 'Profile not found' });
+      throw new ApiError("not_found", "Profile not found");
     }
 
     res.json(result.rows[0]);
-  } catch (err) {
-    console.error("Fetch user profile error:", err.message);
-    res.status(500).json({ error: err.message });
   } finally {
     client.release();
   }
 });
 
 // Create or update user profile
-app.put("/user/profile", verifyToken, async (req, res) => {
+app.put("/user/profile", verifyToken, validateBody(schemas.profile), async (req, res) => {
   const client = await pool.connect();
   try {
     const { uid } = req.user;
@@ -572,8 +2747,10 @@ app.put("/user/profile", verifyToken, async (req, res) => {
       travel_style,
       favorite_destinations,
       bio,
-      profile_picture_url
+      profile_picture_url,
+      home_currency
     } = req.body;
+    const homeCurrency = home_currency ? home_currency.toUpperCase() : null;
 
     // Check if profile exists
     const checkResult = await client.query(
@@ -581,17 +2758,19 @@ app.put("/user/profile", verifyToken, async (req, res) => {
       [uid]
     );
 
+    const profileChange = { entity: "profile", entityId: uid, actorUid: uid };
+
     if (checkResult.rows.length === 0) {
       // Insert new profile
-      const insertResult = await client.query(
+      const insertResult = await audited(client, profileChange, () => client.query(
         `INSERT INTO user_profiles 
          (firebase_uid, display_name, location, location_lat, location_lng, 
-          travel_style, favorite_destinations, bio, profile_picture_url, created_at, updated_at)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
+          travel_style, favorite_destinations, bio, profile_picture_url, home_currency, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW())
          RETURNING *`,
         [uid, display_name, location, location_lat, location_lng,
-          travel_style, favorite_destinations, bio, profile_picture_url]
-      );
+          travel_style, favorite_destinations, bio, profile_picture_url, homeCurrency]
+      ));
 
       res.status(201).json({
         message: "Profile created successfully",
@@ -599,7 +2778,7 @@ app.put("/user/profile", verifyToken, async (req, res) => {
       });
     } else {
       // Update existing profile
-      const updateResult = await client.query(
+      const updateResult = await audited(client, profileChange, () => client.query(
         `UPDATE user_profiles 
          SET display_name = $2, 
              location = $3, 
@@ -609,21 +2788,19 @@ app.put("/user/profile", verifyToken, async (req, res) => {
              favorite_destinations = $7, 
              bio = $8, 
              profile_picture_url = $9,
+             home_currency = COALESCE($10, home_currency),
              updated_at = NOW()
          WHERE firebase_uid = $1
          RETURNING *`,
         [uid, display_name, location, location_lat, location_lng,
-          travel_style, favorite_destinations, bio, profile_picture_url]
-      );
+          travel_style, favorite_destinations, bio, profile_picture_url, homeCurrency]
+      ));
 
       res.json({
         message: "Profile updated successfully",
         profile: updateResult.rows[0]
       });
     }
-  } catch (err) {
-    console.error("Update user profile error:", err.message);
-    res.status(500).json({ error: err.message });
   } finally {
     client.release();
   }
@@ -642,11 +2819,11 @@ app.get("/user/profile/stats", verifyToken, async (req, res) => {
         COUNT(DISTINCT d.id) as total_destinations,
         COUNT(DISTINCT CASE WHEN d.is_completed THEN d.id END) as completed_destinations,
         COUNT(DISTINCT p.id) as total_photos,
-        COUNT(DISTINCT t.country) as countries_visited
+        COUNT(DISTINCT CASE WHEN get_trip_status(t.start_date, t.end_date, t.time_zone) = 'past' THEN t.country END) as countries_visited
        FROM trips t
-       LEFT JOIN destinations d ON t.id = d.trip_id
-       LEFT JOIN photos p ON t.id = p.trip_id
-       WHERE t.user_firebase_uid = $1`,
+       LEFT JOIN destinations d ON t.id = d.trip_id AND d.deleted_at IS NULL
+       LEFT JOIN photos p ON t.id = p.trip_id AND p.deleted_at IS NULL
+       WHERE t.user_firebase_uid = $1 AND t.deleted_at IS NULL`,
       [uid]
     );
 
@@ -658,9 +2835,18 @@ app.get("/user/profile/stats", verifyToken, async (req, res) => {
       : 0;
 
     res.json(stats);
-  } catch (err) {
-    console.error("Get user profile stats error:", err.message);
-    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Lifetime analytics over completed travel: days, places, distance from
+// home, spending against budget in the home currency and ratings, totalled
+// and per year
+app.get("/user/analytics", verifyToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    res.json(await loadTravelAnalytics(client, req.user.uid));
   } finally {
     client.release();
   }
@@ -671,7 +2857,12 @@ app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "..", "index.html"));
 });
 
+// Anything not answered above: unknown routes, then every thrown error
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 // Start server
-app.listen(3000, () => {
-  console.log("Travel Companion API running on port 3000");
+const port = process.env.PORT || 3000;
+app.listen(port, () => {
+  console.log(`Travel Companion API running on port ${port}`);
 });
\ No newline at end of file
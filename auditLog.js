@@ -0,0 +1,195 @@
+// Audit trail of changes to trips, destinations, photos and profiles
+//
+// Rows are snapshotted with to_jsonb before and after a change, so dates,
+// times and numerics are compared in the same text/number form they are
+// stored back in when a field is reverted.
+
+const { ApiError } = require("./errors.js");
+const { validate, schemas } = require("./validation.js");
+
+const ENTITIES = {
+    trip: { table: "trips", key: "id" },
+    destination: { table: "destinations", key: "id" },
+    photo: { table: "photos", key: "id" },
+    profile: { table: "user_profiles", key: "firebase_uid" },
+};
+
+const AUDIT_ACTIONS = ["create", "update", "toggle", "delete", "restore", "revert"];
+
+// Only changes made by these actions can be reverted field by field
+const REVERTIBLE_ACTIONS = new Set(["update", "toggle", "revert"]);
+
+// Bookkeeping columns that never show up in a diff
+const IGNORED_FIELDS = new Set([
+    "id", "trip_id", "user_firebase_uid", "firebase_uid", "created_at", "updated_at",
+    "version", "change_seq", "change_txid",
+]);
+
+// Columns a revert may write back
+const REVERTIBLE_FIELDS = {
+    trip: [
+        "title", "country", "city", "start_date", "end_date", "notes", "image_url",
+        "trip_type", "budget", "currency", "time_zone", "traveler_count", "is_favorite", "trip_rating",
+    ],
+    destination: [
+        "name", "description", "image_url", "order_index", "destination_type", "address",
+        "visit_date", "visit_time", "price_range", "priority_level", "is_completed",
+        "latitude", "longitude", "time_zone",
+    ],
+    photo: ["image_url", "caption", "destination_id"],
+    profile: [
+        "display_name", "location", "location_lat", "location_lng", "travel_style",
+        "favorite_destinations", "bio", "profile_picture_url", "home_currency",
+    ],
+};
+
+// Schema a reverted row must still pass, and how to read the row as a request body
+const ROW_SCHEMAS = {
+    trip: { schema: schemas.tripUpdate, toBody: (row) => row },
+    destination: {
+        schema: schemas.destination,
+        toBody: (row) => ({ ...row, location_lat: row.latitude, location_lng: row.longitude }),
+    },
+};
+
+// Refuse a revert that would leave the row invalid, such as a start_date
+// after the end_date or a visit_date outside the trip
+async function checkRevertedRow(client, entity, row) {
+    const rowSchema = ROW_SCHEMAS[entity];
+    if (!rowSchema) return;
+
+    const req = {};
+    if (entity === "destination") {
+        const tripResult = await client.query("SELECT start_date, end_date FROM trips WHERE id = $1", [row.trip_id]);
+        req.trip = tripResult.rows[0];
+    }
+    const { errors } = validate(rowSchema.schema, rowSchema.toBody(row), { req });
+    if (errors.length > 0) {
+        throw new ApiError("validation_failed", "Reverting this field would leave the record invalid", errors);
+    }
+}
+
+// Current row as JSON, locked for the rest of the transaction. null when missing.
+async function snapshot(client, entity, id) {
+    const { table, key } = ENTITIES[entity];
+    const result = await client.query(
+        `SELECT to_jsonb(r) AS row FROM ${table} r WHERE ${key} = $1 FOR UPDATE`,
+        [id]
+    );
+    return result.rows[0] ? result.rows[0].row : null;
+}
+
+// { field: { before, after } } for every field that differs
+function diffRows(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+        if (IGNORED_FIELDS.has(field)) continue;
+        const oldValue = before ? before[field] ?? null : null;
+        const newValue = after ? after[field] ?? null : null;
+        if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            changes[field] = { before: oldValue, after: newValue };
+        }
+    }
+    return changes;
+}
+
+// Write one audit entry. Updates that changed nothing are not recorded.
+async function recordChange(client, { entity, entityId, tripId, action, actorUid, before, after }) {
+    const changes = diffRows(before, after);
+    if (Object.keys(changes).length === 0 && action !== "create" && action !== "delete") return null;
+
+    const result = await client.query(
+        `INSERT INTO audit_log (trip_id, entity_type, entity_id, action, actor_uid, changes)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [tripId ?? null, entity, String(entityId), action, actorUid, JSON.stringify(changes)]
+    );
+    return result.rows[0];
+}
+
+// Run `work` in a transaction and record what it did to one entity.
+// `entityId` may be left out for creates; it is then read from the first
+// returned row. `action` defaults to create or update depending on whether
+// the row existed. `tripId` defaults to the entity itself for trips.
+// `check(client, before)` runs once the row is locked and may throw to
+// refuse the change. Returns whatever `work` returns.
+async function audited(client, { entity, entityId, tripId, action, actorUid, check }, work) {
+    await client.query("BEGIN");
+    try {
+        const before = entityId != null ? await snapshot(client, entity, entityId) : null;
+        if (check && before) await check(client, before);
+        const result = await work();
+
+        const id = entityId ?? result?.rows?.[0]?.[ENTITIES[entity].key];
+        if (id != null) {
+            const after = await snapshot(client, entity, id);
+            await recordChange(client, {
+                entity,
+                entityId: id,
+                tripId: tripId ?? (entity === "trip" ? id : null),
+                action: action || (before ? "update" : "create"),
+                actorUid,
+                before,
+                after,
+            });
+        }
+
+        await client.query("COMMIT");
+        return result;
+    } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+    }
+}
+
+// Put one field from an audit entry back to its `before` value and return
+// the new audit entry. Throws an ApiError when the revert is not possible,
+// including when the field changed again since the entry, so a revert never
+// silently discards a later edit, and when the result would fail validation.
+async function revertField(client, entry, field, actorUid) {
+    if (!REVERTIBLE_ACTIONS.has(entry.action)) {
+        throw new ApiError("bad_request", `Changes made by ${entry.action} cannot be reverted`);
+    }
+    const change = entry.changes[field];
+    if (!change || !REVERTIBLE_FIELDS[entry.entity_type].includes(field)) {
+        throw new ApiError("bad_request", `Field ${field} cannot be reverted from this entry`);
+    }
+
+    const { table, key } = ENTITIES[entry.entity_type];
+
+    await client.query("BEGIN");
+    try {
+        const before = await snapshot(client, entry.entity_type, entry.entity_id);
+        if (!before || before.deleted_at) {
+            throw new ApiError("not_found", "The changed record no longer exists");
+        }
+        if (JSON.stringify(before[field] ?? null) !== JSON.stringify(change.after)) {
+            throw new ApiError("conflict", `Field ${field} has changed since this entry`, {
+                current: before[field] ?? null,
+            });
+        }
+        await checkRevertedRow(client, entry.entity_type, { ...before, [field]: change.before });
+
+        await client.query(`UPDATE ${table} SET ${field} = $1 WHERE ${key} = $2`, [change.before, entry.entity_id]);
+        const after = await snapshot(client, entry.entity_type, entry.entity_id);
+        const logged = await recordChange(client, {
+            entity: entry.entity_type,
+            entityId: entry.entity_id,
+            tripId: entry.trip_id,
+            action: "revert",
+            actorUid,
+            before,
+            after,
+        });
+
+        await client.query("COMMIT");
+        return logged;
+    } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+    }
+}
+
+module.exports = { AUDIT_ACTIONS, snapshot, diffRows, recordChange, audited, revertField };
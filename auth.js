@@ -0,0 +1,79 @@
+// Request authentication
+//
+// AUTH_PROVIDER picks how bearer tokens are checked: "firebase" (the default,
+// used in production) or "local" (JWTs signed with AUTH_JWT_SECRET, for
+// development and tests). Every provider resolves a token to { uid, email };
+// making sure that user has a row in `users` is shared by all of them.
+
+const { isConfigured: isFirebaseConfigured, verifyFirebaseToken } = require("./firebaseAdmin.js");
+const { verifyLocalToken } = require("./localJwt.js");
+const { ApiError } = require("./errors.js");
+
+const PROVIDERS = {
+    firebase: verifyFirebaseToken,
+    local: verifyLocalToken,
+};
+
+function resolveProvider(name = process.env.AUTH_PROVIDER || "firebase") {
+    if (!PROVIDERS[name]) {
+        throw new Error(`Unknown AUTH_PROVIDER "${name}", expected one of: ${Object.keys(PROVIDERS).join(", ")}`);
+    }
+    if (name === "local" && process.env.NODE_ENV === "production") {
+        throw new Error("AUTH_PROVIDER=local is for development and tests, not production");
+    }
+    if (name === "firebase" && !isFirebaseConfigured()) {
+        console.warn("Firebase credentials are missing; authenticated requests will fail until they are set");
+    }
+    return PROVIDERS[name];
+}
+
+// Middleware: verify the bearer token with `provider` and set req.user
+function authenticate(provider) {
+    return async (req, res, next) => {
+        const authHeader = req.headers.authorization;
+
+        if (!authHeader || !authHeader.startsWith("Bearer ")) {
+            throw new ApiError("unauthorized", "Unauthorized: No token provided");
+        }
+
+        try {
+            const { uid, email } = await provider(authHeader.split(" ")[1]);
+            req.user = { uid, email };
+        } catch (err) {
+            console.warn(`[${req.id}] Invalid token:`, err.message);
+            throw new ApiError("unauthorized", "Unauthorized: Invalid token");
+        }
+        next();
+    };
+}
+
+// Middleware: insert the signed-in user into `users` if they are new.
+// Users already seen by this process are skipped.
+function provisionUser(pool) {
+    const known = new Set();
+
+    return async (req, res, next) => {
+        const { uid, email } = req.user;
+        if (known.has(uid)) return next();
+
+        try {
+            await pool.query(
+                "INSERT INTO users (firebase_uid, email) VALUES ($1, $2) ON CONFLICT (firebase_uid) DO NOTHING",
+                [uid, email]
+            );
+            known.add(uid);
+        } catch (err) {
+            console.error(`[${req.id}] Failed to insert user:`, err.message);
+        }
+        next();
+    };
+}
+
+// verifyToken middleware for the routes: authenticate, then provision
+function createVerifyToken(pool, providerName) {
+    const authenticateRequest = authenticate(resolveProvider(providerName));
+    const provision = provisionUser(pool);
+    return (req, res, next) => authenticateRequest(req, res, () => provision(req, res, next));
+}
+
+module.exports = { PROVIDERS, authenticate, provisionUser, createVerifyToken };
@@ -0,0 +1,51 @@
+// Checklist template matching and quantity scaling
+
+const ITEM_SCALES = ["fixed", "per_day", "per_traveler", "per_traveler_per_day"];
+
+// Quantity of a template item for a trip of `days` days and `travelers` people
+function scaleQuantity(item, { days, travelers }) {
+    const quantity = item.quantity || 1;
+    switch (item.scale) {
+        case "per_day":
+            return quantity * days;
+        case "per_traveler":
+            return quantity * travelers;
+        case "per_traveler_per_day":
+            return quantity * days * travelers;
+        default:
+            return quantity;
+    }
+}
+
+const fitsTrip = (template, { tripType, days }) =>
+    (template.trip_types.length === 0 || template.trip_types.includes(tripType)) &&
+    (template.min_days == null || days >= template.min_days) &&
+    (template.max_days == null || days <= template.max_days);
+
+// How narrowly a template targets a trip; higher is a better match
+const specificity = (template) =>
+    (template.trip_types.length > 0 ? 1000 : 0) -
+    Math.min((template.max_days ?? 999) - (template.min_days ?? 1), 999);
+
+// Best template for a trip, or null. Templates naming the trip_type beat
+// catch-all ones, then narrower day ranges win, then the newest.
+function chooseTemplate(templates, trip) {
+    const candidates = templates.filter((template) => fitsTrip(template, trip));
+    candidates.sort((a, b) =>
+        specificity(b) - specificity(a) || new Date(b.created_at) - new Date(a.created_at)
+    );
+    return candidates[0] || null;
+}
+
+// Completion numbers for a list of items
+function checklistProgress(items) {
+    const total = items.length;
+    const done = items.filter((item) => item.is_done).length;
+    return {
+        total_items: total,
+        done_items: done,
+        progress_percentage: total > 0 ? Math.round((done / total) * 100) : 0,
+    };
+}
+
+module.exports = { ITEM_SCALES, scaleQuantity, chooseTemplate, checklistProgress };
@@ -0,0 +1,25 @@
+// Date helpers shared by validation and the export modules
+
+// pg returns DATE columns as local-midnight Date objects; accept strings too.
+// Returns "YYYY-MM-DD" or null.
+function toDateKey(value) {
+    if (!value) return null;
+    if (value instanceof Date) {
+        const pad = (n) => String(n).padStart(2, "0");
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return String(value).slice(0, 10);
+}
+
+// True when `key` is "YYYY-MM-DD" and names a real day. Date.parse alone
+// lets through days such as 2024-02-30 and rolls them into the next month.
+function isCalendarDate(key) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key);
+    if (!match) return false;
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(0);
+    date.setUTCFullYear(year, month - 1, day); // unlike Date.UTC, keeps years below 100 as given
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+module.exports = { toDateKey, isCalendarDate };
@@ -0,0 +1,168 @@
+// Many destination changes applied in one transaction
+//
+// Every operation is checked before anything is written. Either all of them
+// are applied, or none are and the results say which ones failed and why.
+
+const { validate, schemas } = require("./validation.js");
+const { snapshot, recordChange } = require("./auditLog.js");
+
+// Request fields and the destination columns they are stored in
+const COLUMNS = {
+    name: "name",
+    description: "description",
+    image_url: "image_url",
+    order_index: "order_index",
+    destination_type: "destination_type",
+    address: "address",
+    visit_date: "visit_date",
+    visit_time: "visit_time",
+    price_range: "price_range",
+    priority_level: "priority_level",
+    is_completed: "is_completed",
+    time_zone: "time_zone",
+    location_lat: "latitude",
+    location_lng: "longitude",
+};
+
+// Columns to write for an operation's validated data. Updates only touch
+// fields that were sent; creates leave unset columns to their defaults.
+function columnValues(data, { partial }) {
+    const values = {};
+    for (const [field, column] of Object.entries(COLUMNS)) {
+        if (partial ? data[field] === undefined : data[field] == null) continue;
+        values[column] = data[field] ?? null;
+    }
+    return values;
+}
+
+// Check every operation without touching the database.
+// Returns [{ index, op, id, values, errors }].
+function prepareOperations(operations, liveIds, req) {
+    const seen = new Set();
+
+    return operations.map((operation, index) => {
+        const { op, id } = operation;
+        const prepared = { index, op, id: id ?? null, values: null, errors: [] };
+        const fail = (field, message) => prepared.errors.push({ field, message });
+
+        if (op === "create") {
+            if (id != null) fail("id", "id must not be given when creating");
+            const { body, errors } = validate(schemas.destination, operation.data, { req });
+            prepared.errors.push(...errors);
+            prepared.values = columnValues(body, { partial: false });
+            return prepared;
+        }
+
+        if (id == null) {
+            fail("id", "id is required");
+        } else if (!liveIds.has(String(id))) {
+            fail("id", "Destination not found in this trip");
+        } else if (seen.has(String(id))) {
+            fail("id", "Destination appears in more than one operation");
+        }
+        if (id != null) seen.add(String(id));
+
+        if (op === "update") {
+            const { body, errors } = validate(schemas.destinationUpdate, operation.data, { partial: true, req });
+            prepared.errors.push(...errors);
+            prepared.values = columnValues(body, { partial: true });
+            if (errors.length === 0 && Object.keys(prepared.values).length === 0) {
+                fail("data", "data must contain at least one destination field");
+            }
+        } else if (op === "complete") {
+            prepared.values = { is_completed: operation.is_completed ?? true };
+        }
+        return prepared;
+    });
+}
+
+async function applyOperation(client, tripId, { op, id, values }) {
+    const columns = Object.keys(values || {});
+
+    switch (op) {
+        case "create": {
+            const result = await client.query(
+                `INSERT INTO destinations (trip_id, ${columns.join(", ")})
+                 VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(", ")})
+                 RETURNING *`,
+                [tripId, ...Object.values(values)]
+            );
+            return result.rows[0];
+        }
+        case "update":
+        case "complete": {
+            const result = await client.query(
+                `UPDATE destinations SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(", ")}
+                 WHERE id = $1
+                 RETURNING *`,
+                [id, ...Object.values(values)]
+            );
+            return result.rows[0];
+        }
+        case "delete":
+            await client.query("UPDATE destinations SET deleted_at = NOW() WHERE id = $1", [id]);
+            return null;
+        default:
+            throw new Error(`Unknown batch operation ${op}`);
+    }
+}
+
+// Run a validated list of operations for req.tripId. Returns { ok, results }
+// where results has one { index, op, id, status, destination | errors } per
+// operation.
+async function runDestinationBatch(client, req, operations) {
+    await client.query("BEGIN");
+    try {
+        // Locked, so no destination is deleted or moved between the check and the writes
+        const live = await client.query(
+            "SELECT id FROM destinations WHERE trip_id = $1 AND deleted_at IS NULL FOR UPDATE",
+            [req.tripId]
+        );
+        const prepared = prepareOperations(operations, new Set(live.rows.map((row) => String(row.id))), req);
+
+        if (prepared.some((operation) => operation.errors.length > 0)) {
+            await client.query("ROLLBACK");
+            return {
+                ok: false,
+                results: prepared.map(({ index, op, id, errors }) => ({
+                    index,
+                    op,
+                    id,
+                    status: errors.length > 0 ? "invalid" : "not_applied",
+                    ...(errors.length > 0 ? { errors } : {}),
+                })),
+            };
+        }
+
+        const results = [];
+        for (const operation of prepared) {
+            const before = operation.id != null ? await snapshot(client, "destination", operation.id) : null;
+            const destination = await applyOperation(client, req.tripId, operation);
+            const id = operation.id ?? destination.id;
+            await recordChange(client, {
+                entity: "destination",
+                entityId: id,
+                tripId: req.tripId,
+                action: { create: "create", update: "update", complete: "toggle", delete: "delete" }[operation.op],
+                actorUid: req.user.uid,
+                before,
+                after: await snapshot(client, "destination", id),
+            });
+
+            results.push({
+                index: operation.index,
+                op: operation.op,
+                id,
+                status: "applied",
+                ...(destination ? { destination } : {}),
+            });
+        }
+        await client.query("COMMIT");
+        return { ok: true, results };
+    } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+    }
+}
+
+module.exports = { runDestinationBatch };
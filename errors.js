@@ -0,0 +1,117 @@
+// API errors and the one shape every failed request is answered with:
+//
+//     { "error": "Trip not found", "code": "not_found", "request_id": "...", "details": ... }
+//
+// `error` is a human-readable message, `code` is one of ERROR_CODES and is
+// what clients should branch on, `details` is only present when there is
+// more to say (validation errors, the current record on a version conflict).
+// Routes throw an ApiError; errorHandler turns it, Postgres errors and
+// anything unexpected into that shape.
+
+const ERROR_CODES = {
+    bad_request: 400,
+    validation_failed: 400,
+    invalid_json: 400,
+    invalid_input: 400,
+    invalid_reference: 400,
+    constraint_violation: 400,
+    unauthorized: 401,
+    forbidden: 403,
+    not_found: 404,
+    conflict: 409,
+    version_conflict: 409,
+    already_exists: 409,
+    reference_in_use: 409,
+    payload_too_large: 413,
+    internal_error: 500,
+};
+
+class ApiError extends Error {
+    constructor(code, message, details) {
+        if (!ERROR_CODES[code]) throw new Error(`Unknown error code: ${code}`);
+        super(message);
+        this.name = "ApiError";
+        this.code = code;
+        this.status = ERROR_CODES[code];
+        this.details = details;
+    }
+}
+
+// Column named in a Postgres error detail, e.g. 'Key (trip_id)=(5) is not present...'
+const detailColumn = (err) => (/^Key \(([^)]+)\)/.exec(err.detail || "") || [])[1];
+
+// The ApiError for a Postgres error caused by the request's data, or null
+// when the error is the server's fault. Raw database messages are never
+// passed on to the client.
+function fromDatabaseError(err) {
+    switch (err.code) {
+        case "22P02": // invalid_text_representation
+        case "22007": // invalid_datetime_format
+        case "22008": // datetime_field_overflow
+        case "22003": // numeric_value_out_of_range
+        case "22001": // string_data_right_truncation
+            return new ApiError("invalid_input", "A value in the request has an invalid format or is out of range");
+        case "23502": // not_null_violation
+            return new ApiError("validation_failed", "Validation failed", [
+                { field: err.column, message: `${err.column} is required` },
+            ]);
+        case "23503": // foreign_key_violation
+            return /still referenced/.test(err.detail || "")
+                ? new ApiError("reference_in_use", "This record is still referenced by other records")
+                : new ApiError("invalid_reference", `Referenced ${detailColumn(err) || "record"} does not exist`);
+        case "23505": // unique_violation
+            return new ApiError("already_exists", `A record with this ${detailColumn(err) || "value"} already exists`);
+        case "23514": // check_violation
+            return new ApiError("constraint_violation", "A value in the request is not allowed", {
+                constraint: err.constraint,
+            });
+        case "40001": // serialization_failure
+        case "40P01": // deadlock_detected
+            return new ApiError("conflict", "The request clashed with another change, please retry");
+        default:
+            return null;
+    }
+}
+
+// Errors raised by express.json() and other body parsers
+function fromBodyParserError(err) {
+    if (err.type === "entity.parse.failed") return new ApiError("invalid_json", "Request body is not valid JSON");
+    if (err.type === "entity.too.large") return new ApiError("payload_too_large", "Request body is too large");
+    if (err.expose && err.status >= 400 && err.status < 500) return new ApiError("bad_request", err.message);
+    return null;
+}
+
+// Where a request was routed, without IDs or tokens from the URL
+const routeOf = (req) => `${req.method} ${req.route ? req.baseUrl + req.route.path : req.path}`;
+
+function sendError(req, res, err) {
+    res.status(err.status).json({
+        error: err.message,
+        code: err.code,
+        request_id: req.id,
+        ...(err.details !== undefined ? { details: err.details } : {}),
+    });
+}
+
+// Final middleware: answer any error in the shared shape
+function errorHandler(err, req, res, next) {
+    if (res.headersSent) return next(err);
+
+    if (err instanceof ApiError) return sendError(req, res, err);
+
+    const mapped = fromDatabaseError(err) || fromBodyParserError(err);
+    if (mapped) {
+        console.warn(`[${req.id}] ${routeOf(req)} rejected:`, err.code || err.type, err.message);
+        return sendError(req, res, mapped);
+    }
+
+    console.error(`[${req.id}] ${routeOf(req)} failed:`, err.stack || err);
+    sendError(req, res, new ApiError("internal_error", "Something went wrong on our side"));
+}
+
+// Requests that matched no route
+function notFoundHandler(req, res, next) {
+    next(new ApiError("not_found", `No route for ${req.method} ${req.path}`));
+}
+
+module.exports = { ERROR_CODES, ApiError, fromDatabaseError, errorHandler, notFoundHandler };
@@ -0,0 +1,270 @@
+// Exchange rates: loading rate files and converting amounts between currencies
+//
+//   node exchangeRates.js <file.csv|file.json> [source]
+//
+// Rates come from files an admin loads with the command above; no live FX
+// service is ever called. Accepted files:
+//
+//   CSV   header row with date, base, quote and rate columns
+//         (rate_date, base_currency and quote_currency also work)
+//   JSON  [{ "date", "base", "quote", "rate" }, ...], or
+//         { "base": "EUR", "date": "2024-05-01", "rates": { "USD": 1.07, ... } }
+//         or a list of those (the shape most rate publishers export)
+//
+// Loading a rate that exists for the same pair and date replaces it.
+//
+// A conversion uses the latest rate on or before the day asked for, taken
+// directly, inverted, or through one currency both sides have a rate
+// against. The rate date it used is reported with every converted amount.
+
+const fs = require("fs");
+const path = require("path");
+const { Pool } = require("pg");
+const { isCalendarDate } = require("./dates.js");
+require("dotenv").config();
+
+const DEFAULT_CURRENCY = "USD";
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// === LOADING ===
+
+function parseCsv(text) {
+    const lines = text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line && !line.startsWith("#"));
+    if (lines.length === 0) return [];
+
+    const header = lines[0].split(",").map((name) => name.trim().toLowerCase());
+    const column = (...names) => header.findIndex((name) => names.includes(name));
+    const columns = {
+        date: column("date", "rate_date"),
+        base: column("base", "base_currency"),
+        quote: column("quote", "quote_currency", "currency"),
+        rate: column("rate"),
+    };
+    const missing = Object.keys(columns).filter((key) => columns[key] === -1);
+    if (missing.length > 0) throw new Error(`CSV header is missing: ${missing.join(", ")}`);
+
+    return lines.slice(1).map((line) => {
+        const cells = line.split(",").map((cell) => cell.trim());
+        return {
+            date: cells[columns.date],
+            base: cells[columns.base],
+            quote: cells[columns.quote],
+            rate: cells[columns.rate],
+        };
+    });
+}
+
+function parseJson(text) {
+    const doc = JSON.parse(text);
+    return (Array.isArray(doc) ? doc : [doc]).flatMap((entry) => {
+        if (entry && entry.rates && typeof entry.rates === "object") {
+            return Object.entries(entry.rates).map(([quote, rate]) => ({ date: entry.date, base: entry.base, quote, rate }));
+        }
+        return [entry];
+    });
+}
+
+// Parse a rate file into [{ base, quote, rate_date, rate }].
+// Throws listing every invalid row.
+function parseRateFile(text, format) {
+    const rows = format === "json" ? parseJson(text) : parseCsv(text);
+    const rates = [];
+    const errors = [];
+
+    rows.forEach((row, index) => {
+        const base = String(row.base || "").trim().toUpperCase();
+        const quote = String(row.quote || "").trim().toUpperCase();
+        const rateDate = String(row.date || "").trim().slice(0, 10);
+        const rate = Number(row.rate);
+
+        if (!CURRENCY_PATTERN.test(base) || !CURRENCY_PATTERN.test(quote)) {
+            errors.push(`row ${index + 1}: currencies must be 3-letter codes`);
+        } else if (base === quote) {
+            // Some publishers list the base against itself; nothing to store
+        } else if (!isCalendarDate(rateDate)) {
+            errors.push(`row ${index + 1}: date must be YYYY-MM-DD`);
+        } else if (!(rate > 0) || !Number.isFinite(rate)) {
+            errors.push(`row ${index + 1}: rate must be a positive number`);
+        } else {
+            rates.push({ base, quote, rate_date: rateDate, rate });
+        }
+    });
+
+    if (errors.length > 0) throw new Error(`Invalid rate file:\n  ${errors.join("\n  ")}`);
+    return rates;
+}
+
+// Store parsed rates in one transaction. `client` must be a single checked
+// out connection, not a Pool, so the whole load commits or rolls back
+// together. Returns the number of rows written.
+async function importRates(client, rates, source = null) {
+    await client.query("BEGIN");
+    try {
+        for (const { base, quote, rate_date: rateDate, rate } of rates) {
+            await client.query(
+                `INSERT INTO exchange_rates (base_currency, quote_currency, rate_date, rate, source)
+                 VALUES ($1, $2, $3, $4, $5)
+                 ON CONFLICT (base_currency, quote_currency, rate_date)
+                 DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source, loaded_at = NOW()`,
+                [base, quote, rateDate, rate, source]
+            );
+        }
+        await client.query("COMMIT");
+        return rates.length;
+    } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+    }
+}
+
+// === CONVERSION ===
+
+// Converter over the latest rates on or before `asOf` ("YYYY-MM-DD", today
+// by default). convert() returns { amount, currency, rate, rate_date }, or
+// null when no rate connects the two currencies.
+async function loadConverter(client, asOf = today()) {
+    const result = await client.query(
+        `SELECT DISTINCT ON (base_currency, quote_currency)
+                base_currency, quote_currency, rate, to_char(rate_date, 'YYYY-MM-DD') AS rate_date
+         FROM exchange_rates
+         WHERE rate_date <= $1
+         ORDER BY base_currency, quote_currency, rate_date DESC`,
+        [asOf]
+    );
+
+    // "FROM>TO" -> { rate, rate_date }, both directions, newest quote wins
+    const pairs = new Map();
+    const addPair = (from, to, rate, rateDate) => {
+        const existing = pairs.get(`${from}>${to}`);
+        if (!existing || existing.rate_date < rateDate) pairs.set(`${from}>${to}`, { rate, rate_date: rateDate });
+    };
+    const currencies = new Set();
+    for (const row of result.rows) {
+        const rate = parseFloat(row.rate);
+        addPair(row.base_currency, row.quote_currency, rate, row.rate_date);
+        addPair(row.quote_currency, row.base_currency, 1 / rate, row.rate_date);
+        currencies.add(row.base_currency);
+        currencies.add(row.quote_currency);
+    }
+
+    const rateBetween = (from, to) => {
+        if (from === to) return { rate: 1, rate_date: null };
+        if (pairs.has(`${from}>${to}`)) return pairs.get(`${from}>${to}`);
+
+        // Through one shared currency, preferring the freshest pair of rates
+        let best = null;
+        for (const via of currencies) {
+            const first = pairs.get(`${from}>${via}`);
+            const second = pairs.get(`${via}>${to}`);
+            if (!first || !second) continue;
+            const rateDate = first.rate_date < second.rate_date ? first.rate_date : second.rate_date;
+            if (!best || rateDate > best.rate_date) best = { rate: first.rate * second.rate, rate_date: rateDate };
+        }
+        return best;
+    };
+
+    return {
+        rate: rateBetween,
+        convert(amount, from, to) {
+            if (amount === null || amount === undefined || !from || !to) return null;
+            const found = rateBetween(from.trim().toUpperCase(), to.trim().toUpperCase());
+            if (!found) return null;
+            return {
+                amount: Math.round(Number(amount) * found.rate * 100) / 100,
+                currency: to,
+                rate: Math.round(found.rate * 1e8) / 1e8,
+                rate_date: found.rate_date,
+            };
+        },
+    };
+}
+
+// Rough cost from a free-text price_range such as "20-50", "€15", "10 - 20 EUR".
+// Returns { min, max, currency } (currency from the text, else `fallbackCurrency`)
+// or null for ranges without numbers like "$$".
+function parsePriceRange(priceRange, fallbackCurrency) {
+    if (!priceRange) return null;
+    const numbers = String(priceRange).replace(/(\d),(\d{3})/g, "$1$2").match(/\d+(\.\d+)?/g);
+    if (!numbers || numbers.length > 2) return null;
+
+    const code = /\b([A-Za-z]{3})\b/.exec(priceRange);
+    const [min, max = min] = numbers.map(Number);
+    return { min, max, currency: code ? code[1].toUpperCase() : fallbackCurrency };
+}
+
+// Conversions into the home currency of `uid` (DEFAULT_CURRENCY until they
+// set one):
+//   convert(amount, from)              { amount, currency, rate, rate_date } or null
+//   estimatePriceRange(text, currency) { min, max, currency, rate, rate_date } or null,
+//                                      `currency` being the one the text is in by default
+async function loadHomeCurrency(client, uid, asOf) {
+    const [profileResult, converter] = await Promise.all([
+        client.query("SELECT home_currency FROM user_profiles WHERE firebase_uid = $1", [uid]),
+        loadConverter(client, asOf),
+    ]);
+    const profile = profileResult.rows[0];
+    const currency = (profile && profile.home_currency) || DEFAULT_CURRENCY;
+    const convert = (amount, from) => converter.convert(amount, from, currency);
+
+    return {
+        currency,
+        convert,
+        estimatePriceRange(priceRange, fallbackCurrency) {
+            const parsed = parsePriceRange(priceRange, fallbackCurrency);
+            if (!parsed) return null;
+            const min = convert(parsed.min, parsed.currency);
+            const max = convert(parsed.max, parsed.currency);
+            if (!min || !max) return null;
+            return { min: min.amount, max: max.amount, currency, rate: min.rate, rate_date: min.rate_date };
+        },
+    };
+}
+
+async function main([file, source] = []) {
+    if (!file) {
+        console.error("Usage: node exchangeRates.js <file.csv|file.json> [source]");
+        process.exitCode = 1;
+        return;
+    }
+
+    const format = path.extname(file).toLowerCase() === ".json" ? "json" : "csv";
+    const rates = parseRateFile(fs.readFileSync(file, "utf8"), format);
+
+    const pool = new Pool({
+        connectionString: process.env.DATABASE_URL,
+        ssl: process.env.PGSSLMODE === "disable" ? false : { rejectUnauthorized: false },
+    });
+    const client = await pool.connect();
+
+    try {
+        const count = await importRates(client, rates, source || path.basename(file));
+        const dates = rates.map((rate) => rate.rate_date).sort();
+        console.log(
+            count > 0
+                ? `Loaded ${count} exchange rates dated ${dates[0]} to ${dates[dates.length - 1]}`
+                : "No exchange rates found in the file"
+        );
+    } finally {
+        client.release();
+        await pool.end();
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch((err) => {
+        console.error("Loading exchange rates failed:", err.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    CURRENCY_PATTERN,
+    parseRateFile,
+    importRates,
+    loadConverter,
+    loadHomeCurrency,
+    parsePriceRange,
+};
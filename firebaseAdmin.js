@@ -1,64 +1,42 @@
 const admin = require('firebase-admin');
 const dotenv = require('dotenv');
-const { Pool } = require('pg');
 
 dotenv.config();
 
-// Initialize Firebase Admin
-if (!admin.apps.length) {
-    admin.initializeApp({
-        credential: admin.credential.cert({
-            type: process.env.FIREBASE_TYPE,
-            project_id: process.env.FIREBASE_PROJECT_ID,
-            private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
-            private_key: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
-            client_email: process.env.FIREBASE_CLIENT_EMAIL,
-            client_id: process.env.FIREBASE_CLIENT_ID,
-            auth_uri: process.env.FIREBASE_AUTH_URI,
-            token_uri: process.env.FIREBASE_TOKEN_URI,
-            auth_provider_x509_cert_url: process.env.FIREBASE_AUTH_PROVIDER_X509_CERT_URL,
-            client_x509_cert_url: process.env.FIREBASE_CLIENT_X509_CERT_URL,
-            universe_domain: process.env.FIREBASE_UNIVERSE_DOMAIN,
-        }),
-    });
-}
-
-// Initialize Neon Postgres pool
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: { rejectUnauthorized: false }, // required for Neon
-});
-
-// Middleware to verify token and insert user if not exists
-const verifyToken = async (req, res, next) => {
-    const authHeader = req.headers.authorization;
-
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-        return res.status(401).json({ error: "Unauthorized: No token provided" });
-    }
-
-    const token = authHeader.split(" ")[1];
+// True when the service account credentials are present in the environment
+const isConfigured = () => Boolean(process.env.FIREBASE_PRIVATE_KEY && process.env.FIREBASE_CLIENT_EMAIL);
 
-    try {
-        const decodedToken = await admin.auth().verifyIdToken(token);
-        const { uid, email } = decodedToken;
-        req.user = { uid, email };
-
-        // Insert user into Neon if not exists
-        try {
-            await pool.query(
-                "INSERT INTO users (firebase_uid, email) VALUES ($1, $2) ON CONFLICT (firebase_uid) DO NOTHING",
-                [uid, email]
-            );
-        } catch (err) {
-            console.error("Failed to insert user into Neon:", err);
+// Initialize Firebase Admin on first use, so importing this module never
+// needs credentials (local development uses the local JWT provider instead)
+function getFirebaseApp() {
+    if (!admin.apps.length) {
+        if (!isConfigured()) {
+            throw new Error("Firebase is not configured: set FIREBASE_PRIVATE_KEY and the other FIREBASE_* variables");
         }
-
-        next();
-    } catch (err) {
-        console.error("Invalid token:", err);
-        return res.status(401).json({ error: "Unauthorized: Invalid token" });
+        admin.initializeApp({
+            credential: admin.credential.cert({
+                type: process.env.FIREBASE_TYPE,
+                project_id: process.env.FIREBASE_PROJECT_ID,
+                private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
+                private_key: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
+                client_email: process.env.FIREBASE_CLIENT_EMAIL,
+                client_id: process.env.FIREBASE_CLIENT_ID,
+                auth_uri: process.env.FIREBASE_AUTH_URI,
+                token_uri: process.env.FIREBASE_TOKEN_URI,
+                auth_provider_x509_cert_url: process.env.FIREBASE_AUTH_PROVIDER_X509_CERT_URL,
+                client_x509_cert_url: process.env.FIREBASE_CLIENT_X509_CERT_URL,
+                universe_domain: process.env.FIREBASE_UNIVERSE_DOMAIN,
+            }),
+        });
     }
-};
+    return admin.app();
+}
+
+// Auth provider: verify a Firebase ID token and return { uid, email }
+async function verifyFirebaseToken(token) {
+    const decodedToken = await getFirebaseApp().auth().verifyIdToken(token);
+    const { uid, email } = decodedToken;
+    return { uid, email };
+}
 
-module.exports = { admin, pool, verifyToken };
\ No newline at end of file
+module.exports = { admin, isConfigured, getFirebaseApp, verifyFirebaseToken };
@@ -0,0 +1,172 @@
+// Export trip destinations as GeoJSON, GPX or KML
+
+const { toDateKey } = require("./dates.js");
+
+const FORMATS = {
+    geojson: { contentType: "application/geo+json", extension: "geojson" },
+    gpx: { contentType: "application/gpx+xml", extension: "gpx" },
+    kml: { contentType: "application/vnd.google-earth.kml+xml", extension: "kml" },
+};
+
+const escapeXml = (value) =>
+    String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+
+const hasCoordinates = (d) =>
+    d.latitude !== null && d.latitude !== undefined && d.longitude !== null && d.longitude !== undefined;
+
+// Destinations with coordinates, in visiting order
+function locatedDestinations(destinations) {
+    return destinations
+        .filter(hasCoordinates)
+        .map((d) => ({ ...d, latitude: Number(d.latitude), longitude: Number(d.longitude), visit_date: toDateKey(d.visit_date) }))
+        .sort((a, b) =>
+            (a.visit_date || "9999").localeCompare(b.visit_date || "9999") ||
+            (a.visit_time || "99").localeCompare(b.visit_time || "99") ||
+            (a.order_index ?? Infinity) - (b.order_index ?? Infinity)
+        );
+}
+
+// One route per visit day, only where there is something to connect
+function dailyRoutes(destinations) {
+    const days = new Map();
+    for (const d of destinations) {
+        if (!d.visit_date) continue;
+        if (!days.has(d.visit_date)) days.set(d.visit_date, []);
+        days.get(d.visit_date).push(d);
+    }
+    return [...days.entries()]
+        .filter(([, stops]) => stops.length > 1)
+        .map(([date, stops]) => ({ date, stops }));
+}
+
+const destinationProperties = (d) => ({
+    id: d.id,
+    name: d.name,
+    description: d.description,
+    address: d.address,
+    destination_type: d.destination_type,
+    priority_level: d.priority_level,
+    visit_date: d.visit_date,
+    visit_time: d.visit_time,
+    order_index: d.order_index,
+    is_completed: d.is_completed,
+});
+
+function toGeoJSON(trip, destinations) {
+    const located = locatedDestinations(destinations);
+
+    const points = located.map((d) => ({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [d.longitude, d.latitude] },
+        properties: { feature_type: "destination", ...destinationProperties(d) },
+    }));
+
+    const routes = dailyRoutes(located).map(({ date, stops }) => ({
+        type: "Feature",
+        geometry: { type: "LineString", coordinates: stops.map((d) => [d.longitude, d.latitude]) },
+        properties: { feature_type: "route", visit_date: date, destination_ids: stops.map((d) => d.id) },
+    }));
+
+    return JSON.stringify({
+        type: "FeatureCollection",
+        properties: { trip_id: trip.id, title: trip.title },
+        features: [...points, ...routes],
+    }, null, 2);
+}
+
+function toGPX(trip, destinations) {
+    const located = locatedDestinations(destinations);
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="Travel Companion" xmlns="http://www.topografix.com/GPX/1/1">',
+        "  <metadata>",
+        `    <name>${escapeXml(trip.title || "Trip")}</name>`,
+        "  </metadata>",
+    ];
+
+    for (const d of located) {
+        lines.push(`  <wpt lat="${d.latitude}" lon="${d.longitude}">`);
+        lines.push(`    <name>${escapeXml(d.name || "Destination")}</name>`);
+        if (d.address) lines.push(`    <cmt>${escapeXml(d.address)}</cmt>`);
+        if (d.description) lines.push(`    <desc>${escapeXml(d.description)}</desc>`);
+        if (d.destination_type) lines.push(`    <type>${escapeXml(d.destination_type)}</type>`);
+        lines.push("  </wpt>");
+    }
+
+    for (const { date, stops } of dailyRoutes(located)) {
+        lines.push("  <rte>");
+        lines.push(`    <name>${escapeXml(`${trip.title || "Trip"} - ${date}`)}</name>`);
+        for (const d of stops) {
+            lines.push(`    <rtept lat="${d.latitude}" lon="${d.longitude}">`);
+            lines.push(`      <name>${escapeXml(d.name || "Destination")}</name>`);
+            lines.push("    </rtept>");
+        }
+        lines.push("  </rte>");
+    }
+
+    lines.push("</gpx>");
+    return lines.join("\n") + "\n";
+}
+
+function toKML(trip, destinations) {
+    const located = locatedDestinations(destinations);
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        "  <Document>",
+        `    <name>${escapeXml(trip.title || "Trip")}</name>`,
+        "    <Folder>",
+        "      <name>Destinations</name>",
+    ];
+
+    for (const d of located) {
+        const properties = destinationProperties(d);
+        lines.push("      <Placemark>");
+        lines.push(`        <name>${escapeXml(d.name || "Destination")}</name>`);
+        if (d.description) lines.push(`        <description>${escapeXml(d.description)}</description>`);
+        if (d.address) lines.push(`        <address>${escapeXml(d.address)}</address>`);
+        lines.push("        <ExtendedData>");
+        for (const [key, value] of Object.entries(properties)) {
+            if (value === null || value === undefined) continue;
+            lines.push(`          <Data name="${key}"><value>${escapeXml(value)}</value></Data>`);
+        }
+        lines.push("        </ExtendedData>");
+        lines.push(`        <Point><coordinates>${d.longitude},${d.latitude}</coordinates></Point>`);
+        lines.push("      </Placemark>");
+    }
+
+    lines.push("    </Folder>", "    <Folder>", "      <name>Daily routes</name>");
+
+    for (const { date, stops } of dailyRoutes(located)) {
+        lines.push("      <Placemark>");
+        lines.push(`        <name>${escapeXml(date)}</name>`);
+        lines.push("        <LineString>");
+        lines.push(`          <coordinates>${stops.map((d) => `${d.longitude},${d.latitude}`).join(" ")}</coordinates>`);
+        lines.push("        </LineString>");
+        lines.push("      </Placemark>");
+    }
+
+    lines.push("    </Folder>", "  </Document>", "</kml>");
+    return lines.join("\n") + "\n";
+}
+
+const SERIALIZERS = {
+    geojson: toGeoJSON,
+    gpx: toGPX,
+    kml: toKML,
+};
+
+// Returns { body, contentType, extension } for a supported format
+function exportDestinations(format, trip, destinations) {
+    return {
+        ...FORMATS[format],
+        body: SERIALIZERS[format](trip, destinations),
+    };
+}
+
+module.exports = { FORMATS, exportDestinations };
@@ -0,0 +1,160 @@
+// Minimal RFC 5545 (iCalendar) writer for trip itineraries
+
+const PRODUCT_ID = "-//Travel Companion//Itinerary//EN";
+const UID_DOMAIN = "travel-companion";
+const DEFAULT_EVENT_MINUTES = 60;
+
+// Escape TEXT values (RFC 5545 section 3.3.11)
+const escapeText = (value) =>
+    String(value)
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+function foldLine(line) {
+    const bytes = Buffer.from(line, "utf8");
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = "";
+    let currentBytes = 0;
+    let limit = 75;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char, "utf8");
+        if (currentBytes + size > limit) {
+            parts.push(current);
+            current = "";
+            currentBytes = 0;
+            limit = 74; // continuation lines start with a space
+        }
+        current += char;
+        currentBytes += size;
+    }
+    parts.push(current);
+
+    return parts.join("\r\n ");
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// pg returns DATE columns as local-midnight Date objects; accept strings too
+function toDateParts(value) {
+    if (value instanceof Date) {
+        return { year: value.getFullYear(), month: value.getMonth() + 1, day: value.getDate() };
+    }
+    const [year, month, day] = String(value).slice(0, 10).split("-").map(Number);
+    return { year, month, day };
+}
+
+function formatDate(value, addDays = 0) {
+    const { year, month, day } = toDateParts(value);
+    const date = new Date(Date.UTC(year, month - 1, day + addDays));
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+}
+
+// Floating local date-time (no time zone), e.g. 20250101T093000
+function formatLocalDateTime(dateValue, timeValue, addMinutes = 0) {
+    const { year, month, day } = toDateParts(dateValue);
+    const [hours = 0, minutes = 0, seconds = 0] = String(timeValue).split(":").map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day, hours, minutes + addMinutes, seconds));
+    return `${formatDate(date.toISOString())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}`;
+}
+
+function formatUtcDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function tripEvent(trip, stamp) {
+    const lines = [
+        "BEGIN:VEVENT",
+        `UID:trip-${trip.id}@${UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${formatDate(trip.start_date)}`,
+        // DTEND is exclusive for all-day events
+        `DTEND;VALUE=DATE:${formatDate(trip.end_date, 1)}`,
+        `SUMMARY:${escapeText(trip.title || "Trip")}`,
+    ];
+
+    const location = [trip.city, trip.country].filter(Boolean).join(", ");
+    if (location) lines.push(`LOCATION:${escapeText(location)}`);
+    if (trip.notes) lines.push(`DESCRIPTION:${escapeText(trip.notes)}`);
+    if (trip.trip_type) lines.push(`CATEGORIES:${escapeText(trip.trip_type)}`);
+
+    lines.push("TRANSP:TRANSPARENT", "END:VEVENT");
+    return lines;
+}
+
+function destinationEvent(destination, trip, stamp) {
+    const lines = [
+        "BEGIN:VEVENT",
+        `UID:destination-${destination.id}@${UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+    ];
+
+    if (destination.visit_at) {
+        // A known UTC instant keeps the event right in every calendar's zone
+        const start = new Date(destination.visit_at);
+        lines.push(
+            `DTSTART:${formatUtcDateTime(start)}`,
+            `DTEND:${formatUtcDateTime(new Date(start.getTime() + DEFAULT_EVENT_MINUTES * 60 * 1000))}`
+        );
+    } else if (destination.visit_time) {
+        lines.push(
+            `DTSTART:${formatLocalDateTime(destination.visit_date, destination.visit_time)}`,
+            `DTEND:${formatLocalDateTime(destination.visit_date, destination.visit_time, DEFAULT_EVENT_MINUTES)}`
+        );
+    } else {
+        lines.push(
+            `DTSTART;VALUE=DATE:${formatDate(destination.visit_date)}`,
+            `DTEND;VALUE=DATE:${formatDate(destination.visit_date, 1)}`
+        );
+    }
+
+    lines.push(`SUMMARY:${escapeText(destination.name || "Destination")}`);
+
+    if (destination.address) lines.push(`LOCATION:${escapeText(destination.address)}`);
+    if (destination.latitude != null && destination.longitude != null) {
+        lines.push(`GEO:${Number(destination.latitude)};${Number(destination.longitude)}`);
+    }
+
+    const description = [destination.description, trip && trip.title ? `Trip: ${trip.title}` : null]
+        .filter(Boolean)
+        .join("\n");
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    if (destination.destination_type) lines.push(`CATEGORIES:${escapeText(destination.destination_type)}`);
+    if (destination.is_completed) lines.push("STATUS:CONFIRMED");
+
+    lines.push("END:VEVENT");
+    return lines;
+}
+
+// Build a calendar from [{ trip, destinations }]. Destinations without a
+// visit_date have no place on a calendar and are skipped.
+function buildCalendar(entries, { name = "Travel Companion" } = {}) {
+    const stamp = formatUtcDateTime(new Date());
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        `PRODID:${PRODUCT_ID}`,
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${escapeText(name)}`,
+    ];
+
+    for (const { trip, destinations = [] } of entries) {
+        if (trip.start_date && trip.end_date) lines.push(...tripEvent(trip, stamp));
+
+        for (const destination of destinations) {
+            if (!destination.visit_date) continue;
+            lines.push(...destinationEvent(destination, trip, stamp));
+        }
+    }
+
+    lines.push("END:VCALENDAR");
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = { buildCalendar, escapeText, foldLine };
@@ -0,0 +1,121 @@
+// Day-by-day itinerary for a trip, with scheduling problems flagged
+//
+// Stops stay on their local visit_date. Within a day, timed stops are
+// ordered by visit_at (the UTC instant, see timeZones.js) when it is loaded,
+// so a day that crosses a time zone is in the order it is lived.
+
+const { toDateKey } = require("./dates.js");
+
+const DEFAULT_SLOT_MINUTES = 60;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const toMinutes = (time) => {
+    const [hours = 0, minutes = 0] = String(time).split(":").map(Number);
+    return hours * 60 + minutes;
+};
+
+// Every YYYY-MM-DD from start to end inclusive
+function dateRange(start, end) {
+    const dates = [];
+    if (!start || !end) return dates;
+    for (let t = Date.parse(`${start}T00:00:00Z`); t <= Date.parse(`${end}T00:00:00Z`); t += MS_PER_DAY) {
+        dates.push(new Date(t).toISOString().slice(0, 10));
+    }
+    return dates;
+}
+
+// Minutes from one timed stop to the next
+const minutesBetween = (a, b) =>
+    a.visit_at && b.visit_at
+        ? (new Date(b.visit_at) - new Date(a.visit_at)) / 60000
+        : toMinutes(b.visit_time) - toMinutes(a.visit_time);
+
+// Timed stops first in time order, then untimed ones in their planned order
+const byTimeThenOrder = (a, b) => {
+    if (a.visit_at && b.visit_at) return new Date(a.visit_at) - new Date(b.visit_at);
+    if (a.visit_time && b.visit_time) return String(a.visit_time).localeCompare(String(b.visit_time));
+    if (a.visit_time) return -1;
+    if (b.visit_time) return 1;
+    return (a.order_index ?? Infinity) - (b.order_index ?? Infinity) || a.id - b.id;
+};
+
+// Pairs of timed stops on one day whose slots overlap
+function findOverlaps(date, destinations, slotMinutes) {
+    const timed = destinations.filter((d) => d.visit_time);
+    const issues = [];
+
+    for (let i = 0; i < timed.length; i++) {
+        for (let j = i + 1; j < timed.length; j++) {
+            const gap = minutesBetween(timed[i], timed[j]);
+            if (gap >= slotMinutes) break; // sorted by time, later ones are further away
+            issues.push({
+                type: "overlap",
+                date,
+                destination_ids: [timed[i].id, timed[j].id],
+                message: `${timed[i].name} and ${timed[j].name} are scheduled within ${slotMinutes} minutes of each other`,
+            });
+        }
+    }
+    return issues;
+}
+
+// Returns { trip_id, start_date, end_date, days, unscheduled, outside_trip, issues }
+function buildItinerary(trip, destinations, { slotMinutes = DEFAULT_SLOT_MINUTES } = {}) {
+    const start = toDateKey(trip.start_date);
+    const end = toDateKey(trip.end_date);
+    const dates = dateRange(start, end);
+
+    const byDate = new Map(dates.map((date) => [date, []]));
+    const unscheduled = [];
+    const outsideTrip = [];
+
+    for (const destination of destinations) {
+        const date = toDateKey(destination.visit_date);
+        const entry = { ...destination, visit_date: date };
+
+        if (!date) unscheduled.push(entry);
+        else if (byDate.has(date)) byDate.get(date).push(entry);
+        else outsideTrip.push(entry);
+    }
+
+    const issues = [];
+
+    const days = dates.map((date, index) => {
+        const stops = byDate.get(date).sort(byTimeThenOrder);
+
+        if (stops.length === 0) {
+            issues.push({ type: "empty_day", date, message: `Nothing is planned for day ${index + 1}` });
+        }
+        issues.push(...findOverlaps(date, stops, slotMinutes));
+
+        return {
+            date,
+            day_number: index + 1,
+            destination_count: stops.length,
+            completed_count: stops.filter((d) => d.is_completed).length,
+            destinations: stops,
+        };
+    });
+
+    for (const destination of outsideTrip) {
+        issues.push({
+            type: "outside_trip",
+            date: destination.visit_date,
+            destination_ids: [destination.id],
+            message: `${destination.name} is dated ${destination.visit_date}, outside the trip (${start} to ${end})`,
+        });
+    }
+
+    return {
+        trip_id: trip.id,
+        start_date: start,
+        end_date: end,
+        slot_minutes: slotMinutes,
+        days,
+        unscheduled: unscheduled.sort(byTimeThenOrder),
+        outside_trip: outsideTrip.sort((a, b) => a.visit_date.localeCompare(b.visit_date) || byTimeThenOrder(a, b)),
+        issues,
+    };
+}
+
+module.exports = { buildItinerary, DEFAULT_SLOT_MINUTES };
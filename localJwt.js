@@ -0,0 +1,73 @@
+// Locally signed JWTs (HS256) for development and tests, so the API runs
+// without Firebase credentials. Enabled with AUTH_PROVIDER=local; tokens are
+// signed with AUTH_JWT_SECRET.
+//
+//   node localJwt.js <uid> [email]   print a token for that user
+
+const crypto = require("crypto");
+require("dotenv").config();
+
+const MIN_SECRET_LENGTH = 32;
+const DEFAULT_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+function getSecret() {
+    const secret = process.env.AUTH_JWT_SECRET;
+    if (!secret || secret.length < MIN_SECRET_LENGTH) {
+        throw new Error(`AUTH_JWT_SECRET must be set to at least ${MIN_SECRET_LENGTH} characters`);
+    }
+    return secret;
+}
+
+const sign = (input, secret) => crypto.createHmac("sha256", secret).update(input).digest("base64url");
+
+// Issue a token whose `sub` is the user's uid
+function signLocalToken({ uid, email }, { expiresIn = DEFAULT_TTL_SECONDS } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+    const payload = base64url(JSON.stringify({ sub: uid, email, iat: now, exp: now + expiresIn }));
+    return `${header}.${payload}.${sign(`${header}.${payload}`, getSecret())}`;
+}
+
+// Auth provider: check signature and expiry and return { uid, email }.
+// Throws for anything that is not a valid, unexpired token.
+async function verifyLocalToken(token) {
+    const parts = String(token).split(".");
+    if (parts.length !== 3) throw new Error("Malformed token");
+    const [header, payload, signature] = parts;
+
+    const expected = Buffer.from(sign(`${header}.${payload}`, getSecret()));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw new Error("Bad signature");
+    }
+
+    // Only HS256 is accepted, whatever the header claims
+    const { alg } = JSON.parse(Buffer.from(header, "base64url").toString("utf8"));
+    if (alg !== "HS256") throw new Error(`Unsupported algorithm ${alg}`);
+
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== "number" || claims.exp <= now) throw new Error("Token expired");
+    if (typeof claims.sub !== "string" || claims.sub === "") throw new Error("Token has no subject");
+
+    return { uid: claims.sub, email: claims.email };
+}
+
+if (require.main === module) {
+    const [uid, email] = process.argv.slice(2);
+    if (!uid) {
+        console.error("Usage: node localJwt.js <uid> [email]");
+        process.exitCode = 1;
+    } else {
+        try {
+            console.log(signLocalToken({ uid, email }));
+        } catch (err) {
+            console.error(err.message);
+            process.exitCode = 1;
+        }
+    }
+}
+
+module.exports = { signLocalToken, verifyLocalToken };
@@ -0,0 +1,243 @@
+// Database schema migrations
+//
+//   node migrate.js up [count]     apply pending migrations (all by default)
+//   node migrate.js down [count]   roll back applied migrations (1 by default)
+//   node migrate.js status         list migrations and whether they are applied
+//   node migrate.js baseline <version>
+//                                  record migrations up to <version> as applied
+//                                  without running them
+//
+// Migrations live in migrations/ as NNNN_name.up.sql / NNNN_name.down.sql pairs
+// and run in version order, each in its own transaction. The checksum of every
+// applied up file is recorded in schema_migrations; editing an applied file
+// stops `up` until the change is moved into a new migration.
+//
+// A database whose tables were created before migrations existed already has
+// the schema of 0001_core_schema and 0002_trip_status_functions, which would
+// fail on tables that exist. Run `baseline 2` once on such a database, then
+// `up` as usual.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { Pool } = require("pg");
+require("dotenv").config();
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+// Arbitrary constant so two deploys never migrate at the same time
+const LOCK_ID = 727274;
+
+const formatVersion = (version) => String(version).padStart(4, "0");
+
+const checksum = (sql) =>
+    crypto.createHash("sha256").update(sql.replace(/\r\n/g, "\n")).digest("hex");
+
+// Read migrations/ into [{ version, name, label, up, down, checksum }] sorted by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const byVersion = new Map();
+
+    for (const file of fs.readdirSync(dir)) {
+        const match = FILE_PATTERN.exec(file);
+        if (!match) continue;
+
+        const [, versionText, name, direction] = match;
+        const version = parseInt(versionText, 10);
+        const migration = byVersion.get(version) || { version, name };
+
+        if (migration.name !== name) {
+            throw new Error(`Migration ${versionText} has mismatched names: ${migration.name} and ${name}`);
+        }
+        migration[direction] = fs.readFileSync(path.join(dir, file), "utf8");
+        byVersion.set(version, migration);
+    }
+
+    return [...byVersion.values()]
+        .map((migration) => {
+            if (!migration.up || !migration.down) {
+                throw new Error(`Migration ${formatVersion(migration.version)}_${migration.name} needs both an up and a down file`);
+            }
+            const label = `${formatVersion(migration.version)}_${migration.name}`;
+            return { ...migration, label, checksum: checksum(migration.up) };
+        })
+        .sort((a, b) => a.version - b.version);
+}
+
+async function ensureHistoryTable(client) {
+    await client.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            checksum TEXT NOT NULL,
+            applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`
+    );
+}
+
+async function appliedMigrations(client) {
+    const result = await client.query("SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version");
+    return new Map(result.rows.map((row) => [row.version, row]));
+}
+
+// Applied migrations whose file changed or disappeared since they ran
+function findDrift(migrations, applied) {
+    const problems = [];
+    const known = new Map(migrations.map((m) => [m.version, m]));
+
+    for (const [version, row] of applied) {
+        const migration = known.get(version);
+        if (!migration) {
+            problems.push(`${formatVersion(version)}_${row.name} is applied but its files are missing`);
+        } else if (migration.checksum !== row.checksum) {
+            problems.push(`${migration.label} was modified after it was applied`);
+        }
+    }
+    return problems;
+}
+
+async function runInTransaction(client, work) {
+    await client.query("BEGIN");
+    try {
+        await work();
+        await client.query("COMMIT");
+    } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+    }
+}
+
+async function up(client, migrations, count = Infinity) {
+    const applied = await appliedMigrations(client);
+    const drift = findDrift(migrations, applied);
+    if (drift.length > 0) {
+        throw new Error(`Refusing to migrate:\n  ${drift.join("\n  ")}`);
+    }
+
+    const pending = migrations.filter((m) => !applied.has(m.version)).slice(0, count);
+    if (pending.length === 0) {
+        console.log("Database is up to date");
+        return;
+    }
+
+    for (const migration of pending) {
+        await runInTransaction(client, async () => {
+            await client.query(migration.up);
+            await client.query(
+                "INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)",
+                [migration.version, migration.name, migration.checksum]
+            );
+        });
+        console.log(`Applied ${migration.label}`);
+    }
+}
+
+async function down(client, migrations, count = 1) {
+    const applied = await appliedMigrations(client);
+    const known = new Map(migrations.map((m) => [m.version, m]));
+    const targets = [...applied.keys()].sort((a, b) => b - a).slice(0, count);
+
+    if (targets.length === 0) {
+        console.log("Nothing to roll back");
+        return;
+    }
+
+    for (const version of targets) {
+        const migration = known.get(version);
+        if (!migration) throw new Error(`Cannot roll back ${version}: its files are missing`);
+
+        await runInTransaction(client, async () => {
+            await client.query(migration.down);
+            await client.query("DELETE FROM schema_migrations WHERE version = $1", [version]);
+        });
+        console.log(`Rolled back ${migration.label}`);
+    }
+}
+
+// Mark every migration up to `version` as applied without running it, for a
+// database that already has their schema. Only allowed before anything has
+// been applied, so it can never hide a migration that really is missing.
+async function baseline(client, migrations, version) {
+    if (version === undefined) throw new Error("baseline needs the version the database already matches");
+
+    const targets = migrations.filter((m) => m.version <= version);
+    if (targets.length === 0 || targets[targets.length - 1].version !== version) {
+        throw new Error(`There is no migration ${formatVersion(version)}`);
+    }
+
+    const applied = await appliedMigrations(client);
+    if (applied.size > 0) {
+        throw new Error("Refusing to baseline a database that already has migrations applied");
+    }
+
+    await runInTransaction(client, async () => {
+        for (const migration of targets) {
+            await client.query(
+                "INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)",
+                [migration.version, migration.name, migration.checksum]
+            );
+        }
+    });
+    for (const migration of targets) console.log(`Marked ${migration.label} as applied`);
+}
+
+async function status(client, migrations) {
+    const applied = await appliedMigrations(client);
+
+    for (const migration of migrations) {
+        const row = applied.get(migration.version);
+        let state = "pending";
+        if (row) {
+            state = row.checksum === migration.checksum
+                ? `applied ${row.applied_at.toISOString()}`
+                : "applied, MODIFIED since";
+        }
+        console.log(`${migration.label}  ${state}`);
+    }
+
+    for (const problem of findDrift(migrations, applied)) {
+        if (problem.endsWith("missing")) console.log(problem);
+    }
+}
+
+const COMMANDS = { up, down, status, baseline };
+
+async function main([command, countArg] = []) {
+    if (!COMMANDS[command]) {
+        console.error("Usage: node migrate.js <up|down|status|baseline> [count|version]");
+        process.exitCode = 1;
+        return;
+    }
+
+    const count = countArg !== undefined ? parseInt(countArg, 10) : undefined;
+    if (countArg !== undefined && !(count > 0)) {
+        console.error(`${command === "baseline" ? "Version" : "Count"} must be a positive integer`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const migrations = loadMigrations();
+    const pool = new Pool({
+        connectionString: process.env.DATABASE_URL,
+        ssl: process.env.PGSSLMODE === "disable" ? false : { rejectUnauthorized: false },
+    });
+    const client = await pool.connect();
+
+    try {
+        await client.query("SELECT pg_advisory_lock($1)", [LOCK_ID]);
+        await ensureHistoryTable(client);
+        await COMMANDS[command](client, migrations, count);
+    } finally {
+        await client.query("SELECT pg_advisory_unlock($1)", [LOCK_ID]).catch(() => {});
+        client.release();
+        await pool.end();
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch((err) => {
+        console.error("Migration failed:", err.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { loadMigrations, checksum, up, down, status, baseline };
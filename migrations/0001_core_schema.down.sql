@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS photos;
+DROP TABLE IF EXISTS destinations;
+DROP TABLE IF EXISTS trips;
+DROP TABLE IF EXISTS user_profiles;
+DROP TABLE IF EXISTS users;
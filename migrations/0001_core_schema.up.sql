@@ -0,0 +1,73 @@
+-- Core tables used by api/index.js
+
+CREATE TABLE users (
+    firebase_uid TEXT PRIMARY KEY,
+    email TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE user_profiles (
+    firebase_uid TEXT PRIMARY KEY REFERENCES users (firebase_uid) ON DELETE CASCADE,
+    display_name TEXT,
+    location TEXT,
+    location_lat NUMERIC(9, 6),
+    location_lng NUMERIC(9, 6),
+    travel_style TEXT,
+    favorite_destinations TEXT,
+    bio TEXT,
+    profile_picture_url TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE trips (
+    id SERIAL PRIMARY KEY,
+    user_firebase_uid TEXT NOT NULL REFERENCES users (firebase_uid) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    country TEXT,
+    city TEXT,
+    start_date DATE,
+    end_date DATE,
+    notes TEXT,
+    image_url TEXT,
+    trip_type TEXT NOT NULL DEFAULT 'vacation',
+    budget NUMERIC(12, 2),
+    traveler_count INTEGER NOT NULL DEFAULT 1 CHECK (traveler_count >= 1),
+    is_favorite BOOLEAN NOT NULL DEFAULT FALSE,
+    trip_rating SMALLINT CHECK (trip_rating BETWEEN 1 AND 5),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX trips_user_firebase_uid_idx ON trips (user_firebase_uid, start_date DESC);
+
+CREATE TABLE destinations (
+    id SERIAL PRIMARY KEY,
+    trip_id INTEGER NOT NULL REFERENCES trips (id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    description TEXT,
+    image_url TEXT,
+    order_index INTEGER,
+    destination_type TEXT,
+    address TEXT,
+    visit_date DATE,
+    visit_time TIME,
+    price_range TEXT,
+    priority_level SMALLINT NOT NULL DEFAULT 3,
+    is_completed BOOLEAN NOT NULL DEFAULT FALSE,
+    latitude NUMERIC(9, 6),
+    longitude NUMERIC(9, 6),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX destinations_trip_id_idx ON destinations (trip_id);
+
+CREATE TABLE photos (
+    id SERIAL PRIMARY KEY,
+    trip_id INTEGER NOT NULL REFERENCES trips (id) ON DELETE CASCADE,
+    destination_id INTEGER REFERENCES destinations (id) ON DELETE SET NULL,
+    image_url TEXT NOT NULL,
+    caption TEXT,
+    uploaded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX photos_trip_id_idx ON photos (trip_id);
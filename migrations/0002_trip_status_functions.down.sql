@@ -0,0 +1,2 @@
+DROP FUNCTION IF EXISTS get_trip_days_info(DATE, DATE);
+DROP FUNCTION IF EXISTS get_trip_status(DATE, DATE);
@@ -0,0 +1,31 @@
+-- Trip status helpers selected by the trip list and detail queries
+
+-- 'upcoming', 'ongoing' or 'past' relative to today
+CREATE OR REPLACE FUNCTION get_trip_status(start_date DATE, end_date DATE)
+RETURNS TEXT
+LANGUAGE SQL
+STABLE
+AS $$
+    SELECT CASE
+        WHEN start_date IS NULL OR end_date IS NULL THEN NULL
+        WHEN CURRENT_DATE < start_date THEN 'upcoming'
+        WHEN CURRENT_DATE > end_date THEN 'past'
+        ELSE 'ongoing'
+    END;
+$$;
+
+-- Human readable countdown, e.g. 'Starts in 3 days', 'Day 2 of 5', 'Ended 4 days ago'
+CREATE OR REPLACE FUNCTION get_trip_days_info(start_date DATE, end_date DATE)
+RETURNS TEXT
+LANGUAGE SQL
+STABLE
+AS $$
+    SELECT CASE
+        WHEN start_date IS NULL OR end_date IS NULL THEN NULL
+        WHEN CURRENT_DATE = start_date - 1 THEN 'Starts tomorrow'
+        WHEN CURRENT_DATE < start_date THEN 'Starts in ' || (start_date - CURRENT_DATE) || ' days'
+        WHEN CURRENT_DATE = end_date + 1 THEN 'Ended yesterday'
+        WHEN CURRENT_DATE > end_date THEN 'Ended ' || (CURRENT_DATE - end_date) || ' days ago'
+        ELSE 'Day ' || (CURRENT_DATE - start_date + 1) || ' of ' || (end_date - start_date + 1)
+    END;
+$$;
@@ -0,0 +1,21 @@
+-- Trip sharing with viewer/editor roles, invited by email
+
+CREATE TABLE trip_collaborators (
+    id SERIAL PRIMARY KEY,
+    trip_id INTEGER NOT NULL REFERENCES trips (id) ON DELETE CASCADE,
+    invited_email TEXT NOT NULL,
+    user_firebase_uid TEXT REFERENCES users (firebase_uid) ON DELETE CASCADE,
+    role TEXT NOT NULL CHECK (role IN ('viewer', 'editor')),
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'revoked')),
+    invited_by TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    accepted_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX trip_collaborators_active_email_idx
+    ON trip_collaborators (trip_id, invited_email)
+    WHERE status <> 'revoked';
+
+CREATE INDEX trip_collaborators_user_idx
+    ON trip_collaborators (user_firebase_uid)
+    WHERE status = 'accepted';
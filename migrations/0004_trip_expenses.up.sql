@@ -0,0 +1,18 @@
+-- Spending recorded against trips.budget
+
+CREATE TABLE trip_expenses (
+    id SERIAL PRIMARY KEY,
+    trip_id INTEGER NOT NULL REFERENCES trips (id) ON DELETE CASCADE,
+    destination_id INTEGER REFERENCES destinations (id) ON DELETE SET NULL,
+    amount NUMERIC(12, 2) NOT NULL CHECK (amount >= 0),
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    category TEXT NOT NULL DEFAULT 'other'
+        CHECK (category IN ('accommodation', 'transport', 'food', 'activities', 'shopping', 'other')),
+    expense_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    description TEXT,
+    paid_by TEXT,
+    created_by TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX trip_expenses_trip_id_idx ON trip_expenses (trip_id, expense_date);
@@ -0,0 +1,8 @@
+-- Secret per-user iCalendar subscription feeds. Only a hash of the token is stored.
+
+CREATE TABLE calendar_feeds (
+    user_firebase_uid TEXT PRIMARY KEY REFERENCES users (firebase_uid) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_accessed_at TIMESTAMPTZ
+);
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS checklist_template_items;
+DROP TABLE IF EXISTS checklist_templates;
+DROP TABLE IF EXISTS checklist_items;
+DROP TABLE IF EXISTS trip_checklists;
@@ -0,0 +1,51 @@
+-- Packing lists / pre-trip checklists and the user's reusable templates
+
+CREATE TABLE trip_checklists (
+    id SERIAL PRIMARY KEY,
+    trip_id INTEGER NOT NULL REFERENCES trips (id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX trip_checklists_trip_id_idx ON trip_checklists (trip_id);
+
+CREATE TABLE checklist_items (
+    id SERIAL PRIMARY KEY,
+    checklist_id INTEGER NOT NULL REFERENCES trip_checklists (id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity >= 1),
+    assignee TEXT,
+    is_done BOOLEAN NOT NULL DEFAULT FALSE,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    done_at TIMESTAMPTZ
+);
+
+CREATE INDEX checklist_items_checklist_id_idx ON checklist_items (checklist_id, position);
+
+CREATE TABLE checklist_templates (
+    id SERIAL PRIMARY KEY,
+    user_firebase_uid TEXT NOT NULL REFERENCES users (firebase_uid) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    -- Empty means the template fits any trip_type
+    trip_types TEXT[] NOT NULL DEFAULT '{}',
+    min_days INTEGER CHECK (min_days >= 1),
+    max_days INTEGER CHECK (max_days >= 1),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (min_days IS NULL OR max_days IS NULL OR max_days >= min_days)
+);
+
+CREATE INDEX checklist_templates_user_idx ON checklist_templates (user_firebase_uid);
+
+CREATE TABLE checklist_template_items (
+    id SERIAL PRIMARY KEY,
+    template_id INTEGER NOT NULL REFERENCES checklist_templates (id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity >= 1),
+    -- How quantity grows with the trip: fixed, per_day, per_traveler or per_traveler_per_day
+    scale TEXT NOT NULL DEFAULT 'fixed'
+        CHECK (scale IN ('fixed', 'per_day', 'per_traveler', 'per_traveler_per_day')),
+    position INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX checklist_template_items_template_id_idx ON checklist_template_items (template_id, position);
@@ -0,0 +1,17 @@
+-- Public read-only links to a trip. Only a hash of the token is stored.
+
+CREATE TABLE share_links (
+    id SERIAL PRIMARY KEY,
+    trip_id INTEGER NOT NULL REFERENCES trips (id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    created_by TEXT NOT NULL,
+    hide_notes BOOLEAN NOT NULL DEFAULT FALSE,
+    hide_budget BOOLEAN NOT NULL DEFAULT FALSE,
+    expires_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    access_count INTEGER NOT NULL DEFAULT 0,
+    last_accessed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX share_links_trip_id_idx ON share_links (trip_id);
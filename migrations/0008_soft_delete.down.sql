@@ -0,0 +1,8 @@
+-- Anything still in the trash is removed for good
+DELETE FROM trips WHERE deleted_at IS NOT NULL;
+DELETE FROM destinations WHERE deleted_at IS NOT NULL;
+DELETE FROM photos WHERE deleted_at IS NOT NULL;
+
+ALTER TABLE photos DROP COLUMN deleted_at;
+ALTER TABLE destinations DROP COLUMN deleted_at;
+ALTER TABLE trips DROP COLUMN deleted_at;
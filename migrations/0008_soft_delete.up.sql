@@ -0,0 +1,9 @@
+-- Soft deletion: rows with deleted_at set are in the trash until purged
+
+ALTER TABLE trips ADD COLUMN deleted_at TIMESTAMPTZ;
+ALTER TABLE destinations ADD COLUMN deleted_at TIMESTAMPTZ;
+ALTER TABLE photos ADD COLUMN deleted_at TIMESTAMPTZ;
+
+CREATE INDEX trips_deleted_at_idx ON trips (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX destinations_deleted_at_idx ON destinations (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX photos_deleted_at_idx ON photos (deleted_at) WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,17 @@
+-- Who changed what on trips, destinations, photos and profiles
+
+CREATE TABLE audit_log (
+    id SERIAL PRIMARY KEY,
+    -- NULL for profile changes
+    trip_id INTEGER REFERENCES trips (id) ON DELETE CASCADE,
+    entity_type TEXT NOT NULL CHECK (entity_type IN ('trip', 'destination', 'photo', 'profile')),
+    entity_id TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('create', 'update', 'toggle', 'delete', 'restore', 'revert')),
+    actor_uid TEXT NOT NULL,
+    -- { field: { before, after } }
+    changes JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX audit_log_trip_id_idx ON audit_log (trip_id, id DESC);
+CREATE INDEX audit_log_entity_idx ON audit_log (entity_type, entity_id);
@@ -0,0 +1,7 @@
+ALTER TABLE photos DROP COLUMN longitude;
+ALTER TABLE photos DROP COLUMN latitude;
+ALTER TABLE photos DROP COLUMN taken_at;
+ALTER TABLE photos DROP COLUMN height;
+ALTER TABLE photos DROP COLUMN width;
+ALTER TABLE photos DROP COLUMN thumbnail_urls;
+ALTER TABLE photos DROP COLUMN storage_key;
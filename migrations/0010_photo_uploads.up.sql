@@ -0,0 +1,11 @@
+-- Photos uploaded to our own storage, with thumbnails and EXIF metadata.
+-- Photos added by URL leave these NULL.
+
+ALTER TABLE photos ADD COLUMN storage_key TEXT;
+ALTER TABLE photos ADD COLUMN thumbnail_urls JSONB;
+ALTER TABLE photos ADD COLUMN width INTEGER;
+ALTER TABLE photos ADD COLUMN height INTEGER;
+-- Local time the photo was taken, as recorded by the camera
+ALTER TABLE photos ADD COLUMN taken_at TIMESTAMP;
+ALTER TABLE photos ADD COLUMN latitude NUMERIC(9, 6);
+ALTER TABLE photos ADD COLUMN longitude NUMERIC(9, 6);
@@ -0,0 +1,16 @@
+DROP TRIGGER IF EXISTS photos_sync_tombstone ON photos;
+DROP TRIGGER IF EXISTS destinations_sync_tombstone ON destinations;
+DROP TRIGGER IF EXISTS trips_sync_tombstone ON trips;
+DROP FUNCTION IF EXISTS record_sync_tombstone();
+DROP TABLE IF EXISTS sync_tombstones;
+
+DROP TRIGGER IF EXISTS photos_sync_version ON photos;
+DROP TRIGGER IF EXISTS destinations_sync_version ON destinations;
+DROP TRIGGER IF EXISTS trips_sync_version ON trips;
+DROP FUNCTION IF EXISTS bump_sync_version();
+
+ALTER TABLE photos DROP COLUMN change_seq, DROP COLUMN updated_at, DROP COLUMN version;
+ALTER TABLE destinations DROP COLUMN change_seq, DROP COLUMN updated_at, DROP COLUMN version;
+ALTER TABLE trips DROP COLUMN change_seq, DROP COLUMN updated_at, DROP COLUMN version;
+
+DROP SEQUENCE IF EXISTS sync_change_seq;
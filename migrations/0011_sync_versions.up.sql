@@ -0,0 +1,85 @@
+-- Change tracking for offline sync
+--
+-- Every insert and update of a trip, destination or photo takes the next
+-- value of sync_change_seq, so GET /sync can return everything after a
+-- cursor. Updates also bump version (used for ETag / If-Match) and
+-- updated_at. Permanent deletes leave a row in sync_tombstones.
+
+CREATE SEQUENCE sync_change_seq;
+
+ALTER TABLE trips
+    ADD COLUMN version INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    ADD COLUMN change_seq BIGINT NOT NULL DEFAULT nextval('sync_change_seq');
+ALTER TABLE destinations
+    ADD COLUMN version INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    ADD COLUMN change_seq BIGINT NOT NULL DEFAULT nextval('sync_change_seq');
+ALTER TABLE photos
+    ADD COLUMN version INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    ADD COLUMN change_seq BIGINT NOT NULL DEFAULT nextval('sync_change_seq');
+
+CREATE INDEX trips_change_seq_idx ON trips (change_seq);
+CREATE INDEX destinations_change_seq_idx ON destinations (change_seq);
+CREATE INDEX photos_change_seq_idx ON photos (change_seq);
+
+CREATE OR REPLACE FUNCTION bump_sync_version()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    -- Updates that change nothing keep their version
+    IF to_jsonb(NEW) - 'version' - 'updated_at' - 'change_seq'
+        = to_jsonb(OLD) - 'version' - 'updated_at' - 'change_seq' THEN
+        RETURN NEW;
+    END IF;
+    NEW.version := OLD.version + 1;
+    NEW.updated_at := NOW();
+    NEW.change_seq := nextval('sync_change_seq');
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER trips_sync_version BEFORE UPDATE ON trips
+    FOR EACH ROW EXECUTE FUNCTION bump_sync_version();
+CREATE TRIGGER destinations_sync_version BEFORE UPDATE ON destinations
+    FOR EACH ROW EXECUTE FUNCTION bump_sync_version();
+CREATE TRIGGER photos_sync_version BEFORE UPDATE ON photos
+    FOR EACH ROW EXECUTE FUNCTION bump_sync_version();
+
+CREATE TABLE sync_tombstones (
+    id SERIAL PRIMARY KEY,
+    entity_type TEXT NOT NULL CHECK (entity_type IN ('trip', 'destination', 'photo')),
+    entity_id INTEGER NOT NULL,
+    trip_id INTEGER NOT NULL,
+    -- Set for trips, whose access rows are gone along with them
+    user_firebase_uid TEXT,
+    change_seq BIGINT NOT NULL DEFAULT nextval('sync_change_seq'),
+    deleted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX sync_tombstones_change_seq_idx ON sync_tombstones (change_seq);
+
+CREATE OR REPLACE FUNCTION record_sync_tombstone()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_TABLE_NAME = 'trips' THEN
+        INSERT INTO sync_tombstones (entity_type, entity_id, trip_id, user_firebase_uid)
+        VALUES ('trip', OLD.id, OLD.id, OLD.user_firebase_uid);
+    ELSE
+        INSERT INTO sync_tombstones (entity_type, entity_id, trip_id)
+        VALUES (CASE TG_TABLE_NAME WHEN 'destinations' THEN 'destination' ELSE 'photo' END, OLD.id, OLD.trip_id);
+    END IF;
+    RETURN OLD;
+END;
+$$;
+
+CREATE TRIGGER trips_sync_tombstone AFTER DELETE ON trips
+    FOR EACH ROW EXECUTE FUNCTION record_sync_tombstone();
+CREATE TRIGGER destinations_sync_tombstone AFTER DELETE ON destinations
+    FOR EACH ROW EXECUTE FUNCTION record_sync_tombstone();
+CREATE TRIGGER photos_sync_tombstone AFTER DELETE ON photos
+    FOR EACH ROW EXECUTE FUNCTION record_sync_tombstone();
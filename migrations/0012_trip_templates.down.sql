@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS trip_template_destinations;
+DROP TABLE IF EXISTS trip_templates;
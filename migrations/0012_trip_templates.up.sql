@@ -0,0 +1,42 @@
+-- Reusable trip plans saved from a trip. Destination days are stored as
+-- offsets from the first day, so a new trip can be planned on any dates.
+
+CREATE TABLE trip_templates (
+    id SERIAL PRIMARY KEY,
+    user_firebase_uid TEXT NOT NULL REFERENCES users (firebase_uid) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    source_trip_id INTEGER REFERENCES trips (id) ON DELETE SET NULL,
+    title TEXT NOT NULL,
+    country TEXT,
+    city TEXT,
+    notes TEXT,
+    image_url TEXT,
+    trip_type TEXT NOT NULL DEFAULT 'vacation',
+    budget NUMERIC(12, 2),
+    traveler_count INTEGER NOT NULL DEFAULT 1 CHECK (traveler_count >= 1),
+    -- Length of the trip in days, start and end day included
+    duration_days INTEGER NOT NULL CHECK (duration_days >= 1),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX trip_templates_user_idx ON trip_templates (user_firebase_uid);
+
+CREATE TABLE trip_template_destinations (
+    id SERIAL PRIMARY KEY,
+    template_id INTEGER NOT NULL REFERENCES trip_templates (id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    description TEXT,
+    image_url TEXT,
+    order_index INTEGER,
+    destination_type TEXT,
+    address TEXT,
+    -- 0 is the first day of the trip; NULL when the destination had no visit_date
+    day_offset INTEGER CHECK (day_offset >= 0),
+    visit_time TIME,
+    price_range TEXT,
+    priority_level SMALLINT NOT NULL DEFAULT 3,
+    latitude NUMERIC(9, 6),
+    longitude NUMERIC(9, 6)
+);
+
+CREATE INDEX trip_template_destinations_template_id_idx ON trip_template_destinations (template_id);
@@ -0,0 +1,68 @@
+-- Reminder notifications, the outbox they are written to and their
+-- delivery to user-configured webhooks
+
+-- Which reminders a user wants. Users without a row get every kind.
+CREATE TABLE notification_preferences (
+    firebase_uid TEXT PRIMARY KEY REFERENCES users (firebase_uid) ON DELETE CASCADE,
+    trip_starts_tomorrow BOOLEAN NOT NULL DEFAULT TRUE,
+    priority_destinations_open BOOLEAN NOT NULL DEFAULT TRUE,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- The outbox. dedupe_key stops a scheduler run from repeating a reminder
+-- that was already written for the same trip and day.
+CREATE TABLE notifications (
+    id SERIAL PRIMARY KEY,
+    user_firebase_uid TEXT NOT NULL REFERENCES users (firebase_uid) ON DELETE CASCADE,
+    trip_id INTEGER REFERENCES trips (id) ON DELETE CASCADE,
+    kind TEXT NOT NULL CHECK (kind IN ('trip_starts_tomorrow', 'priority_destinations_open')),
+    title TEXT NOT NULL,
+    body TEXT NOT NULL,
+    data JSONB NOT NULL DEFAULT '{}',
+    dedupe_key TEXT NOT NULL,
+    read_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (user_firebase_uid, dedupe_key)
+);
+
+CREATE INDEX notifications_user_idx ON notifications (user_firebase_uid, id DESC);
+
+CREATE TABLE notification_webhooks (
+    id SERIAL PRIMARY KEY,
+    user_firebase_uid TEXT NOT NULL REFERENCES users (firebase_uid) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    -- Key for the HMAC signature on every request; shown to the user once
+    secret TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX notification_webhooks_user_idx ON notification_webhooks (user_firebase_uid);
+
+-- One row per notification and webhook, retried with backoff until
+-- delivered or out of attempts
+CREATE TABLE webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    notification_id INTEGER NOT NULL REFERENCES notifications (id) ON DELETE CASCADE,
+    webhook_id INTEGER NOT NULL REFERENCES notification_webhooks (id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    delivered_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (notification_id, webhook_id)
+);
+
+CREATE INDEX webhook_deliveries_pending_idx ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+
+-- Every attempt, successful or not
+CREATE TABLE webhook_delivery_attempts (
+    id SERIAL PRIMARY KEY,
+    delivery_id INTEGER NOT NULL REFERENCES webhook_deliveries (id) ON DELETE CASCADE,
+    attempt INTEGER NOT NULL,
+    response_status INTEGER,
+    error TEXT,
+    duration_ms INTEGER NOT NULL,
+    attempted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX webhook_delivery_attempts_delivery_idx ON webhook_delivery_attempts (delivery_id, id);
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS exchange_rates;
+ALTER TABLE user_profiles DROP COLUMN IF EXISTS home_currency;
+ALTER TABLE trip_templates DROP COLUMN IF EXISTS currency;
+ALTER TABLE trips DROP COLUMN IF EXISTS currency;
@@ -0,0 +1,24 @@
+-- Currencies for trip budgets and a user's home currency, converted with a
+-- locally loaded exchange-rate table (see exchangeRates.js)
+
+ALTER TABLE trips
+    ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD' CHECK (currency ~ '^[A-Z]{3}$');
+
+ALTER TABLE trip_templates
+    ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD' CHECK (currency ~ '^[A-Z]{3}$');
+
+-- NULL means the default, USD
+ALTER TABLE user_profiles
+    ADD COLUMN home_currency CHAR(3) CHECK (home_currency ~ '^[A-Z]{3}$');
+
+-- 1 base_currency = rate quote_currency on rate_date
+CREATE TABLE exchange_rates (
+    base_currency CHAR(3) NOT NULL CHECK (base_currency ~ '^[A-Z]{3}$'),
+    quote_currency CHAR(3) NOT NULL CHECK (quote_currency ~ '^[A-Z]{3}$'),
+    rate_date DATE NOT NULL,
+    rate NUMERIC(24, 10) NOT NULL CHECK (rate > 0),
+    source TEXT,
+    loaded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (base_currency, quote_currency, rate_date),
+    CHECK (base_currency <> quote_currency)
+);
@@ -0,0 +1,8 @@
+DROP FUNCTION IF EXISTS get_trip_days_info(DATE, DATE, TEXT);
+DROP FUNCTION IF EXISTS get_trip_status(DATE, DATE, TEXT);
+DROP FUNCTION IF EXISTS local_instant(DATE, TIME, TEXT);
+DROP FUNCTION IF EXISTS local_today(TEXT);
+ALTER TABLE trip_template_destinations DROP COLUMN IF EXISTS time_zone;
+ALTER TABLE destinations DROP COLUMN IF EXISTS time_zone;
+ALTER TABLE trip_templates DROP COLUMN IF EXISTS time_zone;
+ALTER TABLE trips DROP COLUMN IF EXISTS time_zone;
@@ -0,0 +1,59 @@
+-- IANA time zones for trips, with per-destination overrides. Dates and
+-- visit times stay local wall-clock values; the zone decides which day is
+-- "today" for a trip and which UTC instant a visit falls on.
+
+-- Existing trips keep the behaviour they had on a UTC database server
+ALTER TABLE trips ADD COLUMN time_zone TEXT NOT NULL DEFAULT 'UTC';
+ALTER TABLE trip_templates ADD COLUMN time_zone TEXT NOT NULL DEFAULT 'UTC';
+
+-- NULL means the trip's zone
+ALTER TABLE destinations ADD COLUMN time_zone TEXT;
+ALTER TABLE trip_template_destinations ADD COLUMN time_zone TEXT;
+
+-- Today's date in `zone`
+CREATE OR REPLACE FUNCTION local_today(zone TEXT)
+RETURNS DATE
+LANGUAGE SQL
+STABLE
+AS $$
+    SELECT (NOW() AT TIME ZONE zone)::date;
+$$;
+
+-- The UTC instant of a local date and time in `zone` (midnight without a time)
+CREATE OR REPLACE FUNCTION local_instant(local_date DATE, local_time TIME, zone TEXT)
+RETURNS TIMESTAMPTZ
+LANGUAGE SQL
+STABLE
+AS $$
+    SELECT (local_date + COALESCE(local_time, TIME '00:00')) AT TIME ZONE zone;
+$$;
+
+-- get_trip_status and get_trip_days_info with "today" taken in the trip's zone
+CREATE OR REPLACE FUNCTION get_trip_status(start_date DATE, end_date DATE, zone TEXT)
+RETURNS TEXT
+LANGUAGE SQL
+STABLE
+AS $$
+    SELECT CASE
+        WHEN start_date IS NULL OR end_date IS NULL THEN NULL
+        WHEN local_today(zone) < start_date THEN 'upcoming'
+        WHEN local_today(zone) > end_date THEN 'past'
+        ELSE 'ongoing'
+    END;
+$$;
+
+CREATE OR REPLACE FUNCTION get_trip_days_info(start_date DATE, end_date DATE, zone TEXT)
+RETURNS TEXT
+LANGUAGE SQL
+STABLE
+AS $$
+    SELECT CASE
+        WHEN start_date IS NULL OR end_date IS NULL THEN NULL
+        WHEN today = start_date - 1 THEN 'Starts tomorrow'
+        WHEN today < start_date THEN 'Starts in ' || (start_date - today) || ' days'
+        WHEN today = end_date + 1 THEN 'Ended yesterday'
+        WHEN today > end_date THEN 'Ended ' || (today - end_date) || ' days ago'
+        ELSE 'Day ' || (today - start_date + 1) || ' of ' || (end_date - start_date + 1)
+    END
+    FROM (SELECT local_today(zone) AS today) now;
+$$;
@@ -0,0 +1 @@
+DROP INDEX IF EXISTS photos_storage_key_idx;
@@ -0,0 +1,2 @@
+-- Uploaded files are served only after finding the photo they belong to
+CREATE INDEX photos_storage_key_idx ON photos (storage_key) WHERE storage_key IS NOT NULL;
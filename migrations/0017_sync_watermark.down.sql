@@ -0,0 +1,24 @@
+DROP TRIGGER IF EXISTS trip_collaborators_sync_tombstone ON trip_collaborators;
+DROP FUNCTION IF EXISTS record_revoked_trip_access();
+
+CREATE OR REPLACE FUNCTION bump_sync_version()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    -- Updates that change nothing keep their version
+    IF to_jsonb(NEW) - 'version' - 'updated_at' - 'change_seq'
+        = to_jsonb(OLD) - 'version' - 'updated_at' - 'change_seq' THEN
+        RETURN NEW;
+    END IF;
+    NEW.version := OLD.version + 1;
+    NEW.updated_at := NOW();
+    NEW.change_seq := nextval('sync_change_seq');
+    RETURN NEW;
+END;
+$$;
+
+ALTER TABLE sync_tombstones DROP COLUMN IF EXISTS change_txid;
+ALTER TABLE photos DROP COLUMN IF EXISTS change_txid;
+ALTER TABLE destinations DROP COLUMN IF EXISTS change_txid;
+ALTER TABLE trips DROP COLUMN IF EXISTS change_txid;
@@ -0,0 +1,56 @@
+-- Sync cursors that never skip a change
+--
+-- change_seq is taken when a row is written, not when its transaction
+-- commits, so a write still in progress could commit below a change_seq a
+-- client had already synced past. Every change now also records the
+-- transaction that wrote it, and GET /sync only returns changes of
+-- transactions older than every transaction still running, ordered by
+-- (change_txid, change_seq). A long-running transaction holds the feed
+-- back until it ends.
+--
+-- Removing a collaborator, or a collaborator leaving, leaves a trip
+-- tombstone for them alone so the trip disappears from their devices.
+
+ALTER TABLE trips ADD COLUMN change_txid xid8 NOT NULL DEFAULT pg_current_xact_id();
+ALTER TABLE destinations ADD COLUMN change_txid xid8 NOT NULL DEFAULT pg_current_xact_id();
+ALTER TABLE photos ADD COLUMN change_txid xid8 NOT NULL DEFAULT pg_current_xact_id();
+ALTER TABLE sync_tombstones ADD COLUMN change_txid xid8 NOT NULL DEFAULT pg_current_xact_id();
+
+CREATE INDEX trips_change_txid_idx ON trips (change_txid, change_seq);
+CREATE INDEX destinations_change_txid_idx ON destinations (change_txid, change_seq);
+CREATE INDEX photos_change_txid_idx ON photos (change_txid, change_seq);
+CREATE INDEX sync_tombstones_change_txid_idx ON sync_tombstones (change_txid, change_seq);
+
+CREATE OR REPLACE FUNCTION bump_sync_version()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    -- Updates that change nothing keep their version
+    IF to_jsonb(NEW) - 'version' - 'updated_at' - 'change_seq' - 'change_txid'
+        = to_jsonb(OLD) - 'version' - 'updated_at' - 'change_seq' - 'change_txid' THEN
+        RETURN NEW;
+    END IF;
+    NEW.version := OLD.version + 1;
+    NEW.updated_at := NOW();
+    NEW.change_seq := nextval('sync_change_seq');
+    NEW.change_txid := pg_current_xact_id();
+    RETURN NEW;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION record_revoked_trip_access()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF OLD.status = 'accepted' AND (TG_OP = 'DELETE' OR NEW.status <> 'accepted') THEN
+        INSERT INTO sync_tombstones (entity_type, entity_id, trip_id, user_firebase_uid)
+        VALUES ('trip', OLD.trip_id, OLD.trip_id, OLD.user_firebase_uid);
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER trip_collaborators_sync_tombstone AFTER UPDATE OR DELETE ON trip_collaborators
+    FOR EACH ROW EXECUTE FUNCTION record_revoked_trip_access();
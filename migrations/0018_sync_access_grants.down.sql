@@ -0,0 +1,3 @@
+DROP TRIGGER IF EXISTS trip_collaborators_sync_grant ON trip_collaborators;
+DROP FUNCTION IF EXISTS record_granted_trip_access();
+DROP TABLE IF EXISTS sync_access_grants;
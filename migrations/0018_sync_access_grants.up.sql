@@ -0,0 +1,34 @@
+-- Trips shared with a user after their sync cursor
+--
+-- Accepting an invitation changes none of the trip's rows, so their
+-- change_seq stays behind a cursor the new collaborator may already hold.
+-- Each grant of access is recorded here in the change feed instead, and
+-- GET /sync answers it with the whole trip: the trip, its destinations and
+-- its photos.
+
+CREATE TABLE sync_access_grants (
+    id SERIAL PRIMARY KEY,
+    trip_id INTEGER NOT NULL REFERENCES trips (id) ON DELETE CASCADE,
+    user_firebase_uid TEXT NOT NULL,
+    change_seq BIGINT NOT NULL DEFAULT nextval('sync_change_seq'),
+    change_txid xid8 NOT NULL DEFAULT pg_current_xact_id(),
+    granted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX sync_access_grants_change_txid_idx ON sync_access_grants (change_txid, change_seq);
+
+CREATE OR REPLACE FUNCTION record_granted_trip_access()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.status = 'accepted' AND (TG_OP = 'INSERT' OR OLD.status <> 'accepted') THEN
+        INSERT INTO sync_access_grants (trip_id, user_firebase_uid)
+        VALUES (NEW.trip_id, NEW.user_firebase_uid);
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER trip_collaborators_sync_grant AFTER INSERT OR UPDATE ON trip_collaborators
+    FOR EACH ROW EXECUTE FUNCTION record_granted_trip_access();
@@ -0,0 +1,68 @@
+// Where uploaded photo files live
+//
+// A backend is { save(key, buffer, contentType), remove(key), url(key) }.
+// PHOTO_STORAGE picks one from STORAGE_BACKENDS ("local" by default); other
+// backends (S3, GCS, ...) can be added there without touching the routes.
+//
+// The local backend writes under PHOTO_STORAGE_DIR (uploads/ by default).
+// The API serves those files at /uploads only to callers with access to the
+// photo's trip, or with a share link for it, and never once the photo is in
+// the trash. Files stored by any other backend are fetched from url(key)
+// without going through the API, so such a backend has to keep its files
+// private itself (e.g. a private bucket handing out expiring signed URLs).
+// Serverless hosts such as Vercel have no persistent disk, so production
+// deployments there need another backend.
+
+const fs = require("fs/promises");
+const path = require("path");
+
+const DEFAULT_LOCAL_DIR = path.join(__dirname, "uploads");
+const LOCAL_URL_PREFIX = "/uploads";
+
+function createLocalStorage({
+    dir = process.env.PHOTO_STORAGE_DIR || DEFAULT_LOCAL_DIR,
+    baseUrl = process.env.PHOTO_BASE_URL || LOCAL_URL_PREFIX,
+} = {}) {
+    // Keys are generated by the server, but never let one escape the directory
+    const fullPath = (key) => {
+        const resolved = path.resolve(dir, key);
+        if (!resolved.startsWith(path.resolve(dir) + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+        return resolved;
+    };
+
+    return {
+        name: "local",
+        dir,
+        async save(key, buffer) {
+            const file = fullPath(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, buffer);
+        },
+        async remove(key) {
+            await fs.rm(fullPath(key), { force: true });
+        },
+        url(key) {
+            return `${baseUrl.replace(/\/$/, "")}/${key}`;
+        },
+    };
+}
+
+const STORAGE_BACKENDS = {
+    local: createLocalStorage,
+};
+
+let storage = null;
+
+// The configured backend, created on first use
+function getStorage() {
+    if (!storage) {
+        const name = process.env.PHOTO_STORAGE || "local";
+        if (!STORAGE_BACKENDS[name]) {
+            throw new Error(`Unknown PHOTO_STORAGE "${name}", expected one of: ${Object.keys(STORAGE_BACKENDS).join(", ")}`);
+        }
+        storage = STORAGE_BACKENDS[name]();
+    }
+    return storage;
+}
+
+module.exports = { STORAGE_BACKENDS, LOCAL_URL_PREFIX, getStorage };
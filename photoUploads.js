@@ -0,0 +1,161 @@
+// Uploaded photo files: storage, thumbnails, EXIF metadata and matching a
+// photo to the destination it was most likely taken at
+
+const crypto = require("crypto");
+const sharp = require("sharp");
+const exifr = require("exifr");
+const { getStorage } = require("./photoStorage.js");
+const { haversineKm } = require("./routeOptimizer.js");
+const { toDateKey } = require("./dates.js");
+
+// Longest edge in pixels; thumbnails are never upscaled
+const THUMBNAIL_SIZES = {
+    small: 256,
+    medium: 1024,
+};
+
+const EXTENSIONS = {
+    "image/jpeg": "jpg",
+    "image/png": "png",
+    "image/webp": "webp",
+};
+
+// A photo this close to a destination is taken to be of it
+const MATCH_RADIUS_KM = 1;
+
+const thumbnailKey = (storageKey, size) => storageKey.replace(/\.[^.]+$/, `_${size}.jpg`);
+
+// Storage keys of the photo a stored file (the original or one of its
+// thumbnails) can belong to
+function photoKeysForFile(key) {
+    const sizes = Object.keys(THUMBNAIL_SIZES).join("|");
+    const stem = key.replace(new RegExp(`_(${sizes})\\.jpg$`), "").replace(/\.[^.]+$/, "");
+    return Object.values(EXTENSIONS).map((extension) => `${stem}.${extension}`);
+}
+
+// "2024:05:01 14:30:00" (EXIF) -> "2024-05-01T14:30:00", the local time the
+// photo was taken. EXIF rarely says which zone that was, so none is attached.
+function parseExifTime(value) {
+    const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(String(value || ""));
+    if (!match) return null;
+    const [, year, month, day, hours, minutes, seconds] = match;
+    if (year === "0000") return null;
+    return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`;
+}
+
+// { taken_at, latitude, longitude } from EXIF, each null when missing
+async function readPhotoMetadata(buffer) {
+    const metadata = { taken_at: null, latitude: null, longitude: null };
+    try {
+        const exif = await exifr.parse(buffer, {
+            pick: ["DateTimeOriginal", "CreateDate"],
+            reviveValues: false,
+        });
+        if (exif) metadata.taken_at = parseExifTime(exif.DateTimeOriginal || exif.CreateDate);
+
+        const gps = await exifr.gps(buffer);
+        if (gps && Number.isFinite(gps.latitude) && Number.isFinite(gps.longitude)) {
+            metadata.latitude = Math.round(gps.latitude * 1e6) / 1e6;
+            metadata.longitude = Math.round(gps.longitude * 1e6) / 1e6;
+        }
+    } catch (err) {
+        // Unreadable EXIF only means less metadata, the photo itself is fine
+    }
+    return metadata;
+}
+
+// Store an uploaded file ({ buffer, mimetype }) and its thumbnails.
+// Returns the photo columns to insert, or null when the file is not a readable image.
+async function storePhoto(tripId, file) {
+    const storage = getStorage();
+    const { width, height } = await sharp(file.buffer).metadata().catch(() => ({}));
+    if (!width || !height) return null;
+
+    const storageKey = `trips/${tripId}/${crypto.randomUUID()}.${EXTENSIONS[file.mimetype] || "jpg"}`;
+    const stored = [];
+
+    try {
+        await storage.save(storageKey, file.buffer, file.mimetype);
+        stored.push(storageKey);
+
+        const thumbnailUrls = {};
+        for (const [size, edge] of Object.entries(THUMBNAIL_SIZES)) {
+            const thumbnail = await sharp(file.buffer)
+                .rotate() // apply the EXIF orientation before it is stripped
+                .resize({ width: edge, height: edge, fit: "inside", withoutEnlargement: true })
+                .jpeg({ quality: 80 })
+                .toBuffer();
+            const key = thumbnailKey(storageKey, size);
+            await storage.save(key, thumbnail, "image/jpeg");
+            stored.push(key);
+            thumbnailUrls[size] = storage.url(key);
+        }
+
+        return {
+            storage_key: storageKey,
+            image_url: storage.url(storageKey),
+            thumbnail_urls: thumbnailUrls,
+            width,
+            height,
+            ...(await readPhotoMetadata(file.buffer)),
+        };
+    } catch (err) {
+        await Promise.all(stored.map((key) => storage.remove(key).catch(() => {})));
+        throw err;
+    }
+}
+
+// Delete every stored file of a photo row. Photos added by URL have none.
+async function removePhotoFiles(photo) {
+    if (!photo.storage_key) return;
+    const storage = getStorage();
+    const keys = [photo.storage_key, ...Object.keys(THUMBNAIL_SIZES).map((size) => thumbnailKey(photo.storage_key, size))];
+    await Promise.all(keys.map((key) => storage.remove(key)));
+}
+
+// Best destination for a photo ({ taken_at, latitude, longitude }), or null.
+// With GPS: the nearest destination within MATCH_RADIUS_KM, preferring ones
+// planned for the day the photo was taken. Without GPS: the destination
+// planned for that day, when there is exactly one.
+function suggestDestination(photo, destinations) {
+    const takenOn = toDateKey(photo.taken_at);
+    const sameDay = destinations.filter((d) => takenOn && toDateKey(d.visit_date) === takenOn);
+
+    if (photo.latitude != null && photo.longitude != null) {
+        const point = { latitude: Number(photo.latitude), longitude: Number(photo.longitude) };
+        const nearest = (candidates) => candidates
+            .filter((d) => d.latitude != null && d.longitude != null)
+            .map((d) => ({
+                destination: d,
+                distance: haversineKm(point, { latitude: Number(d.latitude), longitude: Number(d.longitude) }),
+            }))
+            .filter(({ distance }) => distance <= MATCH_RADIUS_KM)
+            .sort((a, b) => a.distance - b.distance)[0];
+
+        const sameDayMatch = nearest(sameDay);
+        const match = sameDayMatch || nearest(destinations);
+        if (match) {
+            return {
+                destination_id: match.destination.id,
+                name: match.destination.name,
+                reason: sameDayMatch ? "location_and_date" : "location",
+                distance_km: Math.round(match.distance * 1000) / 1000,
+            };
+        }
+    }
+
+    if (sameDay.length === 1) {
+        return { destination_id: sameDay[0].id, name: sameDay[0].name, reason: "visit_date", distance_km: null };
+    }
+    return null;
+}
+
+module.exports = {
+    THUMBNAIL_SIZES,
+    EXTENSIONS,
+    readPhotoMetadata,
+    photoKeysForFile,
+    storePhoto,
+    removePhotoFiles,
+    suggestDestination,
+};
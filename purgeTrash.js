@@ -0,0 +1,83 @@
+// Permanently delete trash older than the retention period
+//
+//   node purgeTrash.js [days]   defaults to TRASH_RETENTION_DAYS, or 30
+//
+// Meant to run from a scheduler (cron, Vercel cron, ...) once a day.
+
+const { Pool } = require("pg");
+const { removePhotoFiles } = require("./photoUploads.js");
+require("dotenv").config();
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+function retentionDays() {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+    return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+// Returns { trips, destinations, photos, files } with the number of rows and
+// uploaded photo files removed. Trips go first so their destinations and
+// photos are removed by the cascade; files are deleted once their rows are gone.
+async function purgeTrash(client, days = retentionDays()) {
+    const uploads = await client.query(
+        `SELECT p.storage_key FROM photos p
+         JOIN trips t ON t.id = p.trip_id
+         WHERE p.storage_key IS NOT NULL
+           AND (p.deleted_at < NOW() - make_interval(days => $1) OR t.deleted_at < NOW() - make_interval(days => $1))`,
+        [days]
+    );
+
+    const purge = async (table) => {
+        const result = await client.query(
+            `DELETE FROM ${table} WHERE deleted_at < NOW() - make_interval(days => $1)`,
+            [days]
+        );
+        return result.rowCount;
+    };
+
+    const removed = {
+        trips: await purge("trips"),
+        destinations: await purge("destinations"),
+        photos: await purge("photos"),
+    };
+
+    for (const photo of uploads.rows) {
+        await removePhotoFiles(photo).catch((err) => {
+            console.error(`Could not remove files of ${photo.storage_key}:`, err.message);
+        });
+    }
+    return { ...removed, files: uploads.rows.length };
+}
+
+async function main([daysArg] = []) {
+    const days = daysArg !== undefined ? parseInt(daysArg, 10) : retentionDays();
+    if (!(days > 0)) {
+        console.error("Retention must be a positive number of days");
+        process.exitCode = 1;
+        return;
+    }
+
+    const pool = new Pool({
+        connectionString: process.env.DATABASE_URL,
+        ssl: process.env.PGSSLMODE === "disable" ? false : { rejectUnauthorized: false },
+    });
+
+    try {
+        const removed = await purgeTrash(pool, days);
+        console.log(
+            `Purged trash older than ${days} days: ${removed.trips} trips, ` +
+            `${removed.destinations} destinations, ${removed.photos} photos, ${removed.files} uploaded files`
+        );
+    } finally {
+        await pool.end();
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch((err) => {
+        console.error("Purge failed:", err.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { retentionDays, purgeTrash };
@@ -0,0 +1,148 @@
+// Reminder engine: writes due reminders to the notifications outbox and
+// sends them to webhooks
+//
+//   node reminders.js   generate due reminders, then deliver pending webhooks
+//
+// Meant to run from a scheduler (cron, Vercel cron, ...) every few minutes.
+// Trip status follows get_trip_status and "today" is the day in the trip's
+// time zone, so "tomorrow" and "the last day" are the same days the API
+// reports and a reminder goes out as that day begins where the trip is.
+// Each reminder is written once per user, trip and day, so running more
+// often never repeats one.
+
+const { Pool } = require("pg");
+const { queueDeliveries, deliverPendingWebhooks } = require("./webhooks.js");
+require("dotenv").config();
+
+const REMINDER_KINDS = ["trip_starts_tomorrow", "priority_destinations_open"];
+
+// Everyone who should hear about a live trip: its owner and accepted
+// collaborators, with their preference for `kind` (on unless turned off)
+const tripMembers = (kind) => `
+    SELECT m.trip_id, m.uid FROM (
+        SELECT id AS trip_id, user_firebase_uid AS uid FROM trips
+        UNION
+        SELECT trip_id, user_firebase_uid FROM trip_collaborators
+         WHERE status = 'accepted' AND user_firebase_uid IS NOT NULL
+    ) m
+    LEFT JOIN notification_preferences p ON p.firebase_uid = m.uid
+    WHERE COALESCE(p.${kind}, TRUE)`;
+
+// Write one notification unless it exists already. Returns the new id or null.
+async function writeNotification(client, { uid, tripId, kind, title, body, data, dedupeKey }) {
+    const result = await client.query(
+        `INSERT INTO notifications (user_firebase_uid, trip_id, kind, title, body, data, dedupe_key)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (user_firebase_uid, dedupe_key) DO NOTHING
+         RETURNING id`,
+        [uid, tripId, kind, title, body, JSON.stringify(data), dedupeKey]
+    );
+    return result.rows[0] ? result.rows[0].id : null;
+}
+
+// Upcoming trips that start tomorrow
+async function tripStartsTomorrow(client) {
+    const result = await client.query(
+        `SELECT m.uid, t.id AS trip_id, t.title, t.city, t.country,
+                to_char(t.start_date, 'YYYY-MM-DD') AS start_date,
+                to_char(t.end_date, 'YYYY-MM-DD') AS end_date,
+                t.time_zone, local_instant(t.start_date, NULL, t.time_zone) AS starts_at
+         FROM trips t
+         JOIN (${tripMembers("trip_starts_tomorrow")}) m ON m.trip_id = t.id
+         WHERE t.deleted_at IS NULL
+           AND get_trip_status(t.start_date, t.end_date, t.time_zone) = 'upcoming'
+           AND t.start_date = local_today(t.time_zone) + 1`
+    );
+
+    return result.rows.map((trip) => {
+        const place = [trip.city, trip.country].filter(Boolean).join(", ");
+        return {
+            uid: trip.uid,
+            tripId: trip.trip_id,
+            kind: "trip_starts_tomorrow",
+            title: `${trip.title} starts tomorrow`,
+            body: `Your trip${place ? ` to ${place}` : ""} starts on ${trip.start_date}.`,
+            data: {
+                start_date: trip.start_date,
+                end_date: trip.end_date,
+                time_zone: trip.time_zone,
+                starts_at: trip.starts_at.toISOString(),
+            },
+            dedupeKey: `trip_starts_tomorrow:${trip.trip_id}:${trip.start_date}`,
+        };
+    });
+}
+
+// Ongoing trips on their last day with must-see (priority_level 1)
+// destinations not yet completed
+async function priorityDestinationsOpen(client) {
+    const result = await client.query(
+        `SELECT m.uid, t.id AS trip_id, t.title,
+                to_char(t.end_date, 'YYYY-MM-DD') AS end_date,
+                json_agg(json_build_object('id', d.id, 'name', d.name)
+                         ORDER BY d.visit_date ASC NULLS LAST, d.order_index ASC NULLS LAST, d.id ASC) AS destinations
+         FROM trips t
+         JOIN (${tripMembers("priority_destinations_open")}) m ON m.trip_id = t.id
+         JOIN destinations d
+           ON d.trip_id = t.id AND d.deleted_at IS NULL AND d.priority_level = 1 AND NOT d.is_completed
+         WHERE t.deleted_at IS NULL
+           AND get_trip_status(t.start_date, t.end_date, t.time_zone) = 'ongoing'
+           AND t.end_date = local_today(t.time_zone)
+         GROUP BY m.uid, t.id`
+    );
+
+    return result.rows.map((trip) => ({
+        uid: trip.uid,
+        tripId: trip.trip_id,
+        kind: "priority_destinations_open",
+        title: `Last day of ${trip.title}`,
+        body: `Still open: ${trip.destinations.map((d) => d.name).join(", ")}.`,
+        data: { end_date: trip.end_date, destinations: trip.destinations },
+        dedupeKey: `priority_destinations_open:${trip.trip_id}:${trip.end_date}`,
+    }));
+}
+
+// Write every due reminder and queue it for the user's webhooks.
+// Returns { trip_starts_tomorrow, priority_destinations_open, queued } counts.
+async function generateReminders(client) {
+    const counts = { trip_starts_tomorrow: 0, priority_destinations_open: 0, queued: 0 };
+    const due = [...(await tripStartsTomorrow(client)), ...(await priorityDestinationsOpen(client))];
+
+    const created = [];
+    for (const reminder of due) {
+        const id = await writeNotification(client, reminder);
+        if (id === null) continue;
+        created.push(id);
+        counts[reminder.kind] += 1;
+    }
+    counts.queued = await queueDeliveries(client, created);
+    return counts;
+}
+
+async function main() {
+    const pool = new Pool({
+        connectionString: process.env.DATABASE_URL,
+        ssl: process.env.PGSSLMODE === "disable" ? false : { rejectUnauthorized: false },
+    });
+
+    try {
+        const reminders = await generateReminders(pool);
+        const deliveries = await deliverPendingWebhooks(pool);
+        console.log(
+            `Reminders: ${reminders.trip_starts_tomorrow} trip starts, ` +
+            `${reminders.priority_destinations_open} open must-sees, ${reminders.queued} webhook deliveries queued. ` +
+            `Webhooks: ${deliveries.delivered} delivered, ${deliveries.retrying} to retry, ${deliveries.failed} failed`
+        );
+    } finally {
+        await pool.end();
+    }
+}
+
+if (require.main === module) {
+    main().catch((err) => {
+        console.error("Reminders failed:", err.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { REMINDER_KINDS, generateReminders };
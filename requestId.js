@@ -0,0 +1,29 @@
+// Request IDs, so a response can be matched to its log lines
+//
+// A caller-supplied X-Request-Id is kept when it looks like an ID (useful
+// behind proxies that assign one); otherwise a new one is made. The ID is
+// sent back in the X-Request-Id header and in every error body.
+
+const crypto = require("crypto");
+
+const REQUEST_ID_HEADER = "X-Request-Id";
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Middleware: set req.id and log one line per finished request. Only the
+// matched route pattern is logged, never the raw URL, which can hold share
+// or calendar tokens.
+function requestId(req, res, next) {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set(REQUEST_ID_HEADER, req.id);
+
+    const started = process.hrtime.bigint();
+    res.on("finish", () => {
+        const route = req.route ? req.baseUrl + req.route.path : req.path;
+        const ms = Number(process.hrtime.bigint() - started) / 1e6;
+        console.log(`[${req.id}] ${req.method} ${route} ${res.statusCode} ${ms.toFixed(1)}ms`);
+    });
+    next();
+}
+
+module.exports = { REQUEST_ID_HEADER, requestId };
@@ -0,0 +1,188 @@
+// Day-by-day visiting order for destinations, using haversine distances
+//
+// Destinations with a visit_time are fixed: they keep their chronological
+// order (by visit_at when loaded, so stops in other time zones fall in
+// place) and the rest are placed around them. Flexible stops are added by
+// cheapest insertion (must-see priorities first), then each stretch between
+// fixed points is tidied with 2-opt. Good enough for a day of sightseeing,
+// not an exact TSP solver.
+//
+// The work grows steeply with the number of stops, so a day is limited to
+// MAX_STOPS_PER_DAY located destinations and 2-opt to MAX_TWO_OPT_PASSES.
+
+const { toDateKey } = require("./dates.js");
+
+const EARTH_RADIUS_KM = 6371;
+const MAX_STOPS_PER_DAY = 50;
+const MAX_TWO_OPT_PASSES = 25;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+function haversineKm(a, b) {
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLng = toRadians(b.longitude - a.longitude);
+    const h =
+        Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+const roundKm = (km) => Math.round(km * 100) / 100;
+
+const hasCoordinates = (d) => d.latitude != null && d.longitude != null;
+
+// Total length of a path of points, optionally from `start` and to `end`
+function pathLength(stops, start, end) {
+    const points = [start, ...stops, end].filter(Boolean);
+    let total = 0;
+    for (let i = 1; i < points.length; i++) total += haversineKm(points[i - 1], points[i]);
+    return total;
+}
+
+// Reverse sub-paths while that shortens the stretch between fixed ends,
+// for at most MAX_TWO_OPT_PASSES passes
+function twoOpt(stops, before, after) {
+    const route = [...stops];
+    let improved = true;
+
+    for (let pass = 0; improved && pass < MAX_TWO_OPT_PASSES; pass++) {
+        improved = false;
+        for (let i = 0; i < route.length - 1; i++) {
+            for (let k = i + 1; k < route.length; k++) {
+                const candidate = [...route.slice(0, i), ...route.slice(i, k + 1).reverse(), ...route.slice(k + 1)];
+                if (pathLength(candidate, before, after) + 1e-9 < pathLength(route, before, after)) {
+                    route.splice(0, route.length, ...candidate);
+                    improved = true;
+                }
+            }
+        }
+    }
+    return route;
+}
+
+// Chronological order of fixed stops: the UTC instant when both have one
+const byVisitTime = (a, b) =>
+    a.visit_at && b.visit_at
+        ? new Date(a.visit_at) - new Date(b.visit_at)
+        : String(a.visit_time).localeCompare(String(b.visit_time));
+
+// Order one day's located destinations
+function optimizeDay(destinations, { start, end } = {}) {
+    const fixed = destinations
+        .filter((d) => d.visit_time)
+        .sort(byVisitTime);
+    const flexible = destinations
+        .filter((d) => !d.visit_time)
+        .sort((a, b) => (a.priority_level ?? 3) - (b.priority_level ?? 3));
+
+    // segments[i] holds the flexible stops between fixed[i - 1] and fixed[i]
+    const segments = Array.from({ length: fixed.length + 1 }, () => []);
+    const boundary = (i) => ({
+        before: i === 0 ? start : fixed[i - 1],
+        after: i === fixed.length ? end : fixed[i],
+    });
+
+    for (const stop of flexible) {
+        let best = null;
+
+        segments.forEach((segment, i) => {
+            const { before, after } = boundary(i);
+            for (let position = 0; position <= segment.length; position++) {
+                const candidate = [...segment.slice(0, position), stop, ...segment.slice(position)];
+                const cost = pathLength(candidate, before, after) - pathLength(segment, before, after);
+                if (!best || cost < best.cost) best = { cost, segment: i, position };
+            }
+        });
+
+        segments[best.segment].splice(best.position, 0, stop);
+    }
+
+    const ordered = [];
+    segments.forEach((segment, i) => {
+        const { before, after } = boundary(i);
+        ordered.push(...twoOpt(segment, before, after));
+        if (i < fixed.length) ordered.push(fixed[i]);
+    });
+
+    return ordered;
+}
+
+function describeLegs(stops, start, end) {
+    const points = [
+        start && { id: null, name: "start", ...start },
+        ...stops,
+        end && { id: null, name: "end", ...end },
+    ].filter(Boolean);
+
+    const legs = [];
+    for (let i = 1; i < points.length; i++) {
+        legs.push({
+            from_destination_id: points[i - 1].id,
+            to_destination_id: points[i].id,
+            distance_km: roundKm(haversineKm(points[i - 1], points[i])),
+        });
+    }
+    return legs;
+}
+
+// Group dated destinations by day and propose an order for each.
+// `start` / `end` are optional { latitude, longitude } points (e.g. the hotel).
+// Destinations without coordinates keep their current order at the end of the day.
+// Returns { days, total_distance_km, original_distance_km }, or { error }
+// when a day has more than MAX_STOPS_PER_DAY located destinations.
+function optimizeRoute(destinations, { start, end } = {}) {
+    const byDay = new Map();
+    for (const d of destinations) {
+        const date = toDateKey(d.visit_date);
+        if (!date) continue;
+        if (!byDay.has(date)) byDay.set(date, []);
+        byDay.get(date).push({
+            ...d,
+            latitude: d.latitude != null ? Number(d.latitude) : null,
+            longitude: d.longitude != null ? Number(d.longitude) : null,
+        });
+    }
+
+    for (const [date, stops] of byDay) {
+        if (stops.filter(hasCoordinates).length > MAX_STOPS_PER_DAY) {
+            return { error: `${date} has more than ${MAX_STOPS_PER_DAY} destinations with coordinates to optimize` };
+        }
+    }
+
+    const currentOrder = (a, b) =>
+        (a.order_index ?? Infinity) - (b.order_index ?? Infinity) || a.id - b.id;
+
+    const days = [...byDay.keys()].sort().map((date) => {
+        const all = byDay.get(date).sort(currentOrder);
+        const located = all.filter(hasCoordinates);
+        const unlocated = all.filter((d) => !hasCoordinates(d));
+
+        const ordered = optimizeDay(located, { start, end });
+        const legs = describeLegs(ordered, start, end);
+        const total = legs.reduce((sum, leg) => sum + leg.distance_km, 0);
+
+        return {
+            visit_date: date,
+            order: [...ordered, ...unlocated].map((d, index) => ({
+                destination_id: d.id,
+                name: d.name,
+                visit_time: d.visit_time,
+                visit_at: d.visit_at ?? null,
+                order_index: index,
+                previous_order_index: d.order_index,
+            })),
+            legs,
+            total_distance_km: roundKm(total),
+            original_distance_km: roundKm(pathLength(located, start, end)),
+            unlocated_destination_ids: unlocated.map((d) => d.id),
+        };
+    });
+
+    return {
+        days,
+        total_distance_km: roundKm(days.reduce((sum, day) => sum + day.total_distance_km, 0)),
+        original_distance_km: roundKm(days.reduce((sum, day) => sum + day.original_distance_km, 0)),
+    };
+}
+
+module.exports = { MAX_STOPS_PER_DAY, haversineKm, optimizeRoute };
@@ -0,0 +1,152 @@
+// Offline sync: change feed and optimistic concurrency for trips,
+// destinations and photos
+//
+// Rows carry a version (bumped on every real change), a change_seq taken
+// from one database-wide sequence and the change_txid of the transaction that
+// wrote them; see migrations/0011_sync_versions and 0017_sync_watermark.
+// Changes are fed in (change_txid, change_seq) order, and only once every
+// transaction older than theirs has finished, so nothing can still commit
+// behind a cursor. The cursor is "<change_txid>.<change_seq>" of the last
+// change a client has seen. A trip shared with the user after their cursor
+// shows up as an access grant (migrations/0018_sync_access_grants) and is
+// sent whole.
+
+const VERSIONED_TABLES = {
+    trip: "trips",
+    destination: "destinations",
+    photo: "photos",
+};
+
+const DEFAULT_SYNC_LIMIT = 500;
+
+const formatETag = (version) => `"${version}"`;
+
+// Parse an If-Match header. Returns { any: true } for "*", { versions } for a
+// list of entity tags, or null when the header is not valid.
+function parseIfMatch(header) {
+    const value = String(header).trim();
+    if (value === "*") return { any: true };
+
+    const versions = [];
+    for (const tag of value.split(",")) {
+        const match = /^(?:W\/)?"(\d+)"$/.exec(tag.trim());
+        if (!match) return null;
+        versions.push(parseInt(match[1], 10));
+    }
+    return versions.length > 0 ? { versions } : null;
+}
+
+const matchesVersion = (ifMatch, version) => ifMatch.any || ifMatch.versions.includes(Number(version));
+
+const START_CURSOR = { txid: "0", seq: "0" };
+
+const formatCursor = ({ txid, seq }) => `${txid}.${seq}`;
+
+// { txid, seq } from a cursor, or null when it is not valid. "0" or omitted
+// means "from the beginning", and so does a bare change_seq handed out before
+// migration 0017, since every row then was rewritten by that migration.
+function parseCursor(cursor) {
+    if (cursor === undefined || cursor === null || cursor === "" || /^\d{1,18}$/.test(cursor)) return START_CURSOR;
+    const match = /^(\d{1,20})\.(\d{1,18})$/.exec(cursor);
+    return match ? { txid: match[1], seq: match[2] } : null;
+}
+
+// Everything that changed for `uid` after `since` (a parsed cursor), oldest
+// first, at most `limit` records. Soft-deleted and permanently deleted
+// records are both reported in `deleted`, as are trips the user lost access
+// to. A trip the user gained access to counts as one record and comes with
+// all of its live destinations and photos. Changes written after a
+// transaction that is still running wait for a later call, as that one could
+// yet commit changes sorting before them.
+// Returns { trips, destinations, photos, deleted, next_cursor, has_more }.
+async function loadChanges(client, uid, since, limit = DEFAULT_SYNC_LIMIT) {
+    // Trips the user can see, including ones in the trash so their deletion syncs
+    const visibleTrips = `SELECT t.id FROM trips t
+        LEFT JOIN trip_collaborators c
+          ON c.trip_id = t.id AND c.user_firebase_uid = $1 AND c.status = 'accepted'
+        WHERE t.user_firebase_uid = $1 OR c.id IS NOT NULL`;
+
+    // After the cursor, and written by a transaction older than any still running
+    const after = `(change_txid, change_seq) > ($2::xid8, $3::bigint)
+               AND change_txid < pg_snapshot_xmin(pg_current_snapshot())`;
+    const feed = await client.query(
+        `SELECT * FROM (
+            SELECT 'trip' AS entity_type, id, id AS trip_id, change_txid, change_seq, deleted_at FROM trips
+             WHERE ${after} AND id IN (${visibleTrips})
+            UNION ALL
+            SELECT 'destination', id, trip_id, change_txid, change_seq, deleted_at FROM destinations
+             WHERE ${after} AND trip_id IN (${visibleTrips})
+            UNION ALL
+            SELECT 'photo', id, trip_id, change_txid, change_seq, deleted_at FROM photos
+             WHERE ${after} AND trip_id IN (${visibleTrips})
+            UNION ALL
+            SELECT entity_type, entity_id, trip_id, change_txid, change_seq, deleted_at FROM sync_tombstones
+             WHERE ${after}
+               AND (user_firebase_uid = $1 OR (user_firebase_uid IS NULL AND trip_id IN (${visibleTrips})))
+            UNION ALL
+            SELECT 'access', trip_id, trip_id, change_txid, change_seq, NULL FROM sync_access_grants
+             WHERE ${after} AND user_firebase_uid = $1 AND trip_id IN (${visibleTrips})
+         ) changes
+         ORDER BY change_txid ASC, change_seq ASC
+         LIMIT $4`,
+        [uid, since.txid, since.seq, limit + 1]
+    );
+
+    const hasMore = feed.rows.length > limit;
+    const page = hasMore ? feed.rows.slice(0, limit) : feed.rows;
+
+    const changedIds = { trip: [], destination: [], photo: [] };
+    const grantedTrips = new Set();
+    let deleted = [];
+    for (const entry of page) {
+        if (entry.entity_type === "access") {
+            // Access given back after being revoked earlier in this page wins
+            grantedTrips.add(entry.trip_id);
+            deleted = deleted.filter((d) => !(d.entity_type === "trip" && d.id === entry.trip_id));
+        } else if (entry.deleted_at) {
+            if (entry.entity_type === "trip") grantedTrips.delete(entry.id);
+            deleted.push({
+                entity_type: entry.entity_type,
+                id: entry.id,
+                trip_id: entry.trip_id,
+                deleted_at: entry.deleted_at,
+            });
+        } else {
+            changedIds[entry.entity_type].push(entry.id);
+        }
+    }
+
+    // Changed rows, plus every live row of the granted trips
+    const load = async (entity) => {
+        const tripColumn = entity === "trip" ? "id" : "trip_id";
+        if (changedIds[entity].length === 0 && grantedTrips.size === 0) return [];
+        const result = await client.query(
+            `SELECT * FROM ${VERSIONED_TABLES[entity]}
+             WHERE id = ANY($1) OR (${tripColumn} = ANY($2) AND deleted_at IS NULL)
+             ORDER BY change_txid ASC, change_seq ASC`,
+            [changedIds[entity], [...grantedTrips]]
+        );
+        return result.rows;
+    };
+
+    return {
+        trips: await load("trip"),
+        destinations: await load("destination"),
+        photos: await load("photo"),
+        deleted,
+        next_cursor: formatCursor(page.length > 0
+            ? { txid: page[page.length - 1].change_txid, seq: page[page.length - 1].change_seq }
+            : since),
+        has_more: hasMore,
+    };
+}
+
+module.exports = {
+    VERSIONED_TABLES,
+    DEFAULT_SYNC_LIMIT,
+    formatETag,
+    parseIfMatch,
+    matchesVersion,
+    parseCursor,
+    loadChanges,
+};
@@ -0,0 +1,91 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi, createTrip, addCollaborator } = require("./helpers.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+});
+after(() => api.stop());
+
+const dates = (start_date, end_date) => ({ title: "Lisbon", start_date, end_date });
+
+async function latestEntry(tripId) {
+    const { body } = await api.request("GET", `/trips/${tripId}/activity`, { as: "alice" });
+    return body.entries[0];
+}
+
+test("changes are logged per field and can be reverted once", async () => {
+    const trip = await createTrip(api, "alice");
+    await addCollaborator(api, "alice", trip.id, "erin", "editor");
+    await api.request("PUT", `/trips/${trip.id}`, { as: "erin", body: { ...dates("2030-05-01", "2030-05-05"), title: "Porto" } });
+
+    const entry = await latestEntry(trip.id);
+    assert.equal(entry.action, "update");
+    assert.equal(entry.actor_uid, "erin");
+    assert.deepEqual(entry.changes, { title: { before: "Lisbon", after: "Porto" } });
+
+    const reverted = await api.request("POST", `/trips/${trip.id}/activity/${entry.id}/revert`, {
+        as: "alice",
+        body: { field: "title" },
+    });
+    assert.equal(reverted.status, 200);
+    assert.equal(reverted.body.entry.action, "revert");
+    assert.equal((await api.request("GET", `/trips/${trip.id}`, { as: "alice" })).body.title, "Lisbon");
+
+    const again = await api.request("POST", `/trips/${trip.id}/activity/${entry.id}/revert`, {
+        as: "alice",
+        body: { field: "title" },
+    });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.details.current, "Lisbon");
+});
+
+test("a revert that would leave the trip's dates backwards is refused", async () => {
+    const trip = await createTrip(api, "alice", dates("2030-05-01", "2030-05-05"));
+    await api.request("PUT", `/trips/${trip.id}`, { as: "alice", body: dates("2030-05-01", "2030-05-20") });
+    const widened = await latestEntry(trip.id);
+    await api.request("PUT", `/trips/${trip.id}`, { as: "alice", body: dates("2030-05-15", "2030-05-20") });
+
+    const { status, body } = await api.request("POST", `/trips/${trip.id}/activity/${widened.id}/revert`, {
+        as: "alice",
+        body: { field: "end_date" },
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, "validation_failed");
+    assert.deepEqual(body.details.map((detail) => detail.field), ["end_date"]);
+    assert.equal((await api.request("GET", `/trips/${trip.id}`, { as: "alice" })).body.end_date.slice(0, 10), "2030-05-20");
+});
+
+test("a revert that would move a destination outside its trip is refused", async () => {
+    const trip = await createTrip(api, "alice", dates("2030-05-01", "2030-05-05"));
+    const { body: destination } = await api.request("POST", `/trips/${trip.id}/destinations`, {
+        as: "alice",
+        body: { name: "Belem Tower", visit_date: "2030-05-02" },
+    });
+    await api.request("PUT", `/destinations/${destination.id}`, { as: "alice", body: { visit_date: "2030-05-04" } });
+    const moved = await latestEntry(trip.id);
+    await api.request("PUT", `/trips/${trip.id}`, { as: "alice", body: dates("2030-05-03", "2030-05-05") });
+
+    const { status, body } = await api.request("POST", `/trips/${trip.id}/activity/${moved.id}/revert`, {
+        as: "alice",
+        body: { field: "visit_date" },
+    });
+    assert.equal(status, 400);
+    assert.deepEqual(body.details.map((detail) => detail.field), ["visit_date"]);
+});
+
+test("viewers can read the activity but not revert it", async () => {
+    const trip = await createTrip(api, "alice");
+    await api.request("PUT", `/trips/${trip.id}`, { as: "alice", body: { ...dates("2030-05-01", "2030-05-05"), title: "Porto" } });
+    await addCollaborator(api, "alice", trip.id, "bob", "viewer");
+
+    const { status, body } = await api.request("GET", `/trips/${trip.id}/activity`, { as: "bob" });
+    assert.equal(status, 200);
+    const reverted = await api.request("POST", `/trips/${trip.id}/activity/${body.entries[0].id}/revert`, {
+        as: "bob",
+        body: { field: "title" },
+    });
+    assert.equal(reverted.status, 403);
+    assert.equal((await api.request("GET", `/trips/${trip.id}/activity`, { as: "mallory" })).status, 403);
+});
@@ -0,0 +1,113 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi, createTrip } = require("./helpers.js");
+const { haversineKm } = require("../routeOptimizer.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+});
+after(() => api.stop());
+
+const LISBON = { latitude: 38.7223, longitude: -9.1393 };
+const PORTO = { latitude: 41.1579, longitude: -8.6291 };
+
+// A destination of the trip, marked completed unless told otherwise
+async function visit(uid, tripId, fields, completed = true) {
+    const { body } = await api.request("POST", `/trips/${tripId}/destinations`, { as: uid, body: fields });
+    if (completed) await api.request("PATCH", `/destinations/${body.id}/complete`, { as: uid });
+    return body;
+}
+
+test("analytics count completed travel by year with places, distance and spending", async () => {
+    await api.request("PUT", "/user/profile", {
+        as: "alice",
+        body: { location: "Lisbon", location_lat: LISBON.latitude, location_lng: LISBON.longitude },
+    });
+
+    const porto = await createTrip(api, "alice", {
+        title: "Porto", country: "Portugal", city: "Porto", start_date: "2023-06-01", end_date: "2023-06-03",
+        trip_type: "cultural", budget: 100,
+    });
+    await api.request("PATCH", `/trips/${porto.id}/rating`, { as: "alice", body: { rating: 4 } });
+    await visit("alice", porto.id, { name: "Ribeira", destination_type: "landmark", location_lat: PORTO.latitude, location_lng: PORTO.longitude });
+    await visit("alice", porto.id, { name: "Skipped", destination_type: "museum" }, false);
+    await api.request("POST", `/trips/${porto.id}/expenses`, { as: "alice", body: { amount: 150, category: "food", expense_date: "2023-06-02" } });
+
+    const madrid = await createTrip(api, "alice", {
+        title: "Madrid", country: " spain", city: "Madrid", start_date: "2024-03-03", end_date: "2024-03-04",
+        trip_type: "cultural",
+    });
+    await api.request("PATCH", `/trips/${madrid.id}/rating`, { as: "alice", body: { rating: 5 } });
+    await visit("alice", madrid.id, { name: "Prado", destination_type: "museum" });
+    const portoAgain = await createTrip(api, "alice", {
+        title: "Back home", country: "portugal", city: "Porto", start_date: "2024-03-04", end_date: "2024-03-05",
+    });
+    await visit("alice", portoAgain.id, { name: "Serralves", destination_type: "museum" });
+
+    await createTrip(api, "alice", { title: "Planned", country: "Japan", start_date: "2040-01-01", end_date: "2040-01-05" });
+    const deleted = await createTrip(api, "alice", { country: "Italy", start_date: "2022-01-01", end_date: "2022-01-02" });
+    await api.request("DELETE", `/trips/${deleted.id}`, { as: "alice" });
+
+    const { status, body } = await api.request("GET", "/user/analytics", { as: "alice" });
+    assert.equal(status, 200);
+    assert.deepEqual(body.home, { location: "Lisbon", ...LISBON });
+
+    assert.equal(body.totals.trips, 3);
+    assert.equal(body.totals.days_traveled, 6); // 4 March counts once across both trips
+    assert.equal(body.totals.countries, 2);
+    assert.equal(body.totals.cities, 2);
+    assert.equal(body.totals.destinations_visited, 3);
+    assert.deepEqual(body.countries, [
+        { country: "Portugal", first_visit: "2023-06-01", trips: 2 },
+        { country: "spain", first_visit: "2024-03-03", trips: 1 },
+    ]);
+
+    const [first, second] = body.by_year;
+    assert.equal(first.year, 2023);
+    assert.equal(first.distance_km, Math.round(2 * haversineKm(LISBON, PORTO) * 10) / 10);
+    assert.equal(first.spent, 150);
+    assert.equal(first.budget, 100);
+    assert.equal(first.budget_used_percentage, 150);
+    assert.equal(first.trips_over_budget, 1);
+    assert.equal(second.year, 2024);
+    assert.deepEqual(second.new_countries, ["spain"]);
+    assert.deepEqual(second.new_cities, ["Madrid"]);
+    assert.equal(second.budget_used_percentage, null);
+
+    assert.deepEqual(body.ratings_by_trip_type, [{ trip_type: "cultural", average_rating: 4.5, rated_trips: 2 }]);
+    assert.deepEqual(body.top_destination_types, [
+        { destination_type: "museum", visits: 2 },
+        { destination_type: "landmark", visits: 1 },
+    ]);
+});
+
+test("a user without completed travel gets empty analytics", async () => {
+    const { body } = await api.request("GET", "/user/analytics", { as: "nobody" });
+    assert.equal(body.home, null);
+    assert.equal(body.totals.trips, 0);
+    assert.deepEqual(body.by_year, []);
+});
+
+test("spending and budgets are converted into the home currency", async () => {
+    await api.request("PUT", "/user/profile", { as: "zoe", body: { home_currency: "eur" } });
+    await api.db.query(
+        "INSERT INTO exchange_rates (base_currency, quote_currency, rate_date, rate) VALUES ('EUR', 'USD', '2024-05-01', 1.1)"
+    );
+
+    const boston = await createTrip(api, "zoe", { start_date: "2024-06-01", end_date: "2024-06-03", currency: "USD", budget: 1100 });
+    const tokyo = await createTrip(api, "zoe", { start_date: "2024-07-01", end_date: "2024-07-03", currency: "JPY", budget: 100000 });
+    for (const [trip, amount, currency] of [[boston, 110, "USD"], [boston, 50, "EUR"], [boston, 30, "GBP"], [tokyo, 10, "EUR"]]) {
+        const expense = { amount, currency, category: "food", expense_date: trip.start_date.slice(0, 10) };
+        assert.equal((await api.request("POST", `/trips/${trip.id}/expenses`, { as: "zoe", body: expense })).status, 201);
+    }
+
+    const { body } = await api.request("GET", "/user/analytics", { as: "zoe" });
+    assert.equal(body.currency, "EUR");
+    assert.equal(body.rate_date, "2024-05-01");
+    assert.deepEqual(body.unconverted_currencies, ["GBP", "JPY"]);
+    assert.equal(body.totals.spent, 160);
+    assert.equal(body.totals.budget, 1000);
+    assert.equal(body.totals.spent_on_budgeted_trips, 150);
+    assert.equal(body.totals.budget_used_percentage, 15);
+});
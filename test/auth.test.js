@@ -0,0 +1,36 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { signLocalToken } = require("../localJwt.js");
+const { startApi } = require("./helpers.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+});
+after(() => api.stop());
+
+test("requests without a bearer token are refused", async () => {
+    const { status, body } = await api.request("GET", "/trips");
+    assert.equal(status, 401);
+    assert.equal(body.code, "unauthorized");
+});
+
+test("tokens with a bad signature or past their expiry are refused", async () => {
+    const token = api.tokenFor("alice");
+    const tampered = `${token.slice(0, -2)}xx`;
+    const expired = signLocalToken({ uid: "alice" }, { expiresIn: -10 });
+
+    for (const bearer of [tampered, expired, "not-a-jwt"]) {
+        const { status } = await api.request("GET", "/trips", { headers: { Authorization: `Bearer ${bearer}` } });
+        assert.equal(status, 401);
+    }
+});
+
+test("a valid token signs the user in and provisions them", async () => {
+    const { status, body } = await api.request("GET", "/trips", { as: "new-user" });
+    assert.equal(status, 200);
+    assert.deepEqual(body, []);
+
+    const { rows } = await api.db.query("SELECT email FROM users WHERE firebase_uid = 'new-user'");
+    assert.deepEqual(rows, [{ email: "new-user@example.com" }]);
+});
@@ -0,0 +1,48 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi, createTrip } = require("./helpers.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+});
+after(() => api.stop());
+
+test("an exported trip imports as a new trip of the importing user", async () => {
+    const trip = await createTrip(api, "alice", { title: "Lisbon", currency: "EUR" });
+    await api.request("POST", `/trips/${trip.id}/destinations`, {
+        as: "alice",
+        body: { name: "Belem Tower", visit_date: "2030-05-02", location_lat: 38.6916, location_lng: -9.216 },
+    });
+
+    const exported = await api.request("GET", `/trips/${trip.id}/export`, { as: "alice" });
+    assert.equal(exported.status, 200);
+    assert.equal(exported.body.trips[0].destinations[0].name, "Belem Tower");
+
+    const imported = await api.request("POST", "/trips/import", { as: "bob", body: exported.body });
+    assert.equal(imported.status, 201);
+    const copyId = imported.body.trips[0].trip_id;
+    assert.notEqual(copyId, trip.id);
+
+    const { body: copy } = await api.request("GET", `/trips/${copyId}`, { as: "bob" });
+    assert.equal(copy.title, "Lisbon");
+    assert.equal(copy.currency, "EUR");
+    const { body: destinations } = await api.request("GET", `/trips/${copyId}/destinations`, { as: "bob" });
+    assert.equal(destinations.length, 1);
+    assert.equal(Number(destinations[0].latitude), 38.6916);
+});
+
+test("invalid backups are refused with the path of each problem", async () => {
+    const { status, body } = await api.request("POST", "/trips/import", {
+        as: "carol",
+        body: {
+            format: "travel-companion-trip-backup",
+            version: 1,
+            trips: [{ title: "Lisbon", start_date: "2030-05-01", end_date: "2030-05-05", destinations: [{ name: "" }] }],
+        },
+    });
+    assert.equal(status, 400);
+    assert.deepEqual(body.details.map((detail) => detail.path), ["trips[0].destinations[0].name"]);
+
+    assert.deepEqual((await api.request("GET", "/trips", { as: "carol" })).body, []);
+});
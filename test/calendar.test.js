@@ -0,0 +1,47 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi, createTrip } = require("./helpers.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+});
+after(() => api.stop());
+
+test("a trip exports as an iCalendar file to its members only", async () => {
+    const trip = await createTrip(api, "alice", { title: "Lisbon" });
+    await api.request("POST", `/trips/${trip.id}/destinations`, {
+        as: "alice",
+        body: { name: "Belem Tower", visit_date: "2030-05-02", visit_time: "09:30" },
+    });
+
+    const { status, headers, body } = await api.request("GET", `/trips/${trip.id}/calendar.ics`, { as: "alice" });
+    assert.equal(status, 200);
+    assert.match(headers.get("content-type"), /^text\/calendar/);
+    assert.match(body, /SUMMARY:Lisbon/);
+    assert.match(body, /SUMMARY:Belem Tower/);
+
+    assert.equal((await api.request("GET", `/trips/${trip.id}/calendar.ics`, { as: "mallory" })).status, 403);
+});
+
+test("the subscription feed works by token until it is rotated or disabled", async () => {
+    await createTrip(api, "dora", { title: "Kyoto" });
+    assert.deepEqual((await api.request("GET", "/user/calendar-feed", { as: "dora" })).body, { enabled: false });
+
+    const created = await api.request("POST", "/user/calendar-feed", { as: "dora" });
+    assert.equal(created.status, 201);
+    const feedPath = new URL(created.body.url).pathname;
+
+    const feed = await api.request("GET", feedPath);
+    assert.equal(feed.status, 200);
+    assert.match(feed.body, /SUMMARY:Kyoto/);
+    assert.equal((await api.request("GET", "/user/calendar-feed", { as: "dora" })).body.enabled, true);
+
+    const rotated = await api.request("POST", "/user/calendar-feed", { as: "dora" });
+    assert.equal((await api.request("GET", feedPath)).status, 404);
+    const rotatedPath = new URL(rotated.body.url).pathname;
+    assert.equal((await api.request("GET", rotatedPath)).status, 200);
+
+    await api.request("DELETE", "/user/calendar-feed", { as: "dora" });
+    assert.equal((await api.request("GET", rotatedPath)).status, 404);
+});
@@ -0,0 +1,69 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi, createTrip, addCollaborator } = require("./helpers.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+});
+after(() => api.stop());
+
+test("items are added, ticked off and counted in the progress", async () => {
+    const trip = await createTrip(api, "alice");
+    const checklist = await api.request("POST", `/trips/${trip.id}/checklists`, { as: "alice", body: { name: "Packing" } });
+    assert.equal(checklist.status, 201);
+    const itemsUrl = `/trips/${trip.id}/checklists/${checklist.body.id}/items`;
+
+    const passport = await api.request("POST", itemsUrl, { as: "alice", body: { name: "Passport" } });
+    assert.equal(passport.status, 201);
+    await api.request("POST", itemsUrl, { as: "alice", body: { name: "Socks", quantity: 5 } });
+
+    const ticked = await api.request("PATCH", `${itemsUrl}/${passport.body.id}`, { as: "alice", body: { is_done: true } });
+    assert.equal(ticked.body.is_done, true);
+    assert.ok(ticked.body.done_at);
+    assert.equal(ticked.body.name, "Passport");
+
+    const { body: [listed] } = await api.request("GET", `/trips/${trip.id}/checklists`, { as: "alice" });
+    assert.equal(listed.total_items, 2);
+    assert.equal(listed.done_items, 1);
+    assert.equal(listed.progress_percentage, 50);
+
+    const blank = await api.request("PATCH", `${itemsUrl}/${passport.body.id}`, { as: "alice", body: { name: " " } });
+    assert.equal(blank.status, 400);
+});
+
+test("a template is matched to the trip and its quantities scaled", async () => {
+    const trip = await createTrip(api, "alice", { start_date: "2030-05-01", end_date: "2030-05-04", traveler_count: 2, trip_type: "business" });
+    await api.request("POST", "/checklist-templates", {
+        as: "alice",
+        body: { name: "Anything", items: [{ name: "Book" }] },
+    });
+    const business = await api.request("POST", "/checklist-templates", {
+        as: "alice",
+        body: {
+            name: "Business",
+            trip_types: ["business"],
+            items: [{ name: "Shirts", quantity: 1, scale: "per_day" }, { name: "Water", scale: "per_traveler_per_day" }],
+        },
+    });
+    assert.equal(business.status, 201);
+
+    const created = await api.request("POST", `/trips/${trip.id}/checklists/from-template`, { as: "alice", body: {} });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.template_id, business.body.id);
+    assert.deepEqual(created.body.items.map((item) => [item.name, item.quantity]), [["Shirts", 4], ["Water", 8]]);
+
+    const others = await api.request("POST", `/trips/${trip.id}/checklists/from-template`, {
+        as: "bob",
+        body: { template_id: business.body.id },
+    });
+    assert.equal(others.status, 403);
+});
+
+test("viewers can read checklists but not change them", async () => {
+    const trip = await createTrip(api, "alice");
+    await addCollaborator(api, "alice", trip.id, "bob", "viewer");
+    assert.equal((await api.request("GET", `/trips/${trip.id}/checklists`, { as: "bob" })).status, 200);
+    const created = await api.request("POST", `/trips/${trip.id}/checklists`, { as: "bob", body: { name: "Mine" } });
+    assert.equal(created.status, 403);
+});
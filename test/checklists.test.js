@@ -0,0 +1,36 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { scaleQuantity, chooseTemplate, checklistProgress } = require("../checklists.js");
+
+test("quantities scale by days, travelers or both", () => {
+    const trip = { days: 4, travelers: 3 };
+    assert.equal(scaleQuantity({ quantity: 2, scale: "fixed" }, trip), 2);
+    assert.equal(scaleQuantity({ quantity: 2, scale: "per_day" }, trip), 8);
+    assert.equal(scaleQuantity({ quantity: 2, scale: "per_traveler" }, trip), 6);
+    assert.equal(scaleQuantity({ quantity: 1, scale: "per_traveler_per_day" }, trip), 12);
+    assert.equal(scaleQuantity({ scale: "per_day" }, trip), 4);
+});
+
+test("the most specific fitting template wins, newest first on a tie", () => {
+    const template = (id, fields) => ({ id, trip_types: [], min_days: null, max_days: null, created_at: "2030-01-01", ...fields });
+    const templates = [
+        template(1),
+        template(2, { min_days: 1, max_days: 7 }),
+        template(3, { trip_types: ["business"] }),
+        template(4, { trip_types: ["business"], min_days: 2, max_days: 3 }),
+        template(5, { min_days: 1, max_days: 7, created_at: "2030-02-01" }),
+    ];
+    assert.equal(chooseTemplate(templates, { tripType: "business", days: 3 }).id, 4);
+    assert.equal(chooseTemplate(templates, { tripType: "business", days: 10 }).id, 3);
+    assert.equal(chooseTemplate(templates, { tripType: "vacation", days: 5 }).id, 5);
+    assert.equal(chooseTemplate(templates, { tripType: "vacation", days: 30 }).id, 1);
+    assert.equal(chooseTemplate(templates.slice(1), { tripType: "vacation", days: 30 }), null);
+});
+
+test("progress counts done items", () => {
+    assert.deepEqual(checklistProgress([]), { total_items: 0, done_items: 0, progress_percentage: 0 });
+    assert.deepEqual(
+        checklistProgress([{ is_done: true }, { is_done: false }, { is_done: false }]),
+        { total_items: 3, done_items: 1, progress_percentage: 33 }
+    );
+});
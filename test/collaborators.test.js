@@ -0,0 +1,61 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi, createTrip, addCollaborator } = require("./helpers.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+});
+after(() => api.stop());
+
+const update = { title: "Porto", start_date: "2030-05-01", end_date: "2030-05-05" };
+
+test("viewers can read a shared trip but not change it", async () => {
+    const trip = await createTrip(api, "alice");
+    await addCollaborator(api, "alice", trip.id, "bob", "viewer");
+
+    assert.equal((await api.request("GET", `/trips/${trip.id}`, { as: "bob" })).status, 200);
+    assert.equal((await api.request("PUT", `/trips/${trip.id}`, { as: "bob", body: update })).status, 403);
+    const added = await api.request("POST", `/trips/${trip.id}/destinations`, { as: "bob", body: { name: "Alfama" } });
+    assert.equal(added.status, 403);
+});
+
+test("editors can change a shared trip but not delete it or manage collaborators", async () => {
+    const trip = await createTrip(api, "alice");
+    await addCollaborator(api, "alice", trip.id, "erin", "editor");
+
+    assert.equal((await api.request("PUT", `/trips/${trip.id}`, { as: "erin", body: update })).status, 200);
+    assert.equal((await api.request("DELETE", `/trips/${trip.id}`, { as: "erin" })).status, 403);
+    const invited = await api.request("POST", `/trips/${trip.id}/collaborators`, {
+        as: "erin",
+        body: { email: "frank@example.com", role: "viewer" },
+    });
+    assert.equal(invited.status, 403);
+});
+
+test("invitations are only accepted by the invited user and end with removal", async () => {
+    const trip = await createTrip(api, "alice");
+    const invited = await api.request("POST", `/trips/${trip.id}/collaborators`, {
+        as: "alice",
+        body: { email: "Carol@Example.com", role: "viewer" },
+    });
+    assert.equal(invited.status, 201);
+    assert.equal(invited.body.invited_email, "carol@example.com");
+
+    const duplicate = await api.request("POST", `/trips/${trip.id}/collaborators`, {
+        as: "alice",
+        body: { email: "carol@example.com", role: "editor" },
+    });
+    assert.equal(duplicate.status, 409);
+
+    assert.equal((await api.request("POST", `/invitations/${invited.body.id}/accept`, { as: "mallory" })).status, 404);
+    const { body: pending } = await api.request("GET", "/invitations", { as: "carol" });
+    assert.deepEqual(pending.map((invitation) => invitation.trip_id), [trip.id]);
+
+    assert.equal((await api.request("POST", `/invitations/${invited.body.id}/accept`, { as: "carol" })).status, 200);
+    assert.equal((await api.request("GET", `/trips/${trip.id}`, { as: "carol" })).status, 200);
+
+    const removed = await api.request("DELETE", `/trips/${trip.id}/collaborators/${invited.body.id}`, { as: "alice" });
+    assert.equal(removed.status, 200);
+    assert.equal((await api.request("GET", `/trips/${trip.id}`, { as: "carol" })).status, 403);
+});
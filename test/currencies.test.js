@@ -0,0 +1,44 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi, createTrip } = require("./helpers.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+    await api.db.query(
+        "INSERT INTO exchange_rates (base_currency, quote_currency, rate_date, rate) VALUES ('EUR', 'USD', '2024-05-01', 1.25)"
+    );
+});
+after(() => api.stop());
+
+test("budgets and price ranges are shown in the home currency with the rate date", async () => {
+    const profile = await api.request("PUT", "/user/profile", { as: "alice", body: { home_currency: "usd" } });
+    assert.equal(profile.body.profile.home_currency, "USD");
+
+    const trip = await createTrip(api, "alice", { currency: "eur", budget: 800 });
+    assert.equal(trip.currency, "EUR");
+    await api.request("POST", `/trips/${trip.id}/destinations`, { as: "alice", body: { name: "Oceanario", price_range: "20-40" } });
+
+    const { body: stored } = await api.request("GET", `/trips/${trip.id}`, { as: "alice" });
+    assert.deepEqual(stored.budget_in_home_currency, { amount: 1000, currency: "USD", rate: 1.25, rate_date: "2024-05-01" });
+
+    const { body: listed } = await api.request("GET", "/trips", { as: "alice" });
+    assert.equal(listed.find((listedTrip) => listedTrip.id === trip.id).budget_in_home_currency.amount, 1000);
+
+    const { body: [destination] } = await api.request("GET", `/trips/${trip.id}/destinations`, { as: "alice" });
+    assert.deepEqual(destination.price_range_estimate, { min: 25, max: 50, currency: "USD", rate: 1.25, rate_date: "2024-05-01" });
+});
+
+test("amounts without a rate are not converted and currency codes are checked", async () => {
+    const trip = await createTrip(api, "bob", { currency: "JPY", budget: 100000 });
+    const { body: stored } = await api.request("GET", `/trips/${trip.id}`, { as: "bob" });
+    assert.equal(stored.budget_in_home_currency, null);
+
+    const invalid = await api.request("PUT", "/user/profile", { as: "bob", body: { home_currency: "dollars" } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.details[0].field, "home_currency");
+    assert.equal((await api.request("POST", "/trips", {
+        as: "bob",
+        body: { title: "Bad", start_date: "2030-01-01", end_date: "2030-01-02", currency: "EURO" },
+    })).status, 400);
+});
@@ -0,0 +1,36 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi, createTrip } = require("./helpers.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+});
+after(() => api.stop());
+
+test("destinations export in each format as an attachment", async () => {
+    const trip = await createTrip(api, "alice");
+    await api.request("POST", `/trips/${trip.id}/destinations`, {
+        as: "alice",
+        body: { name: "Belem Tower", location_lat: 38.6916, location_lng: -9.216, visit_date: "2030-05-02" },
+    });
+
+    const geojson = await api.request("GET", `/trips/${trip.id}/destinations/export`, { as: "alice" });
+    assert.equal(geojson.status, 200);
+    assert.match(geojson.headers.get("content-disposition"), new RegExp(`trip-${trip.id}\\.geojson`));
+    assert.deepEqual(JSON.parse(geojson.body).features[0].geometry.coordinates, [-9.216, 38.6916]);
+
+    const gpx = await api.request("GET", `/trips/${trip.id}/destinations/export?format=GPX`, { as: "alice" });
+    assert.match(gpx.headers.get("content-type"), /^application\/gpx\+xml/);
+    assert.match(gpx.body, /<wpt lat="38.6916" lon="-9.216">/);
+
+    const kml = await api.request("GET", `/trips/${trip.id}/destinations/export?format=kml`, { as: "alice" });
+    assert.match(kml.body, /<Placemark>/);
+});
+
+test("unknown formats and other users are refused", async () => {
+    const trip = await createTrip(api, "alice");
+    const unknown = await api.request("GET", `/trips/${trip.id}/destinations/export?format=shp`, { as: "alice" });
+    assert.equal(unknown.status, 400);
+    assert.equal((await api.request("GET", `/trips/${trip.id}/destinations/export`, { as: "mallory" })).status, 403);
+});
@@ -0,0 +1,114 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi, createTrip } = require("./helpers.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+});
+after(() => api.stop());
+
+async function addDestinations(tripId, names) {
+    const ids = [];
+    for (const name of names) {
+        ids.push((await api.request("POST", `/trips/${tripId}/destinations`, { as: "alice", body: { name, visit_date: "2030-05-02" } })).body.id);
+    }
+    return ids;
+}
+
+const listed = async (tripId) => (await api.request("GET", `/trips/${tripId}/destinations`, { as: "alice" })).body
+    .sort((a, b) => a.order_index - b.order_index);
+
+test("updating a destination keeps the fields left out of the request", async () => {
+    const trip = await createTrip(api, "alice");
+    const created = await api.request("POST", `/trips/${trip.id}/destinations`, {
+        as: "alice",
+        body: { name: "Belem Tower", description: "Go early" },
+    });
+    assert.equal(created.status, 201);
+
+    const updated = await api.request("PUT", `/destinations/${created.body.id}`, {
+        as: "alice",
+        body: { visit_date: "2030-05-02" },
+    });
+    assert.equal(updated.status, 200);
+
+    const [destination] = await listed(trip.id);
+    assert.equal(destination.name, "Belem Tower");
+    assert.equal(destination.description, "Go early");
+
+    const cleared = await api.request("PUT", `/destinations/${created.body.id}`, { as: "alice", body: { name: " " } });
+    assert.equal(cleared.status, 400);
+});
+
+test("reordering renumbers each day and can move destinations between days", async () => {
+    const trip = await createTrip(api, "alice");
+    const [a, b, c] = await addDestinations(trip.id, ["A", "B", "C"]);
+
+    const { status, body } = await api.request("PATCH", `/trips/${trip.id}/destinations/order`, {
+        as: "alice",
+        body: { destinations: [{ id: c }, { id: a }, { id: b, visit_date: "2030-05-03" }] },
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.order.map((entry) => [entry.destination_id, entry.visit_date, entry.order_index]), [
+        [c, "2030-05-02", 0],
+        [a, "2030-05-02", 1],
+        [b, "2030-05-03", 0],
+    ]);
+    const byDay = (await listed(trip.id)).filter((d) => d.visit_date.startsWith("2030-05-02"));
+    assert.deepEqual(byDay.map((d) => d.name), ["C", "A"]);
+});
+
+test("a reorder must list every live destination of the trip exactly once", async () => {
+    const trip = await createTrip(api, "alice");
+    const [a, b] = await addDestinations(trip.id, ["A", "B"]);
+    const other = await createTrip(api, "alice");
+    const [foreign] = await addDestinations(other.id, ["X"]);
+
+    const reorder = (destinations) => api.request("PATCH", `/trips/${trip.id}/destinations/order`, {
+        as: "alice",
+        body: { destinations },
+    });
+    assert.equal((await reorder([{ id: a }])).status, 400);
+    assert.equal((await reorder([{ id: a }, { id: a }, { id: b }])).status, 400);
+    assert.equal((await reorder([{ id: a }, { id: b }, { id: foreign }])).status, 400);
+
+    await api.request("DELETE", `/destinations/${b}`, { as: "alice" });
+    assert.equal((await reorder([{ id: a }, { id: b }])).status, 400);
+    assert.equal((await reorder([{ id: a }])).status, 200);
+});
+
+test("a batch is applied completely or not at all", async () => {
+    const trip = await createTrip(api, "alice");
+    const [a, b] = await addDestinations(trip.id, ["A", "B"]);
+
+    const rejected = await api.request("POST", `/trips/${trip.id}/destinations/batch`, {
+        as: "alice",
+        body: { operations: [{ op: "delete", id: a }, { op: "update", id: b, data: { name: "" } }] },
+    });
+    assert.equal(rejected.status, 400);
+    assert.deepEqual(rejected.body.details.map((result) => result.status), ["not_applied", "invalid"]);
+    assert.equal((await listed(trip.id)).length, 2);
+
+    const duplicated = await api.request("POST", `/trips/${trip.id}/destinations/batch`, {
+        as: "alice",
+        body: {
+            operations: [
+                { op: "create", data: { name: "C" } },
+                { op: "update", id: b, data: { description: "Renamed" } },
+                { op: "complete", id: a },
+                { op: "delete", id: b },
+            ],
+        },
+    });
+    assert.equal(duplicated.status, 400);
+    assert.match(JSON.stringify(duplicated.body.details), /more than one operation/);
+
+    const applied = await api.request("POST", `/trips/${trip.id}/destinations/batch`, {
+        as: "alice",
+        body: { operations: [{ op: "create", data: { name: "C" } }, { op: "complete", id: a }, { op: "delete", id: b }] },
+    });
+    assert.equal(applied.status, 200);
+    const names = (await listed(trip.id)).map((d) => [d.name, d.is_completed]).sort();
+    assert.deepEqual(names, [["A", true], ["C", false]]);
+});
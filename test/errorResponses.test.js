@@ -0,0 +1,71 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi, createTrip } = require("./helpers.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+});
+after(() => api.stop());
+
+test("errors share one shape with a code and the request ID", async () => {
+    const { status, headers, body } = await api.request("GET", "/trips/999999", { as: "alice" });
+    assert.equal(status, 404);
+    assert.equal(body.code, "not_found");
+    assert.equal(typeof body.error, "string");
+    assert.equal(body.request_id, headers.get("x-request-id"));
+    assert.ok(!("details" in body));
+});
+
+test("a well-formed caller request ID is kept and a malformed one replaced", async () => {
+    const kept = await api.request("GET", "/trips", { as: "alice", headers: { "X-Request-Id": "proxy-1234.abc" } });
+    assert.equal(kept.headers.get("x-request-id"), "proxy-1234.abc");
+
+    const replaced = await api.request("GET", "/trips/999999", { as: "alice", headers: { "X-Request-Id": "bad id <script>" } });
+    assert.notEqual(replaced.headers.get("x-request-id"), "bad id <script>");
+    assert.equal(replaced.body.request_id, replaced.headers.get("x-request-id"));
+});
+
+test("unknown routes, bad JSON and missing tokens get their own codes", async () => {
+    const unrouted = await api.request("GET", "/no-such-route", { as: "alice" });
+    assert.equal(unrouted.status, 404);
+    assert.equal(unrouted.body.code, "not_found");
+
+    const response = await fetch(`${api.baseUrl}/trips`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${api.tokenFor("alice")}` },
+        body: "{not json",
+    });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).code, "invalid_json");
+
+    const anonymous = await api.request("GET", "/trips");
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.code, "unauthorized");
+});
+
+test("database errors become 4xx responses without the raw Postgres message", async () => {
+    const trip = await createTrip(api, "alice");
+    const { status, body } = await api.request("POST", `/trips/${trip.id}/expenses`, {
+        as: "alice",
+        body: { description: "Yacht", amount: 1e11, currency: "EUR", category: "other", expense_date: "2030-05-02" },
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, "invalid_input");
+    assert.doesNotMatch(body.error, /numeric|overflow/);
+});
+
+test("toggles on missing records answer 404 and created destinations are returned", async () => {
+    const favorite = await api.request("PATCH", "/trips/999999/favorite", { as: "alice" });
+    assert.equal(favorite.status, 404);
+    assert.equal(favorite.body.code, "not_found");
+
+    const completed = await api.request("PATCH", "/destinations/999999/complete", { as: "alice" });
+    assert.equal(completed.status, 404);
+
+    const trip = await createTrip(api, "alice");
+    const created = await api.request("POST", `/trips/${trip.id}/destinations`, { as: "alice", body: { name: "Alfama" } });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.name, "Alfama");
+    assert.equal(created.body.trip_id, trip.id);
+});
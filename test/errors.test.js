@@ -0,0 +1,31 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ApiError, fromDatabaseError } = require("../errors.js");
+
+test("ApiError takes its status from the code and refuses unknown codes", () => {
+    const err = new ApiError("version_conflict", "Changed elsewhere", { version: 3 });
+    assert.equal(err.status, 409);
+    assert.deepEqual(err.details, { version: 3 });
+    assert.throws(() => new ApiError("teapot", "No"), /Unknown error code/);
+});
+
+test("Postgres errors caused by the request map to client errors", () => {
+    assert.equal(fromDatabaseError({ code: "22P02" }).code, "invalid_input");
+    assert.deepEqual(fromDatabaseError({ code: "23502", column: "title" }).details, [
+        { field: "title", message: "title is required" },
+    ]);
+    assert.equal(fromDatabaseError({ code: "23503", detail: "Key (trip_id)=(5) is not present in table \"trips\"." }).message,
+        "Referenced trip_id does not exist");
+    assert.equal(fromDatabaseError({ code: "23503", detail: "Key (id)=(5) is still referenced from table \"photos\"." }).code,
+        "reference_in_use");
+    assert.equal(fromDatabaseError({ code: "23505", detail: "Key (token)=(abc) already exists." }).status, 409);
+    assert.deepEqual(fromDatabaseError({ code: "23514", constraint: "trips_traveler_count_check" }).details, {
+        constraint: "trips_traveler_count_check",
+    });
+    assert.equal(fromDatabaseError({ code: "40P01" }).code, "conflict");
+});
+
+test("other database errors are left for the server to answer", () => {
+    assert.equal(fromDatabaseError({ code: "08006" }), null);
+    assert.equal(fromDatabaseError(new Error("boom")), null);
+});
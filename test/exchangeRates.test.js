@@ -0,0 +1,57 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { PGlite } = require("@electric-sql/pglite");
+const { loadMigrations } = require("../migrate.js");
+const { parseRateFile, importRates, loadConverter, parsePriceRange } = require("../exchangeRates.js");
+
+let db;
+before(async () => {
+    db = await PGlite.create();
+    for (const migration of loadMigrations()) await db.exec(migration.up);
+});
+after(() => db.close());
+
+test("rate files are read from CSV and the common JSON shapes", () => {
+    const csv = "# ECB\nrate_date,base_currency,quote_currency,rate\n2024-05-01,eur,USD,1.07\n2024-05-01,EUR,EUR,1\n";
+    assert.deepEqual(parseRateFile(csv, "csv"), [{ base: "EUR", quote: "USD", rate_date: "2024-05-01", rate: 1.07 }]);
+
+    const json = JSON.stringify({ base: "EUR", date: "2024-05-02", rates: { USD: 1.08, GBP: 0.85 } });
+    assert.deepEqual(parseRateFile(json, "json").map((rate) => rate.quote), ["USD", "GBP"]);
+});
+
+test("invalid rate rows are all reported together", () => {
+    const csv = "date,base,quote,rate\n2024-13-01,EUR,USD,1.07\nx,EUR,US,1\n2024-05-01,EUR,USD,-2\n";
+    assert.throws(() => parseRateFile(csv, "csv"), (err) => {
+        assert.match(err.message, /row 1: date must be YYYY-MM-DD/);
+        assert.match(err.message, /row 2: currencies must be 3-letter codes/);
+        assert.match(err.message, /row 3: rate must be a positive number/);
+        return true;
+    });
+    assert.throws(() => parseRateFile("day,base,quote\n", "csv"), /missing: date, rate/);
+});
+
+test("conversions use the latest rate, inverted or through a shared currency", async () => {
+    await importRates(db, [
+        { base: "EUR", quote: "USD", rate_date: "2024-04-01", rate: 1.05 },
+        { base: "EUR", quote: "USD", rate_date: "2024-05-01", rate: 1.1 },
+        { base: "EUR", quote: "GBP", rate_date: "2024-05-02", rate: 0.8 },
+        { base: "EUR", quote: "JPY", rate_date: "2030-01-01", rate: 160 },
+    ], "test");
+    const converter = await loadConverter(db, "2024-06-01");
+
+    assert.deepEqual(converter.convert(100, "EUR", "USD"), { amount: 110, currency: "USD", rate: 1.1, rate_date: "2024-05-01" });
+    assert.equal(converter.convert(110, "usd", "EUR").amount, 100);
+    assert.deepEqual(converter.convert(110, "USD", "GBP"), { amount: 80, currency: "GBP", rate: 0.72727273, rate_date: "2024-05-01" });
+    assert.equal(converter.convert(5, "USD", "USD").rate_date, null);
+    assert.equal(converter.convert(100, "EUR", "JPY"), null); // only rated after asOf
+    assert.equal(converter.convert(null, "EUR", "USD"), null);
+
+    assert.equal((await loadConverter(db, "2024-04-15")).convert(100, "EUR", "USD").amount, 105);
+});
+
+test("price ranges are read as amounts with an optional currency", () => {
+    assert.deepEqual(parsePriceRange("20-50", "EUR"), { min: 20, max: 50, currency: "EUR" });
+    assert.deepEqual(parsePriceRange("1,200 JPY", "EUR"), { min: 1200, max: 1200, currency: "JPY" });
+    assert.equal(parsePriceRange("$$", "EUR"), null);
+    assert.equal(parsePriceRange(null, "EUR"), null);
+});
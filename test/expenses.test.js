@@ -0,0 +1,44 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi, createTrip, addCollaborator } = require("./helpers.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+});
+after(() => api.stop());
+
+test("the expense summary converts every currency into the trip's", async () => {
+    const trip = await createTrip(api, "alice", { budget: 1000, currency: "USD", traveler_count: 2 });
+    for (const expense of [
+        { amount: 50, category: "food", expense_date: "2030-05-01" },
+        { amount: 20, currency: "EUR", category: "food", expense_date: "2030-05-01" },
+        { amount: 30, category: "transport", expense_date: "2030-05-02" },
+    ]) {
+        assert.equal((await api.request("POST", `/trips/${trip.id}/expenses`, { as: "alice", body: expense })).status, 201);
+    }
+
+    // Without a EUR rate the EUR expense is left out of every total
+    let { body: summary } = await api.request("GET", `/trips/${trip.id}/expenses/summary`, { as: "alice" });
+    assert.equal(summary.total_spent, 80);
+    assert.deepEqual(summary.unconverted, [{ currency: "EUR", total: 20, count: 1 }]);
+
+    await api.db.query(
+        "INSERT INTO exchange_rates (base_currency, quote_currency, rate_date, rate) VALUES ('EUR', 'USD', '2024-05-01', 1.1)"
+    );
+    ({ body: summary } = await api.request("GET", `/trips/${trip.id}/expenses/summary`, { as: "alice" }));
+    assert.equal(summary.total_spent, 102);
+    assert.equal(summary.remaining, 898);
+    assert.equal(summary.per_traveler_share, 51);
+    assert.equal(summary.rate_date, "2024-05-01");
+    assert.deepEqual(summary.unconverted, []);
+});
+
+test("viewers may read expenses but not add them", async () => {
+    const trip = await createTrip(api, "alice");
+    await addCollaborator(api, "alice", trip.id, "bob", "viewer");
+
+    assert.equal((await api.request("GET", `/trips/${trip.id}/expenses`, { as: "bob" })).status, 200);
+    const { status } = await api.request("POST", `/trips/${trip.id}/expenses`, { as: "bob", body: { amount: 10 } });
+    assert.equal(status, 403);
+});
@@ -0,0 +1,39 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { exportDestinations } = require("../geoExport.js");
+
+const trip = { id: 3, title: "Rome & Naples" };
+const destinations = [
+    { id: 1, name: "Pantheon", latitude: "41.8986", longitude: "12.4769", visit_date: "2030-05-02", visit_time: "11:00" },
+    { id: 2, name: "Colosseum", latitude: "41.8902", longitude: "12.4922", visit_date: "2030-05-02", visit_time: "09:00" },
+    { id: 3, name: "Pompeii", latitude: "40.7462", longitude: "14.4989", visit_date: "2030-05-04" },
+    { id: 4, name: "Somewhere", latitude: null, longitude: null, visit_date: "2030-05-02" },
+];
+
+test("GeoJSON has a point per located destination and a route per day with several stops", () => {
+    const { body, contentType, extension } = exportDestinations("geojson", trip, destinations);
+    assert.equal(contentType, "application/geo+json");
+    assert.equal(extension, "geojson");
+
+    const { features } = JSON.parse(body);
+    const points = features.filter((f) => f.properties.feature_type === "destination");
+    assert.deepEqual(points.map((f) => f.properties.id), [2, 1, 3]);
+    assert.deepEqual(points[0].geometry.coordinates, [12.4922, 41.8902]);
+
+    const routes = features.filter((f) => f.properties.feature_type === "route");
+    assert.equal(routes.length, 1);
+    assert.equal(routes[0].properties.visit_date, "2030-05-02");
+    assert.deepEqual(routes[0].properties.destination_ids, [2, 1]);
+});
+
+test("GPX and KML escape text and carry the same points", () => {
+    const gpx = exportDestinations("gpx", trip, destinations).body;
+    assert.match(gpx, /<name>Rome &amp; Naples<\/name>/);
+    assert.equal(gpx.match(/<wpt /g).length, 3);
+    assert.equal(gpx.match(/<rte>/g).length, 1);
+
+    const kml = exportDestinations("kml", trip, destinations).body;
+    assert.match(kml, /<coordinates>12.4922,41.8902<\/coordinates>/);
+    assert.equal(kml.match(/<Point>/g).length, 3);
+    assert.equal(kml.match(/<LineString>/g).length, 1);
+});
@@ -0,0 +1,145 @@
+// Route test harness: an in-memory Postgres (PGlite) with every migration
+// applied, and the API running against it in a child process with
+// AUTH_PROVIDER=local, so tests need no database server or Firebase project.
+//
+//   const api = await startApi();
+//   const { status, body } = await api.request("POST", "/trips", { as: "alice", body: {...} });
+//   await api.stop();
+
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const { PGlite } = require("@electric-sql/pglite");
+const { PGLiteSocketServer } = require("@electric-sql/pglite-socket");
+const { loadMigrations } = require("../migrate.js");
+const { signLocalToken } = require("../localJwt.js");
+
+const ROOT = path.join(__dirname, "..");
+const JWT_SECRET = "route-tests-secret-route-tests-secret";
+const STARTUP_TIMEOUT_MS = 30 * 1000;
+
+// A port nothing is listening on right now
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer().listen(0, "127.0.0.1", () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+        server.on("error", reject);
+    });
+}
+
+async function waitForApi(baseUrl, child, output) {
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) throw new Error(`API exited during startup:\n${output.join("")}`);
+        try {
+            await fetch(`${baseUrl}/health-check-before-tests`);
+            return;
+        } catch (err) {
+            await new Promise((resolve) => setTimeout(resolve, 100));
+        }
+    }
+    throw new Error(`API did not start within ${STARTUP_TIMEOUT_MS} ms:\n${output.join("")}`);
+}
+
+async function startApi() {
+    const db = await PGlite.create();
+    for (const migration of loadMigrations()) await db.exec(migration.up);
+
+    const dbPort = await freePort();
+    const dbServer = new PGLiteSocketServer({ db, port: dbPort, host: "127.0.0.1", maxConnections: 20 });
+    await dbServer.start();
+
+    process.env.AUTH_JWT_SECRET = JWT_SECRET;
+    const apiPort = await freePort();
+    const photoDir = fs.mkdtempSync(path.join(os.tmpdir(), "travel-companion-photos-"));
+    const output = [];
+    const child = spawn(process.execPath, [path.join(ROOT, "api", "index.js")], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            NODE_ENV: "test",
+            PORT: String(apiPort),
+            DATABASE_URL: `postgres://postgres@127.0.0.1:${dbPort}/postgres`,
+            PGSSLMODE: "disable",
+            AUTH_PROVIDER: "local",
+            AUTH_JWT_SECRET: JWT_SECRET,
+            PHOTO_STORAGE: "local",
+            PHOTO_STORAGE_DIR: photoDir,
+        },
+        stdio: ["ignore", "pipe", "pipe"],
+    });
+    child.stdout.on("data", (chunk) => output.push(chunk));
+    child.stderr.on("data", (chunk) => output.push(chunk));
+
+    const baseUrl = `http://127.0.0.1:${apiPort}`;
+    try {
+        await waitForApi(baseUrl, child, output);
+    } catch (err) {
+        child.kill();
+        await dbServer.stop();
+        await db.close();
+        throw err;
+    }
+
+    const tokenFor = (uid) => signLocalToken({ uid, email: `${uid}@example.com` });
+
+    // { status, headers, body } with body parsed as JSON when it is JSON.
+    // `as` signs the request in as that uid; `body` may be FormData.
+    async function request(method, url, { as, body, headers = {} } = {}) {
+        const isForm = body instanceof FormData;
+        const response = await fetch(baseUrl + url, {
+            method,
+            headers: {
+                ...(body !== undefined && !isForm ? { "Content-Type": "application/json" } : {}),
+                ...(as ? { Authorization: `Bearer ${tokenFor(as)}` } : {}),
+                ...headers,
+            },
+            body: body === undefined || isForm ? body : JSON.stringify(body),
+        });
+        const text = await response.text();
+        let parsed = text;
+        if ((response.headers.get("content-type") || "").includes("application/json")) parsed = JSON.parse(text);
+        return { status: response.status, headers: response.headers, body: parsed };
+    }
+
+    // The database server goes first, so no connection is still being
+    // cleaned up once the database itself closes
+    async function stop() {
+        await dbServer.stop();
+        const exited = new Promise((resolve) => child.once("exit", resolve));
+        child.kill();
+        await exited;
+        await db.close();
+        fs.rmSync(photoDir, { recursive: true, force: true });
+    }
+
+    return { db, baseUrl, tokenFor, request, stop };
+}
+
+// Trip of `uid` with the given fields on top of a valid minimum
+async function createTrip(api, uid, fields = {}) {
+    const { status, body } = await api.request("POST", "/trips", {
+        as: uid,
+        body: { title: "Lisbon", start_date: "2030-05-01", end_date: "2030-05-05", ...fields },
+    });
+    if (status !== 200) throw new Error(`Creating a trip failed with ${status}: ${JSON.stringify(body)}`);
+    return body;
+}
+
+// Invite `uid` to a trip of `ownerUid` and accept the invitation as them.
+// Returns the collaborator row.
+async function addCollaborator(api, ownerUid, tripId, uid, role = "viewer") {
+    const invited = await api.request("POST", `/trips/${tripId}/collaborators`, {
+        as: ownerUid,
+        body: { email: `${uid}@example.com`, role },
+    });
+    const accepted = await api.request("POST", `/invitations/${invited.body.id}/accept`, { as: uid });
+    if (accepted.status !== 200) throw new Error(`Accepting failed with ${accepted.status}: ${JSON.stringify(accepted.body)}`);
+    return accepted.body;
+}
+
+module.exports = { startApi, createTrip, addCollaborator };
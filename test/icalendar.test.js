@@ -0,0 +1,46 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildCalendar, escapeText, foldLine } = require("../icalendar.js");
+
+const unfold = (calendar) => calendar.replace(/\r\n /g, "").split("\r\n");
+
+test("escapeText escapes the characters RFC 5545 reserves", () => {
+    assert.equal(escapeText("a;b,c\\d\ne"), "a\\;b\\,c\\\\d\\ne");
+});
+
+test("foldLine keeps lines within 75 octets without splitting characters", () => {
+    const line = `SUMMARY:${"é".repeat(60)}`;
+    const folded = foldLine(line);
+    for (const part of folded.split("\r\n")) assert.ok(Buffer.byteLength(part, "utf8") <= 75);
+    assert.equal(folded.replace(/\r\n /g, ""), line);
+    assert.equal(foldLine("SUMMARY:short"), "SUMMARY:short");
+});
+
+test("trips are all-day events with an exclusive end date", () => {
+    const lines = unfold(buildCalendar([
+        { trip: { id: 7, title: "Lisbon", start_date: "2030-05-01", end_date: "2030-05-05", city: "Lisbon", country: "Portugal" } },
+    ]));
+    assert.ok(lines.includes("UID:trip-7@travel-companion"));
+    assert.ok(lines.includes("DTSTART;VALUE=DATE:20300501"));
+    assert.ok(lines.includes("DTEND;VALUE=DATE:20300506"));
+    assert.ok(lines.includes("LOCATION:Lisbon\\, Portugal"));
+    assert.equal(lines.at(-2), "END:VCALENDAR");
+});
+
+test("destinations are timed when they can be and skipped without a visit date", () => {
+    const trip = { id: 1, title: "Lisbon", start_date: "2030-05-01", end_date: "2030-05-05" };
+    const lines = unfold(buildCalendar([{
+        trip,
+        destinations: [
+            { id: 1, name: "Belem", visit_date: "2030-05-02", visit_time: "09:30" },
+            { id: 2, name: "Alfama", visit_date: "2030-05-03", visit_at: "2030-05-03T08:00:00Z" },
+            { id: 3, name: "Sintra", visit_date: "2030-05-04" },
+            { id: 4, name: "Someday" },
+        ],
+    }]));
+    assert.ok(lines.includes("DTSTART:20300502T093000"));
+    assert.ok(lines.includes("DTEND:20300502T103000"));
+    assert.ok(lines.includes("DTSTART:20300503T080000Z"));
+    assert.ok(lines.includes("DTSTART;VALUE=DATE:20300504"));
+    assert.ok(!lines.includes("UID:destination-4@travel-companion"));
+});
@@ -0,0 +1,51 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildItinerary } = require("../itinerary.js");
+
+const trip = { id: 1, start_date: "2030-05-01", end_date: "2030-05-03" };
+const stop = (id, fields) => ({ id, name: `Stop ${id}`, order_index: id, ...fields });
+
+test("every trip day is listed, timed stops first and in time order", () => {
+    const itinerary = buildItinerary(trip, [
+        stop(1, { visit_date: "2030-05-01" }),
+        stop(2, { visit_date: "2030-05-01", visit_time: "14:00" }),
+        stop(3, { visit_date: "2030-05-01", visit_time: "09:00", is_completed: true }),
+        stop(4, { visit_date: "2030-05-02" }),
+    ]);
+    assert.deepEqual(itinerary.days.map((day) => day.date), ["2030-05-01", "2030-05-02", "2030-05-03"]);
+    assert.deepEqual(itinerary.days[0].destinations.map((d) => d.id), [3, 2, 1]);
+    assert.equal(itinerary.days[0].completed_count, 1);
+    assert.deepEqual(itinerary.issues, [{ type: "empty_day", date: "2030-05-03", message: "Nothing is planned for day 3" }]);
+});
+
+test("stops closer together than the slot length are flagged as overlapping", () => {
+    const destinations = [
+        stop(1, { visit_date: "2030-05-01", visit_time: "09:00" }),
+        stop(2, { visit_date: "2030-05-01", visit_time: "09:45" }),
+        stop(3, { visit_date: "2030-05-01", visit_time: "11:00" }),
+    ];
+    const overlaps = (slotMinutes) => buildItinerary(trip, destinations, { slotMinutes }).issues
+        .filter((issue) => issue.type === "overlap")
+        .map((issue) => issue.destination_ids);
+
+    assert.deepEqual(overlaps(60), [[1, 2]]);
+    assert.deepEqual(overlaps(90), [[1, 2], [2, 3]]);
+});
+
+test("visit_at orders stops across time zones", () => {
+    const { days } = buildItinerary(trip, [
+        stop(1, { visit_date: "2030-05-01", visit_time: "10:00", visit_at: "2030-05-01T08:00:00Z" }),
+        stop(2, { visit_date: "2030-05-01", visit_time: "09:00", visit_at: "2030-05-01T09:00:00Z" }),
+    ]);
+    assert.deepEqual(days[0].destinations.map((d) => d.id), [1, 2]);
+});
+
+test("undated and out-of-range stops are set apart", () => {
+    const itinerary = buildItinerary(trip, [
+        stop(1, { visit_date: null }),
+        stop(2, { visit_date: "2030-06-01" }),
+    ]);
+    assert.deepEqual(itinerary.unscheduled.map((d) => d.id), [1]);
+    assert.deepEqual(itinerary.outside_trip.map((d) => d.id), [2]);
+    assert.ok(itinerary.issues.some((issue) => issue.type === "outside_trip" && issue.destination_ids[0] === 2));
+});
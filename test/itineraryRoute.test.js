@@ -0,0 +1,44 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi, createTrip } = require("./helpers.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+});
+after(() => api.stop());
+
+test("the itinerary groups destinations by day and flags problems", async () => {
+    const trip = await createTrip(api, "alice", { start_date: "2030-05-01", end_date: "2030-05-03" });
+    for (const body of [
+        { name: "Belem Tower", visit_date: "2030-05-01", visit_time: "09:00" },
+        { name: "Jeronimos", visit_date: "2030-05-01", visit_time: "09:30" },
+        { name: "Sintra", visit_date: "2030-05-03" },
+        { name: "Someday" },
+    ]) {
+        await api.request("POST", `/trips/${trip.id}/destinations`, { as: "alice", body });
+    }
+
+    const { status, body } = await api.request("GET", `/trips/${trip.id}/itinerary`, { as: "alice" });
+    assert.equal(status, 200);
+    assert.deepEqual(body.days.map((day) => day.destination_count), [2, 0, 1]);
+    assert.deepEqual(body.unscheduled.map((d) => d.name), ["Someday"]);
+    assert.deepEqual(body.issues.map((issue) => issue.type).sort(), ["empty_day", "overlap"]);
+
+    const { body: relaxed } = await api.request("GET", `/trips/${trip.id}/itinerary?slot_minutes=20`, { as: "alice" });
+    assert.ok(!relaxed.issues.some((issue) => issue.type === "overlap"));
+    assert.equal((await api.request("GET", `/trips/${trip.id}/itinerary?slot_minutes=1`, { as: "alice" })).status, 400);
+});
+
+test("destinations left outside a shortened trip are reported", async () => {
+    const trip = await createTrip(api, "alice", { start_date: "2030-05-01", end_date: "2030-05-05" });
+    await api.request("POST", `/trips/${trip.id}/destinations`, { as: "alice", body: { name: "Porto", visit_date: "2030-05-05" } });
+    await api.request("PUT", `/trips/${trip.id}`, {
+        as: "alice",
+        body: { title: "Lisbon", start_date: "2030-05-01", end_date: "2030-05-02" },
+    });
+
+    const { body } = await api.request("GET", `/trips/${trip.id}/itinerary`, { as: "alice" });
+    assert.deepEqual(body.outside_trip.map((d) => d.name), ["Porto"]);
+    assert.equal((await api.request("GET", `/trips/${trip.id}/itinerary`, { as: "mallory" })).status, 403);
+});
@@ -0,0 +1,76 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PGlite } = require("@electric-sql/pglite");
+const { loadMigrations, up, down, baseline } = require("../migrate.js");
+
+// The runner only needs query(); PGlite runs multi-statement files through exec()
+const clientFor = (db) => ({
+    query: (text, params) => (params ? db.query(text, params) : db.exec(text).then((results) => results.at(-1))),
+});
+
+const tables = async (db) =>
+    (await db.query("SELECT tablename FROM pg_tables WHERE schemaname = 'public' ORDER BY tablename")).rows
+        .map((row) => row.tablename);
+
+let db;
+let client;
+beforeEach(async (t) => {
+    t.mock.method(console, "log", () => {});
+    db = await PGlite.create();
+    client = clientFor(db);
+    await db.exec(`CREATE TABLE schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        checksum TEXT NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`);
+});
+afterEach(() => db.close());
+
+test("every migration applies in order and rolls back to an empty schema", async () => {
+    const migrations = loadMigrations();
+    await up(client, migrations);
+    assert.equal((await db.query("SELECT COUNT(*)::int AS n FROM schema_migrations")).rows[0].n, migrations.length);
+    assert.ok((await tables(db)).includes("trips"));
+
+    await down(client, migrations, migrations.length);
+    assert.deepEqual(await tables(db), ["schema_migrations"]);
+
+    await up(client, migrations);
+    assert.ok((await tables(db)).includes("trips"));
+});
+
+test("up refuses to run once an applied file was edited", async () => {
+    const migrations = loadMigrations();
+    await up(client, migrations, 1);
+
+    const edited = migrations.map((m, i) => (i === 0 ? { ...m, checksum: "edited" } : m));
+    await assert.rejects(up(client, edited), /0001_core_schema was modified after it was applied/);
+    assert.equal((await db.query("SELECT COUNT(*)::int AS n FROM schema_migrations")).rows[0].n, 1);
+});
+
+test("baseline records migrations without running them, only on a fresh history", async () => {
+    const migrations = loadMigrations();
+    await db.exec(migrations[0].up);
+    await db.exec(migrations[1].up);
+
+    await baseline(client, migrations, 2);
+    const { rows } = await db.query("SELECT version FROM schema_migrations ORDER BY version");
+    assert.deepEqual(rows.map((row) => row.version), [1, 2]);
+
+    await assert.rejects(baseline(client, migrations, 2), /already has migrations applied/);
+    await up(client, migrations);
+});
+
+test("loadMigrations rejects a migration without a down file", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+    try {
+        fs.writeFileSync(path.join(dir, "0001_first.up.sql"), "SELECT 1;");
+        assert.throws(() => loadMigrations(dir), /0001_first needs both an up and a down file/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,59 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi, createTrip, addCollaborator } = require("./helpers.js");
+const { generateReminders } = require("../reminders.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+});
+after(() => api.stop());
+
+// "YYYY-MM-DD" `days` from today in UTC, the default trip time zone
+const dayFromToday = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+test("reminders reach trip members once and respect their preferences", async () => {
+    const trip = await createTrip(api, "alice", { title: "Rome", city: "Rome", start_date: dayFromToday(1), end_date: dayFromToday(4) });
+    await addCollaborator(api, "alice", trip.id, "bob");
+    await addCollaborator(api, "alice", trip.id, "carol");
+    await api.request("PUT", "/user/notification-preferences", { as: "carol", body: { trip_starts_tomorrow: false } });
+    await api.request("POST", "/user/webhooks", { as: "bob", body: { url: "https://93.184.215.14/hook" } });
+
+    const ending = await createTrip(api, "alice", { title: "Naples", start_date: dayFromToday(-2), end_date: dayFromToday(0) });
+    for (const [name, priority_level] of [["Pompeii", 1], ["Spaccanapoli", 2]]) {
+        await api.request("POST", `/trips/${ending.id}/destinations`, { as: "alice", body: { name, priority_level } });
+    }
+
+    const counts = await generateReminders(api.db);
+    assert.equal(counts.trip_starts_tomorrow, 2);
+    assert.equal(counts.priority_destinations_open, 1);
+    assert.equal(counts.queued, 1);
+    assert.deepEqual(await generateReminders(api.db), { trip_starts_tomorrow: 0, priority_destinations_open: 0, queued: 0 });
+
+    const { body: alice } = await api.request("GET", "/notifications", { as: "alice" });
+    assert.deepEqual(alice.notifications.map((n) => n.title), ["Last day of Naples", "Rome starts tomorrow"]);
+    assert.equal(alice.notifications[0].body, "Still open: Pompeii.");
+    assert.equal((await api.request("GET", "/notifications", { as: "carol" })).body.notifications.length, 0);
+});
+
+test("notifications can be read one at a time or all at once", async () => {
+    await createTrip(api, "dave", { title: "Oslo", start_date: dayFromToday(1), end_date: dayFromToday(2) });
+    await createTrip(api, "dave", { title: "Bergen", start_date: dayFromToday(1), end_date: dayFromToday(3) });
+    await generateReminders(api.db);
+
+    const { body: listed } = await api.request("GET", "/notifications?limit=1", { as: "dave" });
+    assert.equal(listed.unread_count, 2);
+    assert.notEqual(listed.next_cursor, null);
+
+    const [first] = listed.notifications;
+    assert.equal((await api.request("POST", `/notifications/${first.id}/read`, { as: "erin" })).status, 404);
+    const { body: read } = await api.request("POST", `/notifications/${first.id}/read`, { as: "dave" });
+    assert.notEqual(read.read_at, null);
+
+    const { body: unread } = await api.request("GET", "/notifications?unread=true", { as: "dave" });
+    assert.equal(unread.unread_count, 1);
+    assert.ok(!unread.notifications.some((n) => n.id === first.id));
+
+    assert.deepEqual((await api.request("POST", "/notifications/read-all", { as: "dave" })).body, { updated: 1 });
+    assert.equal((await api.request("GET", "/notifications", { as: "dave" })).body.unread_count, 0);
+});
@@ -0,0 +1,54 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi, createTrip, addCollaborator } = require("./helpers.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+});
+after(() => api.stop());
+
+async function addStops(tripId, longitudes) {
+    for (const [index, lng] of longitudes.entries()) {
+        await api.request("POST", `/trips/${tripId}/destinations`, {
+            as: "alice",
+            body: { name: `Stop ${index}`, visit_date: "2030-05-02", order_index: index, location_lat: 0, location_lng: lng },
+        });
+    }
+}
+
+test("a proposal changes nothing until it is applied", async () => {
+    const trip = await createTrip(api, "alice");
+    await addStops(trip.id, [0, 0.3, 0.1, 0.2]);
+
+    const hotel = { start_lat: 0, start_lng: -0.05 };
+    const proposal = await api.request("POST", `/trips/${trip.id}/optimize-route`, { as: "alice", body: hotel });
+    assert.equal(proposal.status, 200);
+    assert.equal(proposal.body.applied, false);
+    const proposed = proposal.body.days[0].order.map((entry) => entry.name);
+    assert.deepEqual(proposed, ["Stop 0", "Stop 2", "Stop 3", "Stop 1"]);
+
+    const byOrder = async () => (await api.request("GET", `/trips/${trip.id}/destinations`, { as: "alice" })).body
+        .sort((a, b) => a.order_index - b.order_index)
+        .map((d) => d.name);
+    assert.deepEqual(await byOrder(), ["Stop 0", "Stop 1", "Stop 2", "Stop 3"]);
+
+    const applied = await api.request("POST", `/trips/${trip.id}/optimize-route`, {
+        as: "alice",
+        body: { ...hotel, apply: true },
+    });
+    assert.equal(applied.body.applied, true);
+    assert.deepEqual(await byOrder(), proposed);
+});
+
+test("viewers may ask for a proposal but not apply it", async () => {
+    const trip = await createTrip(api, "alice");
+    await addStops(trip.id, [0, 0.1]);
+    await addCollaborator(api, "alice", trip.id, "bob", "viewer");
+
+    assert.equal((await api.request("POST", `/trips/${trip.id}/optimize-route`, { as: "bob", body: {} })).status, 200);
+    const applied = await api.request("POST", `/trips/${trip.id}/optimize-route`, { as: "bob", body: { apply: true } });
+    assert.equal(applied.status, 403);
+    const halfStart = await api.request("POST", `/trips/${trip.id}/optimize-route`, { as: "bob", body: { start_lat: 1 } });
+    assert.equal(halfStart.status, 400);
+});
@@ -0,0 +1,30 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { suggestDestination } = require("../photoUploads.js");
+
+const destinations = [
+    { id: 1, name: "Belem Tower", visit_date: "2030-05-02", latitude: "38.6916", longitude: "-9.2160" },
+    { id: 2, name: "Jeronimos", visit_date: "2030-05-03", latitude: "38.6950", longitude: "-9.2100" },
+    { id: 3, name: "Sintra", visit_date: "2030-05-04", latitude: null, longitude: null },
+];
+
+test("a geotagged photo matches the nearest destination, same-day ones first", () => {
+    const nearBelem = { taken_at: "2030-05-03T10:00:00Z", latitude: 38.6917, longitude: -9.2161 };
+    assert.equal(suggestDestination(nearBelem, destinations).reason, "location_and_date");
+    assert.equal(suggestDestination(nearBelem, destinations).destination_id, 2);
+
+    const match = suggestDestination({ ...nearBelem, taken_at: "2030-06-01T10:00:00Z" }, destinations);
+    assert.equal(match.destination_id, 1);
+    assert.equal(match.reason, "location");
+});
+
+test("without a position only a single destination that day is suggested", () => {
+    assert.deepEqual(suggestDestination({ taken_at: "2030-05-04T10:00:00Z" }, destinations), {
+        destination_id: 3,
+        name: "Sintra",
+        reason: "visit_date",
+        distance_km: null,
+    });
+    assert.equal(suggestDestination({ taken_at: null }, destinations), null);
+    assert.equal(suggestDestination({ taken_at: "2030-05-04T10:00:00Z", latitude: 0, longitude: 0 }, destinations).reason, "visit_date");
+});
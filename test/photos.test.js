@@ -0,0 +1,58 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { startApi, createTrip, addCollaborator } = require("./helpers.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+});
+after(() => api.stop());
+
+async function upload(tripId, uid) {
+    const image = await sharp({ create: { width: 64, height: 48, channels: 3, background: "#3366cc" } }).jpeg().toBuffer();
+    const form = new FormData();
+    form.append("photo", new Blob([image], { type: "image/jpeg" }), "photo.jpg");
+    return api.request("POST", `/trips/${tripId}/photos/upload`, { as: uid, body: form });
+}
+
+test("uploaded files are only served to people with access to the trip", async () => {
+    const trip = await createTrip(api, "alice");
+    await addCollaborator(api, "alice", trip.id, "bob", "viewer");
+    const { status, body: photo } = await upload(trip.id, "alice");
+    assert.equal(status, 201);
+    assert.equal(photo.width, 64);
+
+    const original = await api.request("GET", photo.image_url, { as: "bob" });
+    assert.equal(original.status, 200);
+    assert.equal(original.headers.get("content-type"), "image/jpeg");
+    assert.equal((await api.request("GET", photo.thumbnail_urls.small, { as: "alice" })).status, 200);
+
+    assert.equal((await api.request("GET", photo.image_url)).status, 401);
+    assert.equal((await api.request("GET", photo.image_url, { as: "mallory" })).status, 403);
+});
+
+test("share links serve their trip's files until the photo is trashed", async () => {
+    const trip = await createTrip(api, "alice");
+    const { body: photo } = await upload(trip.id, "alice");
+    const { body: link } = await api.request("POST", `/trips/${trip.id}/share-links`, { as: "alice", body: {} });
+
+    const { body: shared } = await api.request("GET", new URL(link.url).pathname);
+    const sharedUrl = shared.photos[0].image_url;
+    assert.match(sharedUrl, /\?share=/);
+    assert.equal((await api.request("GET", sharedUrl)).status, 200);
+    assert.equal((await api.request("GET", `${photo.image_url}?share=guess`)).status, 403);
+
+    assert.equal((await api.request("DELETE", `/photos/${photo.id}`, { as: "alice" })).status, 200);
+    assert.equal((await api.request("GET", sharedUrl)).status, 404);
+    assert.equal((await api.request("GET", photo.image_url, { as: "alice" })).status, 404);
+});
+
+test("files that are not images are refused", async () => {
+    const trip = await createTrip(api, "alice");
+    const form = new FormData();
+    form.append("photo", new Blob([Buffer.from("not an image")], { type: "image/jpeg" }), "photo.jpg");
+    const { status } = await api.request("POST", `/trips/${trip.id}/photos/upload`, { as: "alice", body: form });
+    assert.equal(status, 400);
+    assert.deepEqual((await api.request("GET", `/trips/${trip.id}/photos`, { as: "alice" })).body, []);
+});
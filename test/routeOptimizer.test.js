@@ -0,0 +1,60 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { MAX_STOPS_PER_DAY, haversineKm, optimizeRoute } = require("../routeOptimizer.js");
+
+// Stops along a line of longitude, `km` roughly east of the origin
+const stop = (id, km, fields = {}) => ({
+    id,
+    name: `Stop ${id}`,
+    visit_date: "2030-05-02",
+    latitude: 0,
+    longitude: km / 111.195,
+    order_index: id,
+    ...fields,
+});
+const orderOf = (day) => day.order.map((entry) => entry.destination_id);
+
+test("haversineKm measures great-circle distances", () => {
+    const paris = { latitude: 48.8566, longitude: 2.3522 };
+    const london = { latitude: 51.5074, longitude: -0.1278 };
+    assert.ok(Math.abs(haversineKm(paris, london) - 343.5) < 1);
+    assert.equal(haversineKm(paris, paris), 0);
+});
+
+test("flexible stops are put in the shortest order", () => {
+    const { days, total_distance_km, original_distance_km } = optimizeRoute(
+        [stop(1, 0), stop(2, 30), stop(3, 10), stop(4, 20)],
+        { start: { latitude: 0, longitude: 0 } }
+    );
+    assert.deepEqual(orderOf(days[0]), [1, 3, 4, 2]);
+    assert.ok(Math.abs(total_distance_km - 30) < 0.1);
+    assert.ok(Math.abs(original_distance_km - 60) < 0.1);
+    assert.deepEqual(days[0].order.map((entry) => entry.order_index), [0, 1, 2, 3]);
+});
+
+test("timed stops keep their chronological order and unlocated stops go last", () => {
+    const { days } = optimizeRoute([
+        stop(1, 30, { visit_time: "09:00" }),
+        stop(2, 0, { visit_time: "15:00" }),
+        stop(3, 25),
+        stop(4, 5),
+        stop(5, 0, { latitude: null, longitude: null }),
+    ]);
+    assert.deepEqual(orderOf(days[0]), [1, 3, 4, 2, 5]);
+    assert.deepEqual(days[0].unlocated_destination_ids, [5]);
+});
+
+test("each day is optimized on its own, from the start point when given", () => {
+    const { days } = optimizeRoute(
+        [stop(1, 0), stop(2, 10), stop(3, 0, { visit_date: "2030-05-03" }), { ...stop(4, 9), visit_date: null }],
+        { start: { latitude: 0, longitude: 12 / 111.195 } }
+    );
+    assert.deepEqual(days.map((day) => day.visit_date), ["2030-05-02", "2030-05-03"]);
+    assert.deepEqual(orderOf(days[0]), [2, 1]);
+    assert.equal(days[0].legs[0].from_destination_id, null);
+});
+
+test("days with too many located stops are refused", () => {
+    const stops = Array.from({ length: MAX_STOPS_PER_DAY + 1 }, (_, i) => stop(i + 1, i));
+    assert.match(optimizeRoute(stops).error, /^2030-05-02 has more than/);
+});
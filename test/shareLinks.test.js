@@ -0,0 +1,52 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi, createTrip, addCollaborator } = require("./helpers.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+});
+after(() => api.stop());
+
+const sharedPath = (link) => new URL(link.url).pathname;
+
+test("a share link shows the trip without private fields and counts its use", async () => {
+    const trip = await createTrip(api, "alice", { notes: "Door code 1234", budget: 800 });
+    await api.request("POST", `/trips/${trip.id}/destinations`, { as: "alice", body: { name: "Belem Tower", price_range: "$$" } });
+
+    const { status, body: link } = await api.request("POST", `/trips/${trip.id}/share-links`, {
+        as: "alice",
+        body: { hide_notes: true, hide_budget: true },
+    });
+    assert.equal(status, 201);
+
+    const shared = await api.request("GET", sharedPath(link));
+    assert.equal(shared.status, 200);
+    assert.equal(shared.body.trip.title, "Lisbon");
+    assert.equal(shared.body.trip.notes, undefined);
+    assert.equal(shared.body.trip.budget, undefined);
+    assert.equal(shared.body.trip.user_firebase_uid, undefined);
+    assert.equal(shared.body.destinations[0].name, "Belem Tower");
+    assert.equal(shared.body.destinations[0].price_range, undefined);
+
+    const { body: links } = await api.request("GET", `/trips/${trip.id}/share-links`, { as: "alice" });
+    assert.equal(links[0].access_count, 1);
+    assert.equal(links[0].token_hash, undefined);
+});
+
+test("revoked links and unknown tokens show nothing", async () => {
+    const trip = await createTrip(api, "alice");
+    const { body: link } = await api.request("POST", `/trips/${trip.id}/share-links`, { as: "alice", body: {} });
+    assert.equal((await api.request("GET", sharedPath(link))).status, 200);
+
+    await api.request("DELETE", `/trips/${trip.id}/share-links/${link.id}`, { as: "alice" });
+    assert.equal((await api.request("GET", sharedPath(link))).status, 404);
+    assert.equal((await api.request("GET", "/shared/not-a-token")).status, 404);
+});
+
+test("only the owner manages share links", async () => {
+    const trip = await createTrip(api, "alice");
+    await addCollaborator(api, "alice", trip.id, "erin", "editor");
+    assert.equal((await api.request("POST", `/trips/${trip.id}/share-links`, { as: "erin", body: {} })).status, 403);
+    assert.equal((await api.request("GET", `/trips/${trip.id}/share-links`, { as: "erin" })).status, 403);
+});
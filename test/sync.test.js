@@ -0,0 +1,108 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi, createTrip, addCollaborator } = require("./helpers.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+});
+after(() => api.stop());
+
+const sync = async (uid, since) => {
+    const { status, body } = await api.request("GET", `/sync${since ? `?since=${since}` : ""}`, { as: uid });
+    assert.equal(status, 200);
+    return body;
+};
+
+test("the cursor returns only what changed since", async () => {
+    const trip = await createTrip(api, "alice");
+    const full = await sync("alice");
+    assert.deepEqual(full.trips.map((t) => t.id), [trip.id]);
+
+    assert.equal((await api.request("PATCH", `/trips/${trip.id}/favorite`, { as: "alice" })).status, 200);
+    const changes = await sync("alice", full.next_cursor);
+    assert.deepEqual(changes.trips.map((t) => [t.id, t.is_favorite]), [[trip.id, true]]);
+
+    const none = await sync("alice", changes.next_cursor);
+    assert.equal(none.trips.length, 0);
+    assert.equal(none.next_cursor, changes.next_cursor);
+});
+
+test("pages follow next_cursor until has_more is false", async () => {
+    const trip = await createTrip(api, "carol");
+    for (const name of ["A", "B", "C"]) {
+        await api.request("POST", `/trips/${trip.id}/destinations`, { as: "carol", body: { name } });
+    }
+
+    const seen = [];
+    let cursor;
+    let page;
+    do {
+        ({ body: page } = await api.request("GET", `/sync?limit=2${cursor ? `&since=${cursor}` : ""}`, { as: "carol" }));
+        seen.push(...page.trips.map((t) => `trip ${t.id}`), ...page.destinations.map((d) => d.name));
+        cursor = page.next_cursor;
+    } while (page.has_more);
+
+    assert.deepEqual(seen, [`trip ${trip.id}`, "A", "B", "C"]);
+});
+
+test("a removed collaborator is told the trip is gone", async () => {
+    const trip = await createTrip(api, "alice");
+    const collaborator = await addCollaborator(api, "alice", trip.id, "bob");
+    const before = await sync("bob");
+    assert.ok(before.trips.some((t) => t.id === trip.id));
+
+    const removed = await api.request("DELETE", `/trips/${trip.id}/collaborators/${collaborator.id}`, { as: "alice" });
+    assert.equal(removed.status, 200);
+
+    const after = await sync("bob", before.next_cursor);
+    assert.deepEqual(after.deleted.map((d) => [d.entity_type, d.id]), [["trip", trip.id]]);
+    assert.ok(!(await sync("alice")).deleted.some((d) => d.id === trip.id));
+});
+
+test("a trip shared after the cursor arrives whole", async () => {
+    const trip = await createTrip(api, "alice");
+    await api.request("POST", `/trips/${trip.id}/destinations`, { as: "alice", body: { name: "Belem Tower" } });
+    const photo = await api.request("POST", `/trips/${trip.id}/photos`, {
+        as: "alice",
+        body: { image_url: "https://example.com/belem.jpg" },
+    });
+    assert.equal(photo.status, 201);
+
+    const before = await sync("dave");
+    assert.deepEqual(before.trips, []);
+
+    const collaborator = await addCollaborator(api, "alice", trip.id, "dave");
+    const granted = await sync("dave", before.next_cursor);
+    assert.deepEqual(granted.trips.map((t) => t.id), [trip.id]);
+    assert.deepEqual(granted.destinations.map((d) => d.name), ["Belem Tower"]);
+    assert.deepEqual(granted.photos.map((p) => p.id), [photo.body.id]);
+
+    // Removed and invited again between two syncs: the trip is there, not gone
+    await api.request("DELETE", `/trips/${trip.id}/collaborators/${collaborator.id}`, { as: "alice" });
+    await addCollaborator(api, "alice", trip.id, "dave");
+    const regranted = await sync("dave", granted.next_cursor);
+    assert.deepEqual(regranted.trips.map((t) => t.id), [trip.id]);
+    assert.deepEqual(regranted.deleted, []);
+});
+
+test("If-Match refuses writes based on a stale version", async () => {
+    const trip = await createTrip(api, "alice");
+    const update = { title: "Porto", start_date: "2030-05-01", end_date: "2030-05-05" };
+    const ifMatch = { "If-Match": `"${trip.version}"` };
+
+    const first = await api.request("PUT", `/trips/${trip.id}`, { as: "alice", body: update, headers: ifMatch });
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get("etag"), `"${first.body.version}"`);
+
+    const stale = await api.request("PUT", `/trips/${trip.id}`, { as: "alice", body: update, headers: ifMatch });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.code, "version_conflict");
+    assert.equal(stale.headers.get("etag"), `"${first.body.version}"`);
+    assert.equal(stale.body.details.current.title, "Porto");
+});
+
+test("malformed cursors are rejected", async () => {
+    const { status } = await api.request("GET", "/sync?since=12.x", { as: "alice" });
+    assert.equal(status, 400);
+});
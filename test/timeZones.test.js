@@ -0,0 +1,19 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { canonicalTimeZone } = require("../timeZones.js");
+
+test("zone names get their usual capitals", () => {
+    assert.equal(canonicalTimeZone("europe/paris"), "Europe/Paris");
+    assert.equal(canonicalTimeZone("UTC"), "UTC");
+    assert.equal(canonicalTimeZone("America/Argentina/Buenos_Aires"), "America/Argentina/Buenos_Aires");
+});
+
+test("aliases are kept as given rather than turned into older names", () => {
+    assert.equal(canonicalTimeZone("Asia/Kolkata"), "Asia/Kolkata");
+});
+
+test("offsets, unknown zones and non-strings are refused", () => {
+    for (const zone of ["+02:00", "Mars/Olympus_Mons", "", "Europe//Paris", null, 2]) {
+        assert.equal(canonicalTimeZone(zone), null, String(zone));
+    }
+});
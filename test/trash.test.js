@@ -0,0 +1,66 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi, createTrip } = require("./helpers.js");
+const { purgeTrash } = require("../purgeTrash.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+});
+after(() => api.stop());
+
+async function tripWithDestinations(uid, names) {
+    const trip = await createTrip(api, uid);
+    const ids = [];
+    for (const name of names) {
+        ids.push((await api.request("POST", `/trips/${trip.id}/destinations`, { as: uid, body: { name } })).body.id);
+    }
+    return { trip, ids };
+}
+
+test("a deleted trip goes to the trash and comes back with what was deleted with it", async () => {
+    const { trip, ids } = await tripWithDestinations("alice", ["Belem Tower", "Alfama"]);
+    await api.request("DELETE", `/destinations/${ids[1]}`, { as: "alice" });
+    assert.equal((await api.request("DELETE", `/trips/${trip.id}`, { as: "alice" })).status, 200);
+
+    assert.equal((await api.request("GET", `/trips/${trip.id}`, { as: "alice" })).status, 404);
+    const { body: trash } = await api.request("GET", "/trash", { as: "alice" });
+    const trashed = trash.trips.find((t) => t.id === trip.id);
+    assert.equal(Number(trashed.destination_count), 1);
+    assert.ok(trashed.purge_at);
+
+    // Alfama was trashed on its own, before the trip, so it stays in the trash
+    assert.equal((await api.request("POST", `/trash/destinations/${ids[1]}/restore`, { as: "alice" })).status, 404);
+
+    const restored = await api.request("POST", `/trash/trips/${trip.id}/restore`, { as: "alice" });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.restored_destinations, 1);
+    const { body: destinations } = await api.request("GET", `/trips/${trip.id}/destinations`, { as: "alice" });
+    assert.deepEqual(destinations.map((d) => d.name), ["Belem Tower"]);
+
+    assert.equal((await api.request("POST", `/trash/destinations/${ids[1]}/restore`, { as: "alice" })).status, 200);
+    assert.equal((await api.request("POST", `/trash/trips/${trip.id}/restore`, { as: "alice" })).status, 404);
+});
+
+test("other users can neither see nor restore a trashed trip", async () => {
+    const { trip } = await tripWithDestinations("alice", []);
+    await api.request("DELETE", `/trips/${trip.id}`, { as: "alice" });
+
+    const { body: trash } = await api.request("GET", "/trash", { as: "mallory" });
+    assert.deepEqual(trash.trips, []);
+    assert.equal((await api.request("POST", `/trash/trips/${trip.id}/restore`, { as: "mallory" })).status, 403);
+});
+
+test("purging removes only trash older than the retention period", async () => {
+    const { trip: old } = await tripWithDestinations("purgy", ["Old stop"]);
+    const { trip: recent } = await tripWithDestinations("purgy", []);
+    await api.request("DELETE", `/trips/${old.id}`, { as: "purgy" });
+    await api.request("DELETE", `/trips/${recent.id}`, { as: "purgy" });
+    await api.db.query("UPDATE trips SET deleted_at = NOW() - INTERVAL '31 days' WHERE id = $1", [old.id]);
+
+    const removed = await purgeTrash(api.db, 30);
+    assert.equal(removed.trips, 1);
+
+    const { body: trash } = await api.request("GET", "/trash", { as: "purgy" });
+    assert.deepEqual(trash.trips.map((t) => t.id), [recent.id]);
+});
@@ -0,0 +1,68 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { BACKUP_FORMAT, BACKUP_VERSION, validateBackup } = require("../tripBackup.js");
+
+const backup = (trips) => ({ format: BACKUP_FORMAT, version: BACKUP_VERSION, trips });
+const trip = (fields = {}) => ({ title: "Lisbon", start_date: "2030-05-01", end_date: "2030-05-05", ...fields });
+
+test("a well-formed backup has no errors", () => {
+    const errors = validateBackup(backup([trip({
+        currency: "eur",
+        destinations: [{ source_id: 1, name: "Belem", visit_date: "2030-05-02", latitude: "38.69", longitude: "-9.21" }],
+        photos: [{ image_url: "https://example.com/a.jpg", destination_source_id: 1 }],
+        expenses: [{ amount: "12.50", expense_date: "2030-05-02" }],
+    })]));
+    assert.deepEqual(errors, []);
+});
+
+test("the document itself must be a supported backup", () => {
+    assert.deepEqual(validateBackup([]), [{ path: "", message: "Backup must be a JSON object" }]);
+    const paths = validateBackup({ format: "other", version: 99, trips: [] }).map((error) => error.path);
+    assert.deepEqual(paths, ["format", "version", "trips"]);
+});
+
+test("trips are held to the trip schema", () => {
+    const errors = validateBackup(backup([
+        trip(),
+        trip({ title: 42, end_date: "2030-02-30", trip_type: "cruise", traveler_count: 0, trip_rating: 9 }),
+        trip({ end_date: "2030-04-01" }),
+    ]));
+    assert.deepEqual(errors.map((error) => error.path), [
+        "trips[1].title",
+        "trips[1].end_date",
+        "trips[1].trip_type",
+        "trips[1].traveler_count",
+        "trips[1].trip_rating",
+        "trips[2].end_date",
+    ]);
+});
+
+test("destinations are held to the destination schema with column names in the paths", () => {
+    const errors = validateBackup(backup([trip({
+        destinations: [
+            { name: "Belem" },
+            { name: "", priority_level: 7 },
+            { name: "Sintra", latitude: 38.8 },
+            { name: "Porto", visit_date: "2030-06-01" },
+        ],
+    })]));
+    assert.deepEqual(errors.map((error) => error.path), [
+        "trips[0].destinations[1].name",
+        "trips[0].destinations[1].priority_level",
+        "trips[0].destinations[2].longitude",
+        "trips[0].destinations[3].visit_date",
+    ]);
+    assert.match(errors[2].message, /^latitude and longitude/);
+});
+
+test("photo and expense links must point at a destination of the same trip", () => {
+    const errors = validateBackup(backup([trip({
+        destinations: [{ source_id: 1, name: "Belem" }],
+        photos: [{ image_url: "https://example.com/a.jpg", destination_source_id: 2 }],
+        expenses: [{ amount: "lots", destination_source_id: 1 }],
+    })]));
+    assert.deepEqual(errors.map((error) => error.path), [
+        "trips[0].photos[0].destination_source_id",
+        "trips[0].expenses[0].amount",
+    ]);
+});
@@ -0,0 +1,89 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi, createTrip, addCollaborator } = require("./helpers.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+});
+after(() => api.stop());
+
+// A trip of alice's with one completed, one dated and one undated
+// destination, marked favorite and rated
+async function plannedTrip() {
+    const trip = await createTrip(api, "alice", { title: "Web Summit", start_date: "2030-11-10", end_date: "2030-11-13", budget: 800 });
+    const add = (body) => api.request("POST", `/trips/${trip.id}/destinations`, { as: "alice", body });
+    const { body: venue } = await add({ name: "Venue", visit_date: "2030-11-10", visit_time: "09:00" });
+    await add({ name: "Dinner", visit_date: "2030-11-12" });
+    await add({ name: "Someday" });
+    await api.request("PATCH", `/destinations/${venue.id}/complete`, { as: "alice" });
+    await api.request("PATCH", `/trips/${trip.id}/favorite`, { as: "alice" });
+    await api.request("PATCH", `/trips/${trip.id}/rating`, { as: "alice", body: { rating: 5 } });
+    return trip;
+}
+
+const visits = (trip) => trip.destinations.map((d) => [d.name, d.visit_date && d.visit_date.slice(0, 10)]);
+
+test("duplicating shifts every visit by the same offset and starts fresh", async () => {
+    const trip = await plannedTrip();
+    const { status, body: copy } = await api.request("POST", `/trips/${trip.id}/duplicate`, {
+        as: "alice",
+        body: { start_date: "2031-11-09" },
+    });
+    assert.equal(status, 201);
+    assert.notEqual(copy.id, trip.id);
+    assert.equal(copy.title, "Web Summit");
+    assert.equal(copy.end_date.slice(0, 10), "2031-11-12");
+    assert.equal(Number(copy.budget), 800);
+    assert.equal(copy.is_favorite, false);
+    assert.equal(copy.trip_rating, null);
+    assert.deepEqual(visits(copy), [["Venue", "2031-11-09"], ["Dinner", "2031-11-11"], ["Someday", null]]);
+    assert.ok(copy.destinations.every((d) => !d.is_completed));
+});
+
+test("a viewer's duplicate belongs to the viewer", async () => {
+    const trip = await plannedTrip();
+    await addCollaborator(api, "alice", trip.id, "bob", "viewer");
+
+    const { body: copy } = await api.request("POST", `/trips/${trip.id}/duplicate`, {
+        as: "bob",
+        body: { start_date: "2031-01-01", title: "Bob's summit" },
+    });
+    assert.equal(copy.title, "Bob's summit");
+    assert.equal((await api.request("PUT", `/trips/${copy.id}`, {
+        as: "bob",
+        body: { title: "Mine", start_date: "2031-01-01", end_date: "2031-01-04" },
+    })).status, 200);
+
+    assert.equal((await api.request("POST", `/trips/${trip.id}/duplicate`, { as: "mallory", body: { start_date: "2031-01-01" } })).status, 403);
+    assert.equal((await api.request("POST", `/trips/${trip.id}/duplicate`, { as: "alice", body: {} })).status, 400);
+});
+
+test("templates are private and lay out new trips from any start date", async () => {
+    const trip = await plannedTrip();
+    const { status, body: template } = await api.request("POST", `/trips/${trip.id}/save-as-template`, {
+        as: "alice",
+        body: { name: "Conference" },
+    });
+    assert.equal(status, 201);
+    assert.equal(template.duration_days, 4);
+    assert.deepEqual(template.destinations.map((d) => d.day_offset), [0, 2, null]);
+
+    const { body: listed } = await api.request("GET", "/trip-templates", { as: "bob" });
+    assert.ok(!listed.some((listedTemplate) => listedTemplate.id === template.id));
+    const stolen = await api.request("POST", `/trip-templates/${template.id}/trips`, { as: "bob", body: { start_date: "2032-02-01" } });
+    assert.equal(stolen.status, 404);
+
+    const { status: createdStatus, body: created } = await api.request("POST", `/trip-templates/${template.id}/trips`, {
+        as: "alice",
+        body: { start_date: "2032-02-01" },
+    });
+    assert.equal(createdStatus, 201);
+    assert.equal(created.end_date.slice(0, 10), "2032-02-04");
+    assert.equal(created.is_favorite, false);
+    assert.deepEqual(visits(created), [["Venue", "2032-02-01"], ["Dinner", "2032-02-03"], ["Someday", null]]);
+
+    assert.equal((await api.request("DELETE", `/trip-templates/${template.id}`, { as: "alice" })).status, 200);
+    const { body: trips } = await api.request("GET", "/trips", { as: "alice" });
+    assert.ok(trips.some((listedTrip) => listedTrip.id === created.id));
+});
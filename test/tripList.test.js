@@ -0,0 +1,56 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi, createTrip } = require("./helpers.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+    await createTrip(api, "lena", { title: "Kyoto spring", country: "Japan", city: "Kyoto", start_date: "2031-04-01", end_date: "2031-04-10" });
+    await createTrip(api, "lena", { title: "Osaka food", country: "japan", city: "Osaka", start_date: "2031-09-01", end_date: "2031-09-05", trip_type: "cultural" });
+    await createTrip(api, "lena", { title: "Lisbon 100%", country: "Portugal", start_date: "2030-06-01", end_date: "2030-06-03" });
+    await createTrip(api, "lena", { title: "Berlin", country: "Germany", start_date: "2032-01-10", end_date: "2032-01-12", budget: 500 });
+});
+after(() => api.stop());
+
+const titles = async (query) => {
+    const { status, body } = await api.request("GET", `/trips${query}`, { as: "lena" });
+    assert.equal(status, 200);
+    return (Array.isArray(body) ? body : body.trips).map((trip) => trip.title);
+};
+
+test("trips are filtered by country, type, date overlap and free text", async () => {
+    assert.deepEqual(await titles("?country=JAPAN&sort=title"), ["Kyoto spring", "Osaka food"]);
+    assert.deepEqual(await titles("?trip_type=cultural"), ["Osaka food"]);
+    assert.deepEqual(await titles("?from=2031-04-05&to=2031-09-01&order=asc"), ["Kyoto spring", "Osaka food"]);
+    assert.deepEqual(await titles("?q=osaka"), ["Osaka food"]);
+    // LIKE wildcards in the search are matched literally
+    assert.deepEqual(await titles("?q=100%25"), ["Lisbon 100%"]);
+});
+
+test("trips are sorted by the requested key and direction", async () => {
+    assert.deepEqual(await titles(""), ["Berlin", "Osaka food", "Kyoto spring", "Lisbon 100%"]);
+    assert.deepEqual(await titles("?sort=title"), ["Berlin", "Kyoto spring", "Lisbon 100%", "Osaka food"]);
+    assert.deepEqual((await titles("?sort=budget"))[0], "Berlin");
+});
+
+test("cursor pagination walks every trip exactly once", async () => {
+    const seen = [];
+    let query = "?sort=title&limit=3";
+    for (;;) {
+        const { body } = await api.request("GET", `/trips${query}`, { as: "lena" });
+        seen.push(...body.trips.map((trip) => trip.title));
+        if (!body.next_cursor) break;
+        query = `?sort=title&limit=3&cursor=${body.next_cursor}`;
+    }
+    assert.deepEqual(seen, ["Berlin", "Kyoto spring", "Lisbon 100%", "Osaka food"]);
+
+    const { body: first } = await api.request("GET", "/trips?sort=title&limit=1", { as: "lena" });
+    const reused = await api.request("GET", `/trips?sort=budget&cursor=${first.next_cursor}`, { as: "lena" });
+    assert.equal(reused.status, 400);
+});
+
+test("contradictory ranges and unknown sorts are refused", async () => {
+    assert.equal((await api.request("GET", "/trips?from=2031-02-01&to=2031-01-01", { as: "lena" })).status, 400);
+    assert.equal((await api.request("GET", "/trips?min_rating=4&max_rating=2", { as: "lena" })).status, 400);
+    assert.equal((await api.request("GET", "/trips?sort=secret", { as: "lena" })).status, 400);
+});
@@ -0,0 +1,56 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi, createTrip } = require("./helpers.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+});
+after(() => api.stop());
+
+// "YYYY-MM-DD" it is right now in `timeZone`
+const todayIn = (timeZone) => new Intl.DateTimeFormat("en-CA", { timeZone }).format(new Date());
+
+test("trip zones are canonicalized and decide the trip's instants", async () => {
+    const trip = await createTrip(api, "alice", { start_date: "2030-07-01", end_date: "2030-07-03", time_zone: "asia/tokyo" });
+    assert.equal(trip.time_zone, "Asia/Tokyo");
+
+    const { body: stored } = await api.request("GET", `/trips/${trip.id}`, { as: "alice" });
+    assert.equal(new Date(stored.starts_at).toISOString(), "2030-06-30T15:00:00.000Z");
+    assert.equal(new Date(stored.ends_at).toISOString(), "2030-07-03T15:00:00.000Z");
+
+    const invalid = await api.request("POST", "/trips", {
+        as: "alice",
+        body: { title: "Nowhere", start_date: "2030-07-01", end_date: "2030-07-02", time_zone: "+09:00" },
+    });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.details[0].field, "time_zone");
+});
+
+test("a trip's status follows today in its own zone", async () => {
+    // Kiritimati is 25 hours ahead of Pago Pago, so its today is always a future day there
+    const day = todayIn("Pacific/Kiritimati");
+    const ahead = await createTrip(api, "bob", { start_date: day, end_date: day, time_zone: "Pacific/Kiritimati" });
+    const behind = await createTrip(api, "bob", { start_date: day, end_date: day, time_zone: "Pacific/Pago_Pago" });
+
+    const { body: listed } = await api.request("GET", "/trips", { as: "bob" });
+    const statusOf = (trip) => listed.find((listedTrip) => listedTrip.id === trip.id).trip_status;
+    assert.equal(statusOf(ahead), "ongoing");
+    assert.equal(statusOf(behind), "upcoming");
+});
+
+test("destination visits are placed in their own zone or the trip's", async () => {
+    const trip = await createTrip(api, "alice", { start_date: "2030-07-01", end_date: "2030-07-03", time_zone: "Europe/Lisbon" });
+    const add = (body) => api.request("POST", `/trips/${trip.id}/destinations`, { as: "alice", body });
+    await add({ name: "Lisbon breakfast", visit_date: "2030-07-01", visit_time: "10:00" });
+    await add({ name: "Madrid breakfast", visit_date: "2030-07-01", visit_time: "10:00", time_zone: "europe/madrid" });
+    await add({ name: "Undated" });
+
+    const { body: destinations } = await api.request("GET", `/trips/${trip.id}/destinations`, { as: "alice" });
+    const byName = Object.fromEntries(destinations.map((d) => [d.name, d]));
+    assert.equal(byName["Lisbon breakfast"].effective_time_zone, "Europe/Lisbon");
+    assert.equal(new Date(byName["Lisbon breakfast"].visit_at).toISOString(), "2030-07-01T09:00:00.000Z");
+    assert.equal(byName["Madrid breakfast"].effective_time_zone, "Europe/Madrid");
+    assert.equal(new Date(byName["Madrid breakfast"].visit_at).toISOString(), "2030-07-01T08:00:00.000Z");
+    assert.equal(byName.Undated.visit_at, null);
+});
@@ -0,0 +1,75 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi, createTrip } = require("./helpers.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+});
+after(() => api.stop());
+
+test("trips are only visible to their owner", async () => {
+    const trip = await createTrip(api, "alice");
+
+    assert.equal((await api.request("GET", `/trips/${trip.id}`, { as: "alice" })).status, 200);
+    assert.equal((await api.request("GET", `/trips/${trip.id}`, { as: "mallory" })).status, 403);
+    assert.equal((await api.request("GET", "/trips/999999", { as: "alice" })).status, 404);
+
+    const { body: listed } = await api.request("GET", "/trips", { as: "mallory" });
+    assert.ok(!listed.some((listedTrip) => listedTrip.id === trip.id));
+});
+
+test("destinations and photos of another user's trip are off limits", async () => {
+    const trip = await createTrip(api, "alice");
+    const created = await api.request("POST", `/trips/${trip.id}/destinations`, {
+        as: "alice",
+        body: { name: "Belem Tower" },
+    });
+    assert.equal(created.status, 201);
+
+    assert.equal((await api.request("GET", `/trips/${trip.id}/destinations`, { as: "mallory" })).status, 403);
+    assert.equal((await api.request("GET", `/trips/${trip.id}/photos`, { as: "mallory" })).status, 403);
+
+    const added = await api.request("POST", `/trips/${trip.id}/destinations`, {
+        as: "mallory",
+        body: { name: "Planted" },
+    });
+    assert.equal(added.status, 403);
+
+    const edited = await api.request("PUT", `/destinations/${created.body.id}`, {
+        as: "mallory",
+        body: { name: "Renamed" },
+    });
+    assert.equal(edited.status, 403);
+    assert.equal((await api.request("DELETE", `/destinations/${created.body.id}`, { as: "mallory" })).status, 403);
+});
+
+test("invalid trips are rejected with the failing fields", async () => {
+    const { status, body } = await api.request("POST", "/trips", {
+        as: "alice",
+        body: { title: "  ", start_date: "2030-05-05", end_date: "2030-02-30" },
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, "validation_failed");
+    assert.deepEqual(body.details.map((detail) => detail.field), ["title", "end_date"]);
+});
+
+test("updating a trip keeps the fields left out of the request", async () => {
+    const trip = await createTrip(api, "alice", { city: "Lisbon", notes: "Pack light", budget: 900, traveler_count: 3, currency: "EUR" });
+    await api.request("PATCH", `/trips/${trip.id}/favorite`, { as: "alice" });
+
+    const updated = await api.request("PUT", `/trips/${trip.id}`, {
+        as: "alice",
+        body: { title: "Porto", start_date: "2030-05-01", end_date: "2030-05-06", city: null },
+    });
+    assert.equal(updated.status, 200);
+
+    const { body: stored } = await api.request("GET", `/trips/${trip.id}`, { as: "alice" });
+    assert.equal(stored.title, "Porto");
+    assert.equal(stored.notes, "Pack light");
+    assert.equal(Number(stored.budget), 900);
+    assert.equal(stored.traveler_count, 3);
+    assert.equal(stored.currency, "EUR");
+    assert.equal(stored.is_favorite, true);
+    assert.equal(stored.city, null);
+});
@@ -0,0 +1,57 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { validate, schemas } = require("../validation.js");
+
+const fieldsOf = (errors) => errors.map((error) => error.field);
+
+test("values are coerced to their declared types and defaults fill the gaps", () => {
+    const { body, errors } = validate(schemas.trip, {
+        title: "Lisbon",
+        start_date: "2030-05-01T10:00:00Z",
+        end_date: "2030-05-05",
+        budget: "1200.50",
+        time_zone: "europe/lisbon",
+    });
+    assert.deepEqual(errors, []);
+    assert.equal(body.start_date, "2030-05-01");
+    assert.equal(body.budget, 1200.5);
+    assert.equal(body.time_zone, "Europe/Lisbon");
+    assert.equal(body.trip_type, "vacation");
+    assert.equal(body.traveler_count, 1);
+});
+
+test("blank strings do not satisfy required fields", () => {
+    const { errors } = validate(schemas.trip, { title: "   ", start_date: "2030-05-01", end_date: "2030-05-05" });
+    assert.deepEqual(errors, [{ field: "title", message: "title is required" }]);
+});
+
+test("partial updates may leave required fields out but not clear them", () => {
+    assert.deepEqual(validate(schemas.destinationUpdate, { description: "Go early" }, { partial: true }).errors, []);
+
+    const { errors } = validate(schemas.destinationUpdate, { name: " \t" }, { partial: true });
+    assert.deepEqual(errors, [{ field: "name", message: "name cannot be cleared" }]);
+    assert.deepEqual(fieldsOf(validate(schemas.destinationUpdate, { name: null }, { partial: true }).errors), ["name"]);
+});
+
+test("range, enum, length and calendar rules report the failing field", () => {
+    const { errors } = validate(schemas.trip, {
+        title: "x".repeat(201),
+        start_date: "2030-02-30",
+        end_date: "2030-05-05",
+        trip_type: "cruise",
+        traveler_count: 0,
+    });
+    assert.deepEqual(fieldsOf(errors), ["title", "start_date", "trip_type", "traveler_count"]);
+});
+
+test("cross-field checks only run once every field is valid", () => {
+    const backwards = { title: "Lisbon", start_date: "2030-05-05", end_date: "2030-05-01" };
+    assert.deepEqual(fieldsOf(validate(schemas.trip, backwards).errors), ["end_date"]);
+    assert.deepEqual(fieldsOf(validate(schemas.trip, { ...backwards, budget: -1 }).errors), ["budget"]);
+});
+
+test("trip updates default nothing, so omitted fields stay omitted", () => {
+    const { body, errors } = validate(schemas.tripUpdate, { title: "Porto", start_date: "2030-05-01", end_date: "2030-05-05" });
+    assert.deepEqual(errors, []);
+    for (const field of ["is_favorite", "trip_type", "traveler_count", "notes"]) assert.equal(body[field], undefined);
+});
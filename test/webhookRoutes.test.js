@@ -0,0 +1,37 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./helpers.js");
+
+let api;
+before(async () => {
+    api = await startApi();
+});
+after(() => api.stop());
+
+test("webhooks pointing at loopback, private or link-local addresses are refused", async () => {
+    for (const url of [
+        "http://127.0.0.1:8080/hook",
+        "http://localhost/hook",
+        "http://10.0.0.5/hook",
+        "http://192.168.1.10/hook",
+        "http://169.254.169.254/latest/meta-data",
+        "http://[::1]/hook",
+    ]) {
+        const { status, body } = await api.request("POST", "/user/webhooks", { as: "alice", body: { url } });
+        assert.equal(status, 400, url);
+        assert.deepEqual(body.details, [{ field: "url", message: "url must point to a public address" }]);
+    }
+});
+
+test("webhooks on public addresses are saved with their signing secret", async () => {
+    const { status, body } = await api.request("POST", "/user/webhooks", {
+        as: "alice",
+        body: { url: "https://93.184.215.14/hook" },
+    });
+    assert.equal(status, 201);
+    assert.match(body.secret, /^whsec_/);
+
+    const { body: webhooks } = await api.request("GET", "/user/webhooks", { as: "alice" });
+    assert.deepEqual(webhooks.map((webhook) => webhook.url), ["https://93.184.215.14/hook"]);
+    assert.ok(webhooks.every((webhook) => webhook.secret === undefined));
+});
@@ -0,0 +1,21 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { checkWebhookUrl, signPayload, backoffSeconds } = require("../webhooks.js");
+
+test("only public addresses may receive webhooks", async () => {
+    assert.equal(await checkWebhookUrl("https://93.184.215.14/hook"), null);
+    for (const url of ["http://127.0.0.1/", "http://172.20.0.1/", "http://100.64.1.1/", "http://[fe80::1]/", "http://[::ffff:10.0.0.1]/"]) {
+        assert.equal(await checkWebhookUrl(url), "url must point to a public address", url);
+    }
+});
+
+test("payloads are signed over the timestamp and body", () => {
+    const expected = crypto.createHmac("sha256", "whsec_test").update('1700000000.{"a":1}').digest("hex");
+    assert.equal(signPayload("whsec_test", 1700000000, '{"a":1}'), `sha256=${expected}`);
+});
+
+test("retries back off exponentially up to six hours", () => {
+    assert.deepEqual([1, 2, 3, 4].map(backoffSeconds), [60, 120, 240, 480]);
+    assert.equal(backoffSeconds(20), 6 * 60 * 60);
+});
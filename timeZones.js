@@ -0,0 +1,39 @@
+// Time zones of trips and destinations
+//
+// Trip dates, visit dates and visit times are local wall-clock values. Each
+// trip has an IANA zone (UTC unless set) and a destination may override it,
+// e.g. the last stop of a trip that crosses a border. The zone decides which
+// day is "today" for the trip (get_trip_status, reminders) and the UTC
+// instant a visit falls on, so stops in different zones sort correctly.
+
+// Region/City style names plus UTC and the Etc/ zones. Offsets such as
+// "+02:00" are refused: Postgres reads POSIX offsets with the opposite sign.
+const ZONE_PATTERN = /^[A-Za-z][A-Za-z0-9_+-]*(\/[A-Za-z0-9_+-]+)*$/;
+
+// An IANA zone name with its usual capitals ("europe/paris" -> "Europe/Paris"),
+// or null when it is not one. Other spellings are kept as given: ICU would
+// turn names like Asia/Kolkata into their older aliases.
+function canonicalTimeZone(zone) {
+    if (typeof zone !== "string" || !ZONE_PATTERN.test(zone)) return null;
+    try {
+        const resolved = new Intl.DateTimeFormat("en-US", { timeZone: zone }).resolvedOptions().timeZone;
+        return resolved.toLowerCase() === zone.toLowerCase() ? resolved : zone;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Extra columns for a query over trips aliased `t`:
+//   starts_at  first instant of start_date in the trip's zone
+//   ends_at    first instant after end_date, i.e. the trip ends before it
+const TRIP_TIME_COLUMNS = `local_instant(t.start_date, NULL, t.time_zone) as starts_at,
+        local_instant(t.end_date + 1, NULL, t.time_zone) as ends_at`;
+
+// Extra columns for a query over destinations `d` joined to their trip `t`:
+//   effective_time_zone  the destination's own zone, else the trip's
+//   visit_at             UTC instant of visit_date and visit_time (null unless both are set)
+const DESTINATION_TIME_COLUMNS = `COALESCE(d.time_zone, t.time_zone) as effective_time_zone,
+        CASE WHEN d.visit_time IS NOT NULL
+             THEN local_instant(d.visit_date, d.visit_time, COALESCE(d.time_zone, t.time_zone)) END as visit_at`;
+
+module.exports = { canonicalTimeZone, TRIP_TIME_COLUMNS, DESTINATION_TIME_COLUMNS };
@@ -0,0 +1,286 @@
+// Lifetime travel analytics for one user
+//
+// Only completed travel counts: the user's own trips that are over
+// (get_trip_status = 'past' in the trip's time zone), and within them the destinations marked
+// completed. Trips are loaded with one query each for trips, destinations
+// and expense totals and combined here, so nothing is multiplied by joins.
+// A trip belongs to the year it started in, except for days traveled,
+// which are counted on the calendar day they fall on.
+//
+// Money is shown in the user's home currency: every expense and budget is
+// converted from its own currency at the latest loaded rate, as the trip
+// stats do. Amounts in a currency without a rate are left out of every total
+// and their currencies listed in unconverted_currencies.
+
+const { toDateKey } = require("./dates.js");
+const { loadHomeCurrency } = require("./exchangeRates.js");
+const { haversineKm } = require("./routeOptimizer.js");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOP_DESTINATION_TYPES = 10;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const roundKm = (km) => Math.round(km * 10) / 10;
+
+// Every "YYYY-MM-DD" from start to end, inclusive
+function datesBetween(start, end) {
+    const dates = [];
+    const last = Date.parse(`${end}T00:00:00Z`);
+    for (let day = Date.parse(`${start}T00:00:00Z`); day <= last; day += DAY_MS) {
+        dates.push(new Date(day).toISOString().slice(0, 10));
+    }
+    return dates;
+}
+
+// Km travelled on a trip: from home (when known) through its completed
+// destinations in visiting order and back home
+function tripDistanceKm(home, stops) {
+    const points = [home, ...stops, home].filter(Boolean);
+    let total = 0;
+    for (let i = 1; i < points.length; i++) total += haversineKm(points[i - 1], points[i]);
+    return total;
+}
+
+// Case- and space-insensitive key, so "france" and "France " are one country
+const placeKey = (...parts) => parts.map((part) => String(part || "").trim().toLowerCase()).join("|");
+
+// First visit and trip count per place, in first-visit order
+function firstVisits(trips, keyOf, describe) {
+    const places = new Map();
+    for (const trip of trips) {
+        const key = keyOf(trip);
+        if (!key) continue;
+        const place = places.get(key);
+        if (place) {
+            place.trips += 1;
+        } else {
+            places.set(key, { ...describe(trip), first_visit: trip.start_date, trips: 1 });
+        }
+    }
+    return [...places.values()];
+}
+
+function emptyYear(year) {
+    return {
+        year,
+        trips: 0,
+        days_traveled: 0,
+        countries: new Set(),
+        new_countries: [],
+        cities: new Set(),
+        new_cities: [],
+        destinations_visited: 0,
+        distance_km: 0,
+        budget: 0,
+        spent: 0,
+        spent_on_budgeted_trips: 0,
+        trips_over_budget: 0,
+    };
+}
+
+async function loadTravelAnalytics(client, uid) {
+    const [profileResult, tripResult, homeCurrency] = await Promise.all([
+        client.query(
+            "SELECT location, location_lat, location_lng FROM user_profiles WHERE firebase_uid = $1",
+            [uid]
+        ),
+        client.query(
+            `SELECT id, title, country, city, start_date, end_date, trip_type, budget, currency, trip_rating
+             FROM trips
+             WHERE user_firebase_uid = $1 AND deleted_at IS NULL
+               AND get_trip_status(start_date, end_date, time_zone) = 'past'
+             ORDER BY start_date ASC, id ASC`,
+            [uid]
+        ),
+        loadHomeCurrency(client, uid),
+    ]);
+
+    const trips = tripResult.rows.map((trip) => ({
+        ...trip,
+        start_date: toDateKey(trip.start_date),
+        end_date: toDateKey(trip.end_date),
+    }));
+    const tripIds = trips.map((trip) => trip.id);
+
+    const [destinationResult, expenseResult] = await Promise.all([
+        client.query(
+            `SELECT trip_id, destination_type, latitude, longitude
+             FROM destinations
+             WHERE trip_id = ANY($1) AND deleted_at IS NULL AND is_completed
+             ORDER BY trip_id, visit_date ASC NULLS LAST, visit_time ASC NULLS LAST, order_index ASC NULLS LAST, id ASC`,
+            [tripIds]
+        ),
+        client.query(
+            `SELECT trip_id, currency, SUM(amount) AS spent
+             FROM trip_expenses WHERE trip_id = ANY($1)
+             GROUP BY trip_id, currency`,
+            [tripIds]
+        ),
+    ]);
+
+    const profile = profileResult.rows[0];
+    const home = profile && profile.location_lat != null && profile.location_lng != null
+        ? { latitude: Number(profile.location_lat), longitude: Number(profile.location_lng) }
+        : null;
+
+    // Amounts in the home currency; rates used and currencies that had none
+    const rateDates = [];
+    const unconverted = new Set();
+    const inHomeCurrency = (amount, currency) => {
+        const converted = homeCurrency.convert(amount, currency);
+        if (!converted) {
+            unconverted.add(currency);
+            return null;
+        }
+        if (converted.rate_date) rateDates.push(converted.rate_date);
+        return converted.amount;
+    };
+
+    const destinationsByTrip = new Map();
+    for (const destination of destinationResult.rows) {
+        if (!destinationsByTrip.has(destination.trip_id)) destinationsByTrip.set(destination.trip_id, []);
+        destinationsByTrip.get(destination.trip_id).push(destination);
+    }
+    const spentByTrip = new Map();
+    for (const row of expenseResult.rows) {
+        const spent = inHomeCurrency(parseFloat(row.spent), row.currency);
+        if (spent !== null) spentByTrip.set(row.trip_id, (spentByTrip.get(row.trip_id) || 0) + spent);
+    }
+
+    const countries = firstVisits(
+        trips,
+        (trip) => trip.country && placeKey(trip.country),
+        (trip) => ({ country: trip.country.trim() })
+    );
+    const cities = firstVisits(
+        trips,
+        (trip) => trip.city && placeKey(trip.city, trip.country),
+        (trip) => ({ city: trip.city.trim(), country: trip.country ? trip.country.trim() : null })
+    );
+    const seenCountries = new Set();
+    const seenCities = new Set();
+
+    const years = new Map();
+    const yearOf = (year) => {
+        if (!years.has(year)) years.set(year, emptyYear(year));
+        return years.get(year);
+    };
+    const daysTraveled = new Set();
+    const ratings = new Map();
+    const destinationTypes = new Map();
+
+    for (const trip of trips) {
+        const year = yearOf(Number(trip.start_date.slice(0, 4)));
+        const stops = destinationsByTrip.get(trip.id) || [];
+        const spent = spentByTrip.get(trip.id) || 0;
+
+        year.trips += 1;
+        year.destinations_visited += stops.length;
+        year.spent += spent;
+        const budget = trip.budget !== null ? inHomeCurrency(parseFloat(trip.budget), trip.currency) : null;
+        if (budget !== null) {
+            year.budget += budget;
+            year.spent_on_budgeted_trips += spent;
+            if (spent > budget) year.trips_over_budget += 1;
+        }
+
+        for (const day of datesBetween(trip.start_date, trip.end_date)) {
+            if (daysTraveled.has(day)) continue; // overlapping trips count each day once
+            daysTraveled.add(day);
+            yearOf(Number(day.slice(0, 4))).days_traveled += 1;
+        }
+
+        if (trip.country) {
+            const key = placeKey(trip.country);
+            year.countries.add(key);
+            if (!seenCountries.has(key)) {
+                seenCountries.add(key);
+                year.new_countries.push(trip.country.trim());
+            }
+        }
+        if (trip.city) {
+            const key = placeKey(trip.city, trip.country);
+            year.cities.add(key);
+            if (!seenCities.has(key)) {
+                seenCities.add(key);
+                year.new_cities.push(trip.city.trim());
+            }
+        }
+
+        const located = stops
+            .filter((stop) => stop.latitude != null && stop.longitude != null)
+            .map((stop) => ({ latitude: Number(stop.latitude), longitude: Number(stop.longitude) }));
+        year.distance_km += tripDistanceKm(home, located);
+
+        if (trip.trip_rating !== null) {
+            const rating = ratings.get(trip.trip_type) || { total: 0, count: 0 };
+            rating.total += trip.trip_rating;
+            rating.count += 1;
+            ratings.set(trip.trip_type, rating);
+        }
+
+        for (const stop of stops) {
+            if (!stop.destination_type) continue;
+            destinationTypes.set(stop.destination_type, (destinationTypes.get(stop.destination_type) || 0) + 1);
+        }
+    }
+
+    const budgetComparison = ({ budget, spent_on_budgeted_trips: spentOnBudgeted }) => ({
+        budget: roundMoney(budget),
+        spent_on_budgeted_trips: roundMoney(spentOnBudgeted),
+        budget_used_percentage: budget > 0 ? Math.round((spentOnBudgeted / budget) * 100) : null,
+    });
+
+    const byYear = [...years.values()]
+        .sort((a, b) => a.year - b.year)
+        .map((year) => ({
+            year: year.year,
+            trips: year.trips,
+            days_traveled: year.days_traveled,
+            countries: year.countries.size,
+            new_countries: year.new_countries,
+            cities: year.cities.size,
+            new_cities: year.new_cities,
+            destinations_visited: year.destinations_visited,
+            distance_km: roundKm(year.distance_km),
+            spent: roundMoney(year.spent),
+            ...budgetComparison(year),
+            trips_over_budget: year.trips_over_budget,
+        }));
+
+    const sum = (field) => [...years.values()].reduce((total, year) => total + year[field], 0);
+
+    return {
+        home: home ? { location: profile.location, ...home } : null,
+        currency: homeCurrency.currency,
+        rate_date: rateDates.length > 0 ? rateDates.sort()[0] : null,
+        unconverted_currencies: [...unconverted].sort(),
+        totals: {
+            trips: trips.length,
+            days_traveled: daysTraveled.size,
+            countries: countries.length,
+            cities: cities.length,
+            destinations_visited: sum("destinations_visited"),
+            distance_km: roundKm(sum("distance_km")),
+            spent: roundMoney(sum("spent")),
+            ...budgetComparison({ budget: sum("budget"), spent_on_budgeted_trips: sum("spent_on_budgeted_trips") }),
+            trips_over_budget: sum("trips_over_budget"),
+        },
+        by_year: byYear,
+        countries,
+        cities,
+        ratings_by_trip_type: [...ratings.entries()]
+            .map(([tripType, { total, count }]) => ({
+                trip_type: tripType,
+                average_rating: Math.round((total / count) * 10) / 10,
+                rated_trips: count,
+            }))
+            .sort((a, b) => b.average_rating - a.average_rating || b.rated_trips - a.rated_trips),
+        top_destination_types: [...destinationTypes.entries()]
+            .map(([destinationType, visits]) => ({ destination_type: destinationType, visits }))
+            .sort((a, b) => b.visits - a.visits || a.destination_type.localeCompare(b.destination_type))
+            .slice(0, TOP_DESTINATION_TYPES),
+    };
+}
+
+module.exports = { loadTravelAnalytics };
@@ -0,0 +1,232 @@
+// Versioned JSON backups of trips with their destinations, photos and expenses
+
+const { toDateKey, isCalendarDate } = require("./dates.js");
+const { validate, schemas } = require("./validation.js");
+
+const BACKUP_FORMAT = "travel-companion-trip-backup";
+const BACKUP_VERSION = 1;
+const MAX_TRIPS_PER_IMPORT = 100;
+
+// Columns copied in and out of a backup. IDs and ownership are never
+// imported; they are assigned to the importing user.
+const TRIP_FIELDS = [
+    "title", "country", "city", "start_date", "end_date", "notes", "image_url",
+    "trip_type", "budget", "currency", "time_zone", "traveler_count", "is_favorite", "trip_rating",
+];
+const DESTINATION_FIELDS = [
+    "name", "description", "image_url", "order_index", "destination_type", "address",
+    "visit_date", "visit_time", "price_range", "priority_level", "is_completed",
+    "latitude", "longitude", "time_zone",
+];
+const PHOTO_FIELDS = ["image_url", "caption", "uploaded_at"];
+const EXPENSE_FIELDS = ["amount", "currency", "category", "expense_date", "description", "paid_by"];
+
+const DATE_FIELDS = new Set(["start_date", "end_date", "visit_date", "expense_date"]);
+
+function pick(row, fields) {
+    const out = {};
+    for (const field of fields) {
+        if (row[field] === undefined) continue;
+        out[field] = DATE_FIELDS.has(field) ? toDateKey(row[field]) : row[field];
+    }
+    return out;
+}
+
+// Load one or more trips and build the backup document
+async function exportTrips(client, tripIds) {
+    const [trips, destinations, photos, expenses] = await Promise.all([
+        client.query("SELECT * FROM trips WHERE id = ANY($1) ORDER BY start_date ASC, id ASC", [tripIds]),
+        client.query("SELECT * FROM destinations WHERE trip_id = ANY($1) AND deleted_at IS NULL ORDER BY id ASC", [tripIds]),
+        client.query("SELECT * FROM photos WHERE trip_id = ANY($1) AND deleted_at IS NULL ORDER BY id ASC", [tripIds]),
+        client.query("SELECT * FROM trip_expenses WHERE trip_id = ANY($1) ORDER BY id ASC", [tripIds]),
+    ]);
+
+    const forTrip = (rows, trip) => rows.filter((row) => String(row.trip_id) === String(trip.id));
+    // Links to destinations in the trash are dropped, they are not part of the backup
+    const exportedIds = new Set(destinations.rows.map((d) => String(d.id)));
+    const sourceId = (destinationId) => (exportedIds.has(String(destinationId)) ? destinationId : null);
+
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exported_at: new Date().toISOString(),
+        trips: trips.rows.map((trip) => ({
+            source_id: trip.id,
+            ...pick(trip, TRIP_FIELDS),
+            destinations: forTrip(destinations.rows, trip).map((d) => ({
+                source_id: d.id,
+                ...pick(d, DESTINATION_FIELDS),
+            })),
+            photos: forTrip(photos.rows, trip).map((p) => ({
+                ...pick(p, PHOTO_FIELDS),
+                destination_source_id: sourceId(p.destination_id),
+            })),
+            expenses: forTrip(expenses.rows, trip).map((e) => ({
+                ...pick(e, EXPENSE_FIELDS),
+                destination_source_id: sourceId(e.destination_id),
+            })),
+        })),
+    };
+}
+
+// Trips and destinations are held to the same schemas as the API routes.
+// Backups also carry is_favorite and trip_rating, which POST /trips does not take.
+const tripSchema = {
+    ...schemas.trip,
+    fields: {
+        ...schemas.trip.fields,
+        is_favorite: { type: "boolean" },
+        trip_rating: schemas.tripUpdate.fields.trip_rating,
+    },
+};
+
+// Backups name coordinates after the columns, the destination schema after the request body
+const COORDINATE_FIELDS = { location_lat: "latitude", location_lng: "longitude" };
+const toColumnNames = (text) => text.replace(/location_(lat|lng)/g, (name) => COORDINATE_FIELDS[name]);
+
+// { body, errors } for one backup trip, body holding the values to insert
+function checkTrip(trip) {
+    const { body, errors } = validate(tripSchema, trip);
+    if (body.currency) body.currency = body.currency.toUpperCase();
+    return { body, errors };
+}
+
+// Same for a destination; visit dates are checked against `trip` when given
+function checkDestination(destination, trip) {
+    const input = { ...destination, location_lat: destination.latitude, location_lng: destination.longitude };
+    const { body, errors } = validate(schemas.destination, input, { req: { trip } });
+    return {
+        body: { ...body, latitude: body.location_lat, longitude: body.location_lng },
+        errors: errors.map((error) => ({ field: toColumnNames(error.field), message: toColumnNames(error.message) })),
+    };
+}
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+const isDateString = (value) => typeof value === "string" && isCalendarDate(value.slice(0, 10));
+
+// Returns a list of { path, message } problems; empty when the document can be imported
+function validateBackup(doc) {
+    const errors = [];
+    const fail = (path, message) => errors.push({ path, message });
+
+    if (!isPlainObject(doc)) {
+        fail("", "Backup must be a JSON object");
+        return errors;
+    }
+    if (doc.format !== BACKUP_FORMAT) {
+        fail("format", `Expected "${BACKUP_FORMAT}"`);
+    }
+    if (!Number.isInteger(doc.version)) {
+        fail("version", "Version must be an integer");
+    } else if (doc.version < 1 || doc.version > BACKUP_VERSION) {
+        fail("version", `Unsupported version ${doc.version}, this server reads up to version ${BACKUP_VERSION}`);
+    }
+    if (!Array.isArray(doc.trips) || doc.trips.length === 0) {
+        fail("trips", "Trips must be a non-empty array");
+        return errors;
+    }
+    if (doc.trips.length > MAX_TRIPS_PER_IMPORT) {
+        fail("trips", `At most ${MAX_TRIPS_PER_IMPORT} trips can be imported at once`);
+        return errors;
+    }
+
+    doc.trips.forEach((trip, i) => {
+        const path = `trips[${i}]`;
+        if (!isPlainObject(trip)) return fail(path, "Trip must be an object");
+
+        const { body: tripValues, errors: tripErrors } = checkTrip(trip);
+        tripErrors.forEach((error) => fail(`${path}.${error.field}`, error.message));
+
+        for (const list of ["destinations", "photos", "expenses"]) {
+            if (trip[list] !== undefined && !Array.isArray(trip[list])) fail(`${path}.${list}`, "Must be an array");
+        }
+
+        const sourceIds = new Set();
+        (Array.isArray(trip.destinations) ? trip.destinations : []).forEach((d, j) => {
+            const dPath = `${path}.destinations[${j}]`;
+            if (!isPlainObject(d)) return fail(dPath, "Destination must be an object");
+            const { errors: destinationErrors } = checkDestination(d, tripErrors.length === 0 ? tripValues : null);
+            destinationErrors.forEach((error) => fail(`${dPath}.${error.field}`, error.message));
+            if (d.source_id != null) {
+                if (sourceIds.has(String(d.source_id))) fail(`${dPath}.source_id`, "Duplicate source_id");
+                sourceIds.add(String(d.source_id));
+            }
+        });
+
+        const checkReference = (item, itemPath) => {
+            if (item.destination_source_id != null && !sourceIds.has(String(item.destination_source_id))) {
+                fail(`${itemPath}.destination_source_id`, "Does not match any destination source_id in this trip");
+            }
+        };
+
+        (Array.isArray(trip.photos) ? trip.photos : []).forEach((p, j) => {
+            const pPath = `${path}.photos[${j}]`;
+            if (!isPlainObject(p)) return fail(pPath, "Photo must be an object");
+            if (typeof p.image_url !== "string" || p.image_url === "") fail(`${pPath}.image_url`, "Image URL is required");
+            checkReference(p, pPath);
+        });
+
+        (Array.isArray(trip.expenses) ? trip.expenses : []).forEach((e, j) => {
+            const ePath = `${path}.expenses[${j}]`;
+            if (!isPlainObject(e)) return fail(ePath, "Expense must be an object");
+            if (e.amount == null || isNaN(Number(e.amount))) fail(`${ePath}.amount`, "Amount must be a number");
+            if (e.expense_date != null && !isDateString(e.expense_date)) fail(`${ePath}.expense_date`, "Must be a YYYY-MM-DD date");
+            checkReference(e, ePath);
+        });
+    });
+
+    return errors;
+}
+
+async function insertRow(client, table, values) {
+    const columns = Object.keys(values);
+    const placeholders = columns.map((_, i) => `$${i + 1}`);
+    const result = await client.query(
+        `INSERT INTO ${table} (${columns.join(", ")}) VALUES (${placeholders.join(", ")}) RETURNING id`,
+        Object.values(values)
+    );
+    return result.rows[0].id;
+}
+
+// Recreate a validated backup for `uid`. Must run inside a transaction.
+// Returns [{ source_id, trip_id, title }] for the new trips.
+async function importTrips(client, doc, uid) {
+    const imported = [];
+
+    for (const trip of doc.trips) {
+        const { body: tripValues } = checkTrip(trip);
+        const tripId = await insertRow(client, "trips", { user_firebase_uid: uid, ...pick(tripValues, TRIP_FIELDS) });
+
+        const destinationIds = new Map();
+        for (const d of trip.destinations || []) {
+            const { body: values } = checkDestination(d, tripValues);
+            const destinationId = await insertRow(client, "destinations", { trip_id: tripId, ...pick(values, DESTINATION_FIELDS) });
+            if (d.source_id != null) destinationIds.set(String(d.source_id), destinationId);
+        }
+
+        const remap = (sourceId) => (sourceId != null ? destinationIds.get(String(sourceId)) : null);
+
+        for (const p of trip.photos || []) {
+            await insertRow(client, "photos", {
+                trip_id: tripId,
+                ...pick(p, PHOTO_FIELDS),
+                destination_id: remap(p.destination_source_id),
+            });
+        }
+
+        for (const e of trip.expenses || []) {
+            await insertRow(client, "trip_expenses", {
+                trip_id: tripId,
+                ...pick(e, EXPENSE_FIELDS),
+                destination_id: remap(e.destination_source_id),
+                created_by: uid,
+            });
+        }
+
+        imported.push({ source_id: trip.source_id ?? null, trip_id: tripId, title: trip.title });
+    }
+
+    return imported;
+}
+
+module.exports = { BACKUP_FORMAT, BACKUP_VERSION, exportTrips, validateBackup, importTrips };
@@ -0,0 +1,129 @@
+// SQL for GET /trips: filters, free-text search, sorting and keyset pagination
+
+const { TRIP_TIME_COLUMNS } = require("./timeZones.js");
+
+// Sort keys never compare NULLs, so keyset comparisons stay well defined
+const SORTS = {
+    start_date: { expr: "COALESCE(t.start_date, '-infinity'::date)", type: "date" },
+    end_date: { expr: "COALESCE(t.end_date, '-infinity'::date)", type: "date" },
+    created_at: { expr: "t.created_at", type: "timestamptz" },
+    title: { expr: "LOWER(t.title)", type: "text" },
+    trip_rating: { expr: "COALESCE(t.trip_rating, 0)", type: "integer" },
+    budget: { expr: "COALESCE(t.budget, 0)", type: "numeric" },
+};
+
+const DEFAULT_SORT = "start_date";
+const DEFAULT_LIMIT = 20;
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+// Returns the cursor payload, or null when it is malformed or was issued
+// for a different sort
+function decodeCursor(cursor, sort, order) {
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+        if (payload.sort !== sort || payload.order !== order) return null;
+        if (typeof payload.key !== "string" || payload.id === undefined) return null;
+        return payload;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Build the list query for `uid` from validated query params.
+// Returns { text, values, limit } or { error } for a bad cursor.
+function buildTripListQuery(uid, params) {
+    const sort = params.sort || DEFAULT_SORT;
+    const order = params.order || (sort === "title" ? "asc" : "desc");
+    const { expr, type } = SORTS[sort];
+
+    const values = [uid];
+    const param = (value) => {
+        values.push(value);
+        return `$${values.length}`;
+    };
+
+    const conditions = ["(t.user_firebase_uid = $1 OR c.id IS NOT NULL)", "t.deleted_at IS NULL"];
+
+    if (params.trip_status) {
+        conditions.push(`get_trip_status(t.start_date, t.end_date, t.time_zone) = ${param(params.trip_status)}`);
+    }
+    if (params.trip_type) {
+        conditions.push(`t.trip_type = ${param(params.trip_type)}`);
+    }
+    if (params.country) {
+        conditions.push(`LOWER(t.country) = LOWER(${param(params.country)})`);
+    }
+    if (params.is_favorite !== undefined && params.is_favorite !== null) {
+        conditions.push(`t.is_favorite = ${param(params.is_favorite)}`);
+    }
+    if (params.min_rating) {
+        conditions.push(`t.trip_rating >= ${param(params.min_rating)}`);
+    }
+    if (params.max_rating) {
+        conditions.push(`t.trip_rating <= ${param(params.max_rating)}`);
+    }
+    // Date range keeps every trip that overlaps [from, to]
+    if (params.from) {
+        conditions.push(`t.end_date >= ${param(params.from)}`);
+    }
+    if (params.to) {
+        conditions.push(`t.start_date <= ${param(params.to)}`);
+    }
+    if (params.q) {
+        const pattern = param(`%${params.q.replace(/[\\%_]/g, (ch) => `\\${ch}`)}%`);
+        conditions.push(`(t.title ILIKE ${pattern} OR t.city ILIKE ${pattern} OR t.notes ILIKE ${pattern})`);
+    }
+
+    let limit = null;
+    if (params.limit || params.cursor) {
+        limit = params.limit || DEFAULT_LIMIT;
+
+        if (params.cursor) {
+            const cursor = decodeCursor(params.cursor, sort, order);
+            if (!cursor) return { error: "Invalid cursor" };
+
+            const comparison = order === "asc" ? ">" : "<";
+            conditions.push(
+                `(${expr}, t.id) ${comparison} (${param(cursor.key)}::${type}, ${param(cursor.id)})`
+            );
+        }
+    }
+
+    const direction = order === "asc" ? "ASC" : "DESC";
+
+    const text = `SELECT
+        t.*,
+        CASE WHEN t.user_firebase_uid = $1 THEN 'owner' ELSE c.role END as role,
+        get_trip_status(t.start_date, t.end_date, t.time_zone) as trip_status,
+        get_trip_days_info(t.start_date, t.end_date, t.time_zone) as days_info,
+        (t.end_date - t.start_date + 1) as duration_days,
+        ${TRIP_TIME_COLUMNS},
+        (SELECT COUNT(*) FROM destinations d WHERE d.trip_id = t.id AND d.deleted_at IS NULL) as destination_count,
+        (SELECT COUNT(*) FROM photos p WHERE p.trip_id = t.id AND p.deleted_at IS NULL) as photo_count,
+        (SELECT COUNT(*) FROM destinations d
+          WHERE d.trip_id = t.id AND d.deleted_at IS NULL AND d.is_completed) as completed_destinations,
+        (${expr})::text as sort_key
+       FROM trips t
+       LEFT JOIN trip_collaborators c
+         ON c.trip_id = t.id AND c.user_firebase_uid = $1 AND c.status = 'accepted'
+       WHERE ${conditions.join("\n         AND ")}
+       ORDER BY ${expr} ${direction}, t.id ${direction}
+       ${limit ? `LIMIT ${param(limit + 1)}` : ""}`;
+
+    return { text, values, limit, sort, order };
+}
+
+// Split the extra look-ahead row off a page and build the next cursor
+function paginate(rows, { limit, sort, order }) {
+    const hasMore = limit !== null && rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+    const last = page[page.length - 1];
+
+    const trips = page.map(({ sort_key, ...trip }) => trip);
+    const nextCursor = hasMore ? encodeCursor({ sort, order, key: last.sort_key, id: last.id }) : null;
+
+    return { trips, nextCursor };
+}
+
+module.exports = { SORTS, buildTripListQuery, paginate };
@@ -0,0 +1,151 @@
+// Copying trips: duplicates and reusable trip templates
+//
+// Both go through a plan: the trip's details and length plus its
+// destinations, each with a day_offset from the first day instead of a
+// visit_date. A new trip is laid out from a plan on whatever start date the
+// user picks, so every visit keeps its place in the itinerary. Completion,
+// favorites, ratings, photos and expenses belong to the trip that happened
+// and are never copied.
+
+const PLAN_TRIP_FIELDS = [
+    "title", "country", "city", "notes", "image_url", "trip_type", "budget", "currency", "time_zone", "traveler_count",
+];
+const PLAN_DESTINATION_FIELDS = [
+    "name", "description", "image_url", "order_index", "destination_type", "address",
+    "day_offset", "visit_time", "price_range", "priority_level", "latitude", "longitude", "time_zone",
+];
+
+const pick = (row, fields) => Object.fromEntries(fields.map((field) => [field, row[field] ?? null]));
+
+// Plan of an existing trip: { trip, destinations }. Trips without dates
+// count as one day long and their destinations keep no day.
+async function planFromTrip(client, tripId) {
+    const tripResult = await client.query(
+        `SELECT *, GREATEST(COALESCE(end_date - start_date + 1, 1), 1) AS duration_days
+         FROM trips WHERE id = $1`,
+        [tripId]
+    );
+    const destinationResult = await client.query(
+        `SELECT d.*,
+           CASE WHEN d.visit_date IS NOT NULL AND t.start_date IS NOT NULL
+                THEN GREATEST(d.visit_date - t.start_date, 0) END AS day_offset
+         FROM destinations d
+         JOIN trips t ON t.id = d.trip_id
+         WHERE d.trip_id = $1 AND d.deleted_at IS NULL
+         ORDER BY d.visit_date ASC NULLS LAST, d.order_index ASC NULLS LAST, d.id ASC`,
+        [tripId]
+    );
+
+    const trip = tripResult.rows[0];
+    return {
+        trip: { ...pick(trip, PLAN_TRIP_FIELDS), duration_days: trip.duration_days },
+        destinations: destinationResult.rows.map((d) => pick(d, PLAN_DESTINATION_FIELDS)),
+    };
+}
+
+// Insert a new trip for `uid` laid out from `plan`, starting on `startDate`
+// ("YYYY-MM-DD"). `overrides` may replace trip fields such as title.
+// Returns the new trip row with its destinations.
+async function createTripFromPlan(client, uid, plan, startDate, overrides = {}) {
+    const trip = { ...plan.trip, ...overrides };
+    const tripResult = await client.query(
+        `INSERT INTO trips (
+          user_firebase_uid, title, country, city, start_date, end_date,
+          notes, image_url, trip_type, budget, currency, time_zone, traveler_count
+        )
+         VALUES ($1, $2, $3, $4, $5::date, $5::date + $6::integer - 1, $7, $8, COALESCE($9, 'vacation'), $10,
+                 COALESCE($11, 'USD'), COALESCE($12, 'UTC'), COALESCE($13, 1))
+         RETURNING *`,
+        [uid, trip.title, trip.country, trip.city, startDate, plan.trip.duration_days,
+            trip.notes, trip.image_url, trip.trip_type, trip.budget, trip.currency, trip.time_zone, trip.traveler_count]
+    );
+    const created = tripResult.rows[0];
+
+    const destinations = [];
+    for (const d of plan.destinations) {
+        const result = await client.query(
+            `INSERT INTO destinations (
+              trip_id, name, description, image_url, order_index, destination_type, address,
+              visit_date, visit_time, price_range, priority_level, latitude, longitude, time_zone
+            )
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8::date + $9::integer, $10, $11, COALESCE($12, 3), $13, $14, $15)
+             RETURNING *`,
+            [created.id, d.name, d.description, d.image_url, d.order_index, d.destination_type, d.address,
+                startDate, d.day_offset, d.visit_time, d.price_range, d.priority_level, d.latitude, d.longitude,
+                d.time_zone]
+        );
+        destinations.push(result.rows[0]);
+    }
+
+    return { ...created, destinations };
+}
+
+// Store `plan` as a template owned by `uid`. Returns the template with its destinations.
+async function saveTripTemplate(client, uid, name, plan, sourceTripId = null) {
+    const { trip } = plan;
+    const templateResult = await client.query(
+        `INSERT INTO trip_templates (
+          user_firebase_uid, name, source_trip_id, title, country, city, notes, image_url,
+          trip_type, budget, currency, time_zone, traveler_count, duration_days
+        )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, 'USD'), COALESCE($12, 'UTC'), $13, $14)
+         RETURNING *`,
+        [uid, name, sourceTripId, trip.title, trip.country, trip.city, trip.notes, trip.image_url,
+            trip.trip_type, trip.budget, trip.currency, trip.time_zone, trip.traveler_count, trip.duration_days]
+    );
+    const template = templateResult.rows[0];
+
+    const destinations = [];
+    for (const d of plan.destinations) {
+        const result = await client.query(
+            `INSERT INTO trip_template_destinations (
+              template_id, name, description, image_url, order_index, destination_type, address,
+              day_offset, visit_time, price_range, priority_level, latitude, longitude, time_zone
+            )
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, 3), $12, $13, $14)
+             RETURNING *`,
+            [template.id, d.name, d.description, d.image_url, d.order_index, d.destination_type, d.address,
+                d.day_offset, d.visit_time, d.price_range, d.priority_level, d.latitude, d.longitude, d.time_zone]
+        );
+        destinations.push(result.rows[0]);
+    }
+
+    return { ...template, destinations };
+}
+
+// The user's templates with their destinations, or only `templateId` when given
+async function loadTripTemplates(client, uid, templateId = null) {
+    const templates = await client.query(
+        `SELECT * FROM trip_templates
+         WHERE user_firebase_uid = $1 AND ($2::integer IS NULL OR id = $2)
+         ORDER BY name ASC, id ASC`,
+        [uid, templateId]
+    );
+    const destinations = await client.query(
+        `SELECT * FROM trip_template_destinations
+         WHERE template_id = ANY($1)
+         ORDER BY day_offset ASC NULLS LAST, order_index ASC NULLS LAST, id ASC`,
+        [templates.rows.map((template) => template.id)]
+    );
+
+    return templates.rows.map((template) => ({
+        ...template,
+        destinations: destinations.rows.filter((d) => d.template_id === template.id),
+    }));
+}
+
+// Plan stored in a template loaded by loadTripTemplates
+function planFromTemplate(template) {
+    return {
+        trip: { ...pick(template, PLAN_TRIP_FIELDS), duration_days: template.duration_days },
+        destinations: template.destinations.map((d) => pick(d, PLAN_DESTINATION_FIELDS)),
+    };
+}
+
+module.exports = {
+    planFromTrip,
+    planFromTemplate,
+    createTripFromPlan,
+    saveTripTemplate,
+    loadTripTemplates,
+};
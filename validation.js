@@ -0,0 +1,575 @@
+// Schema-driven request body validation
+//
+// A schema is { fields, checks }. `fields` maps body keys to rules:
+//   type       "string" | "number" | "integer" | "boolean" | "date" | "time" | "email"
+//              | "timezone" (IANA name such as "Europe/Paris")
+//              | "array" (elements checked against `of`, up to `maxItems`)
+//              | "object" (checked against nested `fields`)
+//   required   must be present and not blank; partial updates may leave it out
+//              but not clear it
+//   default    value used when the field is missing or empty (not for partial updates)
+//   enum       list of allowed values
+//   min / max  numeric range, inclusive
+//   maxLength  string length limit
+// `checks` are functions (body, req) => [{ field, message }] for rules that
+// span several fields or need request context, and only run once every
+// field passed.
+
+const { ApiError } = require("./errors.js");
+const { toDateKey, isCalendarDate } = require("./dates.js");
+const { canonicalTimeZone } = require("./timeZones.js");
+const { SORTS: TRIP_SORTS } = require("./tripListQuery.js");
+const { ITEM_SCALES } = require("./checklists.js");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T.*)?$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Whitespace-only strings count as missing, so "  " does not satisfy `required`
+const isMissing = (value) =>
+    value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+
+// Coerce one value to its declared type. Returns { value } or { error }.
+function coerce(value, type) {
+    switch (type) {
+        case "string":
+            return typeof value === "string" ? { value } : { error: "must be a string" };
+        case "email":
+            return typeof value === "string" && EMAIL_PATTERN.test(value.trim())
+                ? { value: value.trim().toLowerCase() }
+                : { error: "must be a valid email address" };
+        case "number":
+        case "integer": {
+            const number = typeof value === "string" ? Number(value.trim()) : value;
+            if (typeof number !== "number" || !Number.isFinite(number)) return { error: "must be a number" };
+            if (type === "integer" && !Number.isInteger(number)) return { error: "must be an integer" };
+            return { value: number };
+        }
+        case "boolean":
+            if (typeof value === "boolean") return { value };
+            if (value === "true" || value === "false") return { value: value === "true" };
+            return { error: "must be true or false" };
+        case "date":
+            return typeof value === "string" && DATE_PATTERN.test(value) && isCalendarDate(value.slice(0, 10))
+                ? { value: value.slice(0, 10) }
+                : { error: "must be a date in YYYY-MM-DD format" };
+        case "time":
+            return typeof value === "string" && TIME_PATTERN.test(value)
+                ? { value }
+                : { error: "must be a time in HH:MM or HH:MM:SS format" };
+        case "timezone": {
+            const zone = canonicalTimeZone(value);
+            return zone ? { value: zone } : { error: "must be an IANA time zone such as Europe/Paris" };
+        }
+        default:
+            return { value };
+    }
+}
+
+function validateField(field, value, rule) {
+    if (rule.type === "array") return validateArray(field, value, rule);
+    if (rule.type === "object") return validateObject(field, value, rule);
+
+    const { value: coerced, error } = coerce(value, rule.type);
+    if (error) return { error: { field, message: `${field} ${error}` } };
+
+    if (rule.enum && !rule.enum.includes(coerced)) {
+        return { error: { field, message: `${field} must be one of: ${rule.enum.join(", ")}` } };
+    }
+    if (rule.min !== undefined && coerced < rule.min) {
+        return { error: { field, message: `${field} must be at least ${rule.min}` } };
+    }
+    if (rule.max !== undefined && coerced > rule.max) {
+        return { error: { field, message: `${field} must be at most ${rule.max}` } };
+    }
+    if (rule.maxLength !== undefined && coerced.length > rule.maxLength) {
+        return { error: { field, message: `${field} must be at most ${rule.maxLength} characters` } };
+    }
+    return { value: coerced };
+}
+
+// Arrays are checked element by element against `rule.of`
+function validateArray(field, value, rule) {
+    if (!Array.isArray(value)) return { error: { field, message: `${field} must be an array` } };
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return { error: { field, message: `${field} must have at most ${rule.maxItems} items` } };
+    }
+
+    const items = [];
+    const errors = [];
+    value.forEach((item, index) => {
+        const itemField = `${field}[${index}]`;
+        if (isMissing(item)) {
+            errors.push({ field: itemField, message: `${itemField} is required` });
+            return;
+        }
+        const result = validateField(itemField, item, rule.of);
+        if (result.error) errors.push(result.error);
+        else if (result.errors) errors.push(...result.errors);
+        else items.push(result.value);
+    });
+
+    return errors.length > 0 ? { errors } : { value: items };
+}
+
+// Nested objects are validated against `rule.fields`, errors prefixed with the path
+function validateObject(field, value, rule) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return { error: { field, message: `${field} must be an object` } };
+    }
+
+    const { body, errors } = validate({ fields: rule.fields }, value);
+    if (errors.length === 0) return { value: body };
+
+    return {
+        errors: errors.map((error) => ({
+            field: `${field}.${error.field}`,
+            message: `${field}.${error.message}`,
+        })),
+    };
+}
+
+// Returns { body, errors }. `body` holds the coerced values, with empty
+// optional values normalized to null; unknown keys are passed through.
+function validate(schema, input, { partial = false, req } = {}) {
+    const source = input && typeof input === "object" && !Array.isArray(input) ? input : {};
+    const body = { ...source };
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(schema.fields)) {
+        const value = source[field];
+
+        if (isMissing(value)) {
+            if (rule.required && !partial) {
+                errors.push({ field, message: `${field} is required` });
+            } else if (rule.required && value !== undefined) {
+                errors.push({ field, message: `${field} cannot be cleared` });
+            } else if (rule.default !== undefined && !partial) {
+                body[field] = rule.default;
+            } else if (value !== undefined) {
+                body[field] = rule.type === "string" ? value : null;
+            }
+            continue;
+        }
+
+        const result = validateField(field, value, rule);
+        if (result.error) errors.push(result.error);
+        else if (result.errors) errors.push(...result.errors);
+        else body[field] = result.value;
+    }
+
+    if (errors.length === 0) {
+        for (const check of schema.checks || []) {
+            errors.push(...check(body, req));
+        }
+    }
+
+    return { body, errors };
+}
+
+// Middleware: validate req.body against `schema` and replace it with the
+// coerced values, or fail with validation_failed and field-level details.
+function validateBody(schema, options = {}) {
+    return (req, res, next) => {
+        const { body, errors } = validate(schema, req.body, { ...options, req });
+        if (errors.length > 0) {
+            return next(new ApiError("validation_failed", "Validation failed", errors));
+        }
+        req.body = body;
+        next();
+    };
+}
+
+// Middleware: like validateBody, for the query string. Express 5 makes
+// req.query read-only, so the coerced values are put on req.queryParams.
+function validateQuery(schema) {
+    return (req, res, next) => {
+        const { body, errors } = validate(schema, req.query, { req });
+        if (errors.length > 0) {
+            return next(new ApiError("validation_failed", "Validation failed", errors));
+        }
+        req.queryParams = body;
+        next();
+    };
+}
+
+// === SCHEMAS ===
+
+const TRIP_TYPES = ["vacation", "business", "adventure", "family", "romantic", "solo", "cultural", "road_trip", "other"];
+const DESTINATION_TYPES = [
+    "attraction", "landmark", "museum", "restaurant", "cafe", "bar", "hotel", "park", "beach",
+    "shopping", "nightlife", "activity", "transport", "other",
+];
+const EXPENSE_CATEGORIES = ["accommodation", "transport", "food", "activities", "shopping", "other"];
+const COLLABORATOR_ROLES = ["viewer", "editor"];
+const TRIP_STATUSES = ["upcoming", "ongoing", "past"];
+
+const latitude = { type: "number", min: -90, max: 90 };
+const longitude = { type: "number", min: -180, max: 180 };
+
+// Both or neither coordinate must be given
+const coordinatePair = (latField, lngField) => (body) => {
+    const hasLat = !isMissing(body[latField]);
+    const hasLng = !isMissing(body[lngField]);
+    if (hasLat === hasLng) return [];
+    const missing = hasLat ? lngField : latField;
+    return [{ field: missing, message: `${latField} and ${lngField} must be provided together` }];
+};
+
+const orderedRange = (lowField, highField) => (body) =>
+    !isMissing(body[lowField]) && !isMissing(body[highField]) && body[highField] < body[lowField]
+        ? [{ field: highField, message: `${highField} must not be less than ${lowField}` }]
+        : [];
+
+// ISO 4217 style code such as "EUR"; lower case is accepted and upper-cased by the routes
+const currencyCode = (field) => (body) =>
+    !isMissing(body[field]) && !/^[A-Za-z]{3}$/.test(body[field])
+        ? [{ field, message: `${field} must be a 3-letter ISO currency code` }]
+        : [];
+
+const endAfterStart = (body) =>
+    body.start_date && body.end_date && body.end_date < body.start_date
+        ? [{ field: "end_date", message: "end_date must be on or after start_date" }]
+        : [];
+
+// Webhooks must be absolute http(s) URLs, and https in production
+const webhookUrl = (body) => {
+    let url;
+    try {
+        url = new URL(body.url);
+    } catch (err) {
+        return [{ field: "url", message: "url must be an absolute URL" }];
+    }
+    const allowed = process.env.NODE_ENV === "production" ? ["https:"] : ["https:", "http:"];
+    return allowed.includes(url.protocol)
+        ? []
+        : [{ field: "url", message: `url must use ${allowed.join(" or ").replace(/:/g, "")}` }];
+};
+
+// visit_date must fall inside the trip loaded by authorize()
+const visitDateWithinTrip = (body, req) => {
+    const trip = req && req.trip;
+    if (!body.visit_date || !trip || !trip.start_date || !trip.end_date) return [];
+
+    const start = toDateKey(trip.start_date);
+    const end = toDateKey(trip.end_date);
+    return body.visit_date < start || body.visit_date > end
+        ? [{ field: "visit_date", message: `visit_date must be between ${start} and ${end}` }]
+        : [];
+};
+
+const tripFields = {
+    title: { type: "string", required: true, maxLength: 200 },
+    country: { type: "string", maxLength: 100 },
+    city: { type: "string", maxLength: 100 },
+    start_date: { type: "date", required: true },
+    end_date: { type: "date", required: true },
+    notes: { type: "string", maxLength: 5000 },
+    image_url: { type: "string", maxLength: 2048 },
+    trip_type: { type: "string", enum: TRIP_TYPES, default: "vacation" },
+    budget: { type: "number", min: 0 },
+    currency: { type: "string" },
+    time_zone: { type: "timezone" },
+    traveler_count: { type: "integer", min: 1, max: 100, default: 1 },
+};
+
+const destinationFields = {
+    name: { type: "string", required: true, maxLength: 200 },
+    description: { type: "string", maxLength: 5000 },
+    image_url: { type: "string", maxLength: 2048 },
+    order_index: { type: "integer", min: 0 },
+    destination_type: { type: "string", enum: DESTINATION_TYPES },
+    address: { type: "string", maxLength: 500 },
+    visit_date: { type: "date" },
+    visit_time: { type: "time" },
+    price_range: { type: "string", maxLength: 50 },
+    priority_level: { type: "integer", min: 1, max: 5, default: 3 },
+    is_completed: { type: "boolean" },
+    time_zone: { type: "timezone" },
+    location_lat: latitude,
+    location_lng: longitude,
+};
+
+const destinationChecks = [coordinatePair("location_lat", "location_lng"), visitDateWithinTrip];
+
+const DESTINATION_BATCH_OPS = ["create", "update", "complete", "delete"];
+
+// visitDateWithinTrip for every element of an array field
+const visitDatesWithinTrip = (field) => (body, req) =>
+    (body[field] || []).flatMap((item, index) =>
+        visitDateWithinTrip(item, req).map((error) => ({
+            field: `${field}[${index}].visit_date`,
+            message: `${field}[${index}].${error.message}`,
+        }))
+    );
+
+const templateMatchFields = {
+    trip_types: { type: "array", maxItems: TRIP_TYPES.length, of: { type: "string", enum: TRIP_TYPES }, default: [] },
+    min_days: { type: "integer", min: 1, max: 365 },
+    max_days: { type: "integer", min: 1, max: 365 },
+};
+
+const schemas = {
+    trip: {
+        fields: tripFields,
+        checks: [endAfterStart, currencyCode("currency")],
+    },
+    // PUT keeps stored values for omitted fields, so nothing is defaulted
+    tripUpdate: {
+        fields: {
+            ...tripFields,
+            trip_type: { type: "string", enum: TRIP_TYPES },
+            traveler_count: { type: "integer", min: 1, max: 100 },
+            is_favorite: { type: "boolean" },
+            trip_rating: { type: "integer", min: 1, max: 5 },
+        },
+        checks: [endAfterStart, currencyCode("currency")],
+    },
+    rating: {
+        fields: { rating: { type: "integer", required: true, min: 1, max: 5 } },
+    },
+    destination: {
+        fields: destinationFields,
+        checks: destinationChecks,
+    },
+    // PUT keeps stored values for omitted fields, so nothing is defaulted
+    destinationUpdate: {
+        fields: { ...destinationFields, priority_level: { type: "integer", min: 1, max: 5 } },
+        checks: destinationChecks,
+    },
+    // Full planner order; visit_date moves a destination to another day (null unschedules it)
+    destinationOrder: {
+        fields: {
+            destinations: {
+                type: "array",
+                required: true,
+                maxItems: 500,
+                of: {
+                    type: "object",
+                    fields: {
+                        id: { type: "integer", required: true, min: 1 },
+                        visit_date: { type: "date" },
+                    },
+                },
+            },
+        },
+        checks: [visitDatesWithinTrip("destinations")],
+    },
+    // Each operation's `data` is checked against destination / destinationUpdate
+    // when the batch runs
+    destinationBatch: {
+        fields: {
+            operations: {
+                type: "array",
+                required: true,
+                maxItems: 100,
+                of: {
+                    type: "object",
+                    fields: {
+                        op: { type: "string", required: true, enum: DESTINATION_BATCH_OPS },
+                        id: { type: "integer", min: 1 },
+                        is_completed: { type: "boolean" },
+                    },
+                },
+            },
+        },
+    },
+    photo: {
+        fields: {
+            image_url: { type: "string", required: true, maxLength: 2048 },
+            caption: { type: "string", maxLength: 1000 },
+            destination_id: { type: "integer", min: 1 },
+        },
+    },
+    // Text fields sent alongside a multipart photo upload
+    photoUpload: {
+        fields: {
+            caption: { type: "string", maxLength: 1000 },
+            destination_id: { type: "integer", min: 1 },
+            assign_destination: { type: "boolean", default: false },
+        },
+    },
+    expense: {
+        fields: {
+            amount: { type: "number", required: true, min: 0 },
+            currency: { type: "string" },
+            category: { type: "string", enum: EXPENSE_CATEGORIES, default: "other" },
+            expense_date: { type: "date" },
+            description: { type: "string", maxLength: 1000 },
+            destination_id: { type: "integer", min: 1 },
+            paid_by: { type: "string", maxLength: 200 },
+        },
+        checks: [currencyCode("currency")],
+    },
+    collaboratorInvite: {
+        fields: {
+            email: { type: "email", required: true },
+            role: { type: "string", enum: COLLABORATOR_ROLES, default: "viewer" },
+        },
+    },
+    collaboratorRole: {
+        fields: { role: { type: "string", required: true, enum: COLLABORATOR_ROLES } },
+    },
+    checklist: {
+        fields: { name: { type: "string", required: true, maxLength: 100 } },
+    },
+    checklistItem: {
+        fields: {
+            name: { type: "string", required: true, maxLength: 200 },
+            quantity: { type: "integer", min: 1, max: 1000, default: 1 },
+            assignee: { type: "string", maxLength: 200 },
+            is_done: { type: "boolean", default: false },
+        },
+    },
+    checklistFromTemplate: {
+        fields: {
+            template_id: { type: "integer", min: 1 },
+            name: { type: "string", maxLength: 100 },
+        },
+    },
+    checklistTemplate: {
+        fields: {
+            name: { type: "string", required: true, maxLength: 100 },
+            ...templateMatchFields,
+            items: {
+                type: "array",
+                required: true,
+                maxItems: 500,
+                of: {
+                    type: "object",
+                    fields: {
+                        name: { type: "string", required: true, maxLength: 200 },
+                        quantity: { type: "integer", min: 1, max: 1000, default: 1 },
+                        scale: { type: "string", enum: ITEM_SCALES, default: "fixed" },
+                    },
+                },
+            },
+        },
+        checks: [orderedRange("min_days", "max_days")],
+    },
+    // Saving an existing checklist as a template; items come from the checklist
+    checklistAsTemplate: {
+        fields: {
+            name: { type: "string", required: true, maxLength: 100 },
+            ...templateMatchFields,
+        },
+        checks: [orderedRange("min_days", "max_days")],
+    },
+    // New trip from an existing one or a template, laid out from start_date
+    tripCopy: {
+        fields: {
+            start_date: { type: "date", required: true },
+            title: { type: "string", maxLength: 200 },
+        },
+    },
+    tripTemplate: {
+        fields: {
+            name: { type: "string", required: true, maxLength: 100 },
+        },
+    },
+    shareLink: {
+        fields: {
+            expires_in_days: { type: "integer", min: 1, max: 365 },
+            hide_notes: { type: "boolean", default: false },
+            hide_budget: { type: "boolean", default: false },
+        },
+    },
+    optimizeRoute: {
+        fields: {
+            visit_date: { type: "date" },
+            start_lat: latitude,
+            start_lng: longitude,
+            end_lat: latitude,
+            end_lng: longitude,
+            apply: { type: "boolean", default: false },
+        },
+        checks: [coordinatePair("start_lat", "start_lng"), coordinatePair("end_lat", "end_lng")],
+    },
+    itineraryQuery: {
+        fields: {
+            slot_minutes: { type: "integer", min: 5, max: 720 },
+        },
+    },
+    tripListQuery: {
+        fields: {
+            trip_status: { type: "string", enum: TRIP_STATUSES },
+            trip_type: { type: "string", enum: TRIP_TYPES },
+            country: { type: "string", maxLength: 100 },
+            is_favorite: { type: "boolean" },
+            min_rating: { type: "integer", min: 1, max: 5 },
+            max_rating: { type: "integer", min: 1, max: 5 },
+            from: { type: "date" },
+            to: { type: "date" },
+            q: { type: "string", maxLength: 200 },
+            sort: { type: "string", enum: Object.keys(TRIP_SORTS) },
+            order: { type: "string", enum: ["asc", "desc"] },
+            limit: { type: "integer", min: 1, max: 100 },
+            cursor: { type: "string", maxLength: 1000 },
+        },
+        checks: [orderedRange("min_rating", "max_rating"), orderedRange("from", "to")],
+    },
+    syncQuery: {
+        fields: {
+            since: { type: "string", maxLength: 40 },
+            limit: { type: "integer", min: 1, max: 1000 },
+        },
+    },
+    activityQuery: {
+        fields: {
+            limit: { type: "integer", min: 1, max: 100, default: 50 },
+            cursor: { type: "integer", min: 1 },
+            entity_type: { type: "string", enum: ["trip", "destination", "photo"] },
+        },
+    },
+    notificationQuery: {
+        fields: {
+            limit: { type: "integer", min: 1, max: 100, default: 50 },
+            cursor: { type: "integer", min: 1 },
+            unread: { type: "boolean", default: false },
+        },
+    },
+    notificationPreferences: {
+        fields: {
+            trip_starts_tomorrow: { type: "boolean" },
+            priority_destinations_open: { type: "boolean" },
+        },
+    },
+    webhook: {
+        fields: {
+            url: { type: "string", required: true, maxLength: 2048 },
+        },
+        checks: [webhookUrl],
+    },
+    activityRevert: {
+        fields: {
+            field: { type: "string", required: true, maxLength: 100 },
+        },
+    },
+    profile: {
+        fields: {
+            display_name: { type: "string", maxLength: 100 },
+            location: { type: "string", maxLength: 200 },
+            location_lat: latitude,
+            location_lng: longitude,
+            travel_style: { type: "string", maxLength: 100 },
+            favorite_destinations: { type: "string", maxLength: 1000 },
+            bio: { type: "string", maxLength: 2000 },
+            profile_picture_url: { type: "string", maxLength: 2048 },
+            home_currency: { type: "string" },
+        },
+        checks: [coordinatePair("location_lat", "location_lng"), currencyCode("home_currency")],
+    },
+};
+
+module.exports = {
+    validate,
+    DESTINATION_BATCH_OPS,
+    validateBody,
+    validateQuery,
+    schemas,
+    TRIP_TYPES,
+    DESTINATION_TYPES,
+    EXPENSE_CATEGORIES,
+    COLLABORATOR_ROLES,
+    TRIP_STATUSES,
+};
@@ -0,0 +1,225 @@
+// Delivery of notifications to user-configured webhooks
+//
+// Each notification is POSTed as JSON to every webhook of its user. The
+// request is signed with the webhook's secret:
+//
+//   X-Webhook-Timestamp: <unix seconds>
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+//   X-Webhook-Delivery:  <delivery id, the same on every retry>
+//
+// Receivers should recompute the signature and ignore stale timestamps.
+// Anything but a 2xx answer is retried with exponential backoff until
+// MAX_ATTEMPTS; every attempt is logged in webhook_delivery_attempts.
+//
+// Webhooks only ever reach public addresses. A host resolving to a loopback,
+// private, link-local (e.g. cloud metadata at 169.254.169.254) or other
+// reserved address is refused when the webhook is saved, and again on every
+// delivery at the moment of connecting, as its DNS may have changed since.
+
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_SECONDS = 60;
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Claimed deliveries are hidden from other runs this long, so two
+// overlapping scheduler runs never send the same attempt twice
+const CLAIM_SECONDS = 5 * 60;
+const DEFAULT_BATCH_SIZE = 100;
+
+// Networks no webhook may reach, as [address, prefix length]
+const BLOCKED_NETWORKS = new net.BlockList();
+for (const [address, prefix] of [
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+    ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+]) {
+    BLOCKED_NETWORKS.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [["::", 127], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+    BLOCKED_NETWORKS.addSubnet(address, prefix, "ipv6");
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are matched against the IPv4 networks
+function isPublicAddress(address) {
+    return !BLOCKED_NETWORKS.check(address, net.isIPv4(address) ? "ipv4" : "ipv6");
+}
+
+// Addresses `hostname` stands for: itself when it is an IP, else its DNS records
+async function resolveHost(hostname) {
+    const host = hostname.replace(/^\[(.*)\]$/, "$1");
+    if (net.isIP(host)) return [{ address: host }];
+    return dns.promises.lookup(host, { all: true });
+}
+
+// Why `url` may not be used as a webhook, or null when it may
+async function checkWebhookUrl(url) {
+    let addresses;
+    try {
+        addresses = await resolveHost(new URL(url).hostname);
+    } catch (err) {
+        return "url host could not be resolved";
+    }
+    return addresses.every(({ address }) => isPublicAddress(address))
+        ? null
+        : "url must point to a public address";
+}
+
+// dns.lookup for webhook requests that fails on any non-public address, so the
+// address checked is the one connected to
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+        if (blocked) return callback(new Error(`${hostname} resolves to a non-public address`));
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// POST `body` and resolve with the response status
+function post(url, headers, body) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const request = (target.protocol === "https:" ? https : http).request(target, {
+            method: "POST",
+            headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+            lookup: publicLookup,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        }, (response) => {
+            response.resume();
+            resolve(response.statusCode);
+        });
+        request.on("error", reject);
+        request.end(body);
+    });
+}
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+// Seconds to wait after failed attempt number `attempt` (1-based): 1 min, 2, 4, ...
+const backoffSeconds = (attempt) => Math.min(MAX_BACKOFF_SECONDS, BASE_BACKOFF_SECONDS * 2 ** (attempt - 1));
+
+// Queue delivery of the given notifications to their users' webhooks.
+// Returns the number of deliveries queued.
+async function queueDeliveries(client, notificationIds) {
+    if (notificationIds.length === 0) return 0;
+    const result = await client.query(
+        `INSERT INTO webhook_deliveries (notification_id, webhook_id)
+         SELECT n.id, w.id
+         FROM notifications n
+         JOIN notification_webhooks w ON w.user_firebase_uid = n.user_firebase_uid
+         WHERE n.id = ANY($1)
+         ON CONFLICT (notification_id, webhook_id) DO NOTHING`,
+        [notificationIds]
+    );
+    return result.rowCount;
+}
+
+// POST one signed payload. Returns { ok, status, error, durationMs }.
+// Redirects are not followed, they count as a failed attempt.
+async function sendWebhook({ url, secret, deliveryId, payload }) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+
+    try {
+        // IP literals never go through publicLookup
+        const problem = await checkWebhookUrl(url);
+        if (problem) return { ok: false, status: null, error: problem, durationMs: Date.now() - started };
+
+        const status = await post(url, {
+            "Content-Type": "application/json",
+            "User-Agent": "travel-companion-webhooks",
+            "X-Webhook-Timestamp": String(timestamp),
+            "X-Webhook-Signature": signPayload(secret, timestamp, body),
+            "X-Webhook-Delivery": String(deliveryId),
+        }, body);
+        const ok = status >= 200 && status < 300;
+        return { ok, status, error: ok ? null : `HTTP ${status}`, durationMs: Date.now() - started };
+    } catch (err) {
+        return { ok: false, status: null, error: err.message, durationMs: Date.now() - started };
+    }
+}
+
+// Claim due deliveries and attempt each once.
+// Returns { delivered, retrying, failed } counts.
+async function deliverPendingWebhooks(client, { limit = DEFAULT_BATCH_SIZE } = {}) {
+    const claimed = await client.query(
+        `UPDATE webhook_deliveries SET next_attempt_at = NOW() + make_interval(secs => $2)
+         WHERE id IN (
+           SELECT id FROM webhook_deliveries
+           WHERE status = 'pending' AND next_attempt_at <= NOW()
+           ORDER BY next_attempt_at ASC
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING id`,
+        [limit, CLAIM_SECONDS]
+    );
+    if (claimed.rows.length === 0) return { delivered: 0, retrying: 0, failed: 0 };
+
+    const due = await client.query(
+        `SELECT d.id AS delivery_id, d.attempts, w.url, w.secret,
+                n.id, n.kind, n.trip_id, n.title, n.body, n.data, n.created_at
+         FROM webhook_deliveries d
+         JOIN notifications n ON n.id = d.notification_id
+         JOIN notification_webhooks w ON w.id = d.webhook_id
+         WHERE d.id = ANY($1)
+         ORDER BY d.id ASC`,
+        [claimed.rows.map((row) => row.id)]
+    );
+
+    const counts = { delivered: 0, retrying: 0, failed: 0 };
+    for (const delivery of due.rows) {
+        const { delivery_id: deliveryId, attempts, url, secret, ...notification } = delivery;
+        const attempt = attempts + 1;
+        const result = await sendWebhook({ url, secret, deliveryId, payload: { notification } });
+
+        await client.query(
+            `INSERT INTO webhook_delivery_attempts (delivery_id, attempt, response_status, error, duration_ms)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [deliveryId, attempt, result.status, result.error, result.durationMs]
+        );
+
+        if (result.ok) {
+            await client.query(
+                "UPDATE webhook_deliveries SET status = 'delivered', attempts = $2, delivered_at = NOW() WHERE id = $1",
+                [deliveryId, attempt]
+            );
+            counts.delivered += 1;
+        } else if (attempt >= MAX_ATTEMPTS) {
+            await client.query(
+                "UPDATE webhook_deliveries SET status = 'failed', attempts = $2 WHERE id = $1",
+                [deliveryId, attempt]
+            );
+            counts.failed += 1;
+        } else {
+            await client.query(
+                `UPDATE webhook_deliveries
+                 SET attempts = $2, next_attempt_at = NOW() + make_interval(secs => $3)
+                 WHERE id = $1`,
+                [deliveryId, attempt, backoffSeconds(attempt)]
+            );
+            counts.retrying += 1;
+        }
+    }
+    return counts;
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    generateWebhookSecret,
+    checkWebhookUrl,
+    signPayload,
+    backoffSeconds,
+    queueDeliveries,
+    deliverPendingWebhooks,
+};